@@ -1,7 +1,10 @@
 // Global state
 const App = {
     user: null,
+    permissions: [],
+    impersonator: null,
     token: localStorage.getItem('token'),
+    refreshToken: localStorage.getItem('refreshToken'),
     socket: null,
     currentProject: null
 };
@@ -10,34 +13,77 @@ window.App = App;
 // API helper
 const API = {
     baseURL: '/api',
+    refreshing: null,
     
-    async request(endpoint, options = {}) {
+    async request(endpoint, options = {}, retried = false) {
         const url = `${this.baseURL}${endpoint}`;
+        const csrfToken = this.getCsrfToken();
+        // File uploads let the browser set the multipart Content-Type itself
+        const isUpload = options.body instanceof FormData;
         const config = {
             headers: {
-                'Content-Type': 'application/json',
+                ...(!isUpload && { 'Content-Type': 'application/json' }),
+                // New sign-ins keep their tokens in HttpOnly cookies; older sessions still use Bearer
+                'X-Auth-Mode': 'cookie',
+                // Lets the server recognise this browser and alert the owner about new devices
+                'X-Device-Id': Auth.getDeviceId(),
+                ...(csrfToken && { 'X-CSRF-Token': csrfToken }),
                 ...(App.token && { 'Authorization': `Bearer ${App.token}` })
             },
             ...options
         };
         
-        if (config.body && typeof config.body === 'object') {
+        if (config.body && typeof config.body === 'object' && !isUpload) {
             config.body = JSON.stringify(config.body);
         }
         
         try {
             const response = await fetch(url, config);
             
+            // Access tokens are short-lived: refresh once and replay the request
+            if (response.status === 401 && !retried && this.canRefresh()) {
+                if (await this.refreshSession()) {
+                    return this.request(endpoint, options, true);
+                }
+            }
+            
             // Handle network errors
             if (!response.ok) {
                 let errorMessage = 'Request failed';
+                let errorCode = null;
                 try {
                     const data = await response.json();
                     errorMessage = data.message || errorMessage;
+                    errorCode = data.code || null;
                 } catch (e) {
                     errorMessage = response.statusText || `Server returned ${response.status}`;
                 }
-                throw new Error(errorMessage);
+                
+                // Roles that require 2FA are blocked until it's set up
+                if (errorCode === 'TWO_FACTOR_SETUP_REQUIRED') {
+                    Auth.startTwoFactorSetup();
+                }
+                
+                // Projects, payments and chat wait until the email address is confirmed
+                if (errorCode === 'EMAIL_NOT_VERIFIED') {
+                    Auth.showVerifyEmailPrompt();
+                }
+                
+                // A disowned login blocks the old password until it's reset
+                if (errorCode === 'PASSWORD_RESET_REQUIRED') {
+                    UI.hideModal('login-modal');
+                    UI.showModal('forgot-password-modal');
+                }
+                
+                const error = new Error(errorMessage);
+                error.code = errorCode;
+                error.status = response.status;
+                throw error;
+            }
+            
+            // Downloads ask for the body as a Blob instead of JSON
+            if (options.responseType === 'blob') {
+                return await response.blob();
             }
             
             const data = await response.json();
@@ -52,42 +98,416 @@ const API = {
         }
     },
     
+    // Session helpers. Cookie sessions come back without tokens: the browser holds them in
+    // HttpOnly cookies and only the CSRF cookie is visible here.
+    setSession({ token, refreshToken } = {}) {
+        App.token = token || null;
+        App.refreshToken = refreshToken || null;
+        if (token) {
+            localStorage.setItem('token', token);
+            localStorage.setItem('refreshToken', refreshToken);
+        } else {
+            localStorage.removeItem('token');
+            localStorage.removeItem('refreshToken');
+        }
+    },
+    
+    getCsrfToken() {
+        const match = document.cookie.match(/(?:^|;\s*)nx_csrf=([^;]+)/);
+        return match ? decodeURIComponent(match[1]) : null;
+    },
+    
+    hasSession() {
+        return Boolean(App.token || this.getCsrfToken());
+    },
+    
+    canRefresh() {
+        return App.token ? Boolean(App.refreshToken) : Boolean(this.getCsrfToken());
+    },
+    
+    clearSession() {
+        App.user = null;
+        App.permissions = [];
+        App.impersonator = null;
+        App.token = null;
+        App.refreshToken = null;
+        localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
+        // The HttpOnly cookies are cleared by /auth/logout; dropping this one ends the session here
+        document.cookie = 'nx_csrf=; Max-Age=0; path=/';
+    },
+    
+    // Share one refresh between concurrent requests; reusing a rotated token revokes the session
+    refreshSession() {
+        if (!this.refreshing) {
+            const csrfToken = this.getCsrfToken();
+            this.refreshing = fetch(`${this.baseURL}/auth/refresh`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Auth-Mode': 'cookie',
+                    ...(csrfToken && { 'X-CSRF-Token': csrfToken })
+                },
+                // A Bearer session's refresh token moves it over to cookies
+                body: JSON.stringify(App.refreshToken ? { refreshToken: App.refreshToken } : {})
+            })
+                .then(async (response) => {
+                    if (!response.ok) throw new Error('Refresh failed');
+                    const data = await response.json();
+                    this.setSession(data.data);
+                    return true;
+                })
+                .catch(() => {
+                    this.clearSession();
+                    UI.updateHeader();
+                    return false;
+                })
+                .finally(() => {
+                    this.refreshing = null;
+                });
+        }
+        return this.refreshing;
+    },
+    
     // Auth methods
     async login(email, password) {
         const data = await this.request('/auth/login', {
             method: 'POST',
             body: { email, password }
         });
+        // 2FA accounts get a challenge token instead of a session
+        if (data.data.twoFactorRequired) return data;
+        App.user = data.data.user;
+        App.permissions = data.data.permissions || [];
+        this.setSession(data.data);
+        return data;
+    },
+    
+    async requestMagicLink(email) {
+        return await this.request('/auth/magic-link', {
+            method: 'POST',
+            body: { email, deviceId: Auth.getDeviceId() }
+        });
+    },
+    
+    async verifyMagicLink(token) {
+        const data = await this.request('/auth/magic-link/verify', {
+            method: 'POST',
+            body: { token, deviceId: Auth.getDeviceId() }
+        });
+        if (data.data.twoFactorRequired) return data;
+        App.user = data.data.user;
+        App.permissions = data.data.permissions || [];
+        this.setSession(data.data);
+        return data;
+    },
+    
+    async sendPhoneLoginCode(phone) {
+        return await this.request('/auth/phone/login/send-code', {
+            method: 'POST',
+            body: { phone }
+        });
+    },
+    
+    async phoneLogin(phone, code) {
+        const data = await this.request('/auth/phone/login', {
+            method: 'POST',
+            body: { phone, code }
+        });
+        if (data.data.twoFactorRequired) return data;
+        App.user = data.data.user;
+        App.permissions = data.data.permissions || [];
+        this.setSession(data.data);
+        return data;
+    },
+    
+    async sendPhoneCode(phone) {
+        return await this.request('/auth/phone/send-code', {
+            method: 'POST',
+            body: { phone }
+        });
+    },
+    
+    async verifyPhone(code) {
+        return await this.request('/auth/phone/verify', {
+            method: 'POST',
+            body: { code }
+        });
+    },
+    
+    async verifyTwoFactorLogin(challengeToken, code) {
+        const data = await this.request('/auth/login/2fa', {
+            method: 'POST',
+            body: { challengeToken, code }
+        });
         App.user = data.data.user;
-        App.token = data.data.token;
-        localStorage.setItem('token', App.token);
+        App.permissions = data.data.permissions || [];
+        this.setSession(data.data);
         return data;
     },
     
+    async setupTwoFactor() {
+        return await this.request('/auth/2fa/setup', { method: 'POST' });
+    },
+    
+    async confirmTwoFactor(code) {
+        return await this.request('/auth/2fa/confirm', {
+            method: 'POST',
+            body: { code }
+        });
+    },
+    
     async register(name, email, password) {
         const data = await this.request('/auth/register', {
             method: 'POST',
             body: { name, email, password }
         });
         App.user = data.data.user;
-        App.token = data.data.token;
-        localStorage.setItem('token', App.token);
+        App.permissions = data.data.permissions || [];
+        this.setSession(data.data);
+        return data;
+    },
+    
+    async getDeveloperInvite(token) {
+        return await this.request(`/auth/developer-invite?token=${encodeURIComponent(token)}`);
+    },
+    
+    async acceptDeveloperInvite(token, name, password) {
+        const data = await this.request('/auth/developer-invite/accept', {
+            method: 'POST',
+            body: { token, name, password }
+        });
+        App.user = data.data.user;
+        App.permissions = data.data.permissions || [];
+        this.setSession(data.data);
         return data;
     },
     
+    async logout() {
+        if (!this.hasSession()) return;
+        return await this.request('/auth/logout', {
+            method: 'POST',
+            body: App.refreshToken ? { refreshToken: App.refreshToken } : {}
+        });
+    },
+    
+    async forgotPassword(email) {
+        return await this.request('/auth/forgot-password', {
+            method: 'POST',
+            body: { email }
+        });
+    },
+    
+    async unlockAccount(token) {
+        return await this.request('/auth/unlock', {
+            method: 'POST',
+            body: { token }
+        });
+    },
+    
+    async disownLogin(token) {
+        return await this.request('/auth/not-me', {
+            method: 'POST',
+            body: { token }
+        });
+    },
+    
+    async verifyEmail(token) {
+        return await this.request(`/auth/verify-email?token=${encodeURIComponent(token)}`);
+    },
+    
+    async resendVerification(email) {
+        return await this.request('/auth/resend-verification', {
+            method: 'POST',
+            body: { email }
+        });
+    },
+    
+    async changeEmail(email, password) {
+        return await this.request('/auth/change-email', {
+            method: 'POST',
+            body: { email, password }
+        });
+    },
+    
+    async cancelEmailChange() {
+        return await this.request('/auth/change-email', {
+            method: 'DELETE'
+        });
+    },
+    
+    async acceptOrganizationInvite(token) {
+        return await this.request('/organizations/invitations/accept', {
+            method: 'POST',
+            body: { token }
+        });
+    },
+    
+    async acceptProjectInvite(token) {
+        return await this.request('/projects/invitations/accept', {
+            method: 'POST',
+            body: { token }
+        });
+    },
+    
+    async resetPassword(token, password) {
+        return await this.request('/auth/reset-password', {
+            method: 'POST',
+            body: { token, password }
+        });
+    },
+    
     async getCurrentUser() {
-        if (!App.token) return null;
+        if (!this.hasSession()) return null;
         try {
             const data = await this.request('/auth/me');
             App.user = data.data.user;
+            App.permissions = data.data.permissions || [];
+            App.impersonator = data.data.impersonator || null;
             return data.data.user;
         } catch (error) {
-            localStorage.removeItem('token');
-            App.token = null;
+            // An expired impersonation token drops back to the admin's own session
+            if (this.restoreImpersonatorSession()) {
+                return this.getCurrentUser();
+            }
+            this.clearSession();
             return null;
         }
     },
     
+    async endImpersonation() {
+        return await this.request('/auth/impersonation/end', {
+            method: 'POST'
+        });
+    },
+    
+    // Put back the tokens admin.html set aside when it started impersonating
+    restoreImpersonatorSession() {
+        const token = localStorage.getItem('impersonatorToken');
+        if (!token) return false;
+        
+        this.setSession({ token, refreshToken: localStorage.getItem('impersonatorRefreshToken') });
+        localStorage.removeItem('impersonatorToken');
+        localStorage.removeItem('impersonatorRefreshToken');
+        App.impersonator = null;
+        return true;
+    },
+    
+    async updateProfile(profileData) {
+        return await this.request('/auth/profile', {
+            method: 'PUT',
+            body: profileData
+        });
+    },
+    
+    async uploadAvatar(file) {
+        const body = new FormData();
+        body.append('avatar', file);
+        return await this.request('/auth/avatar', {
+            method: 'POST',
+            body
+        });
+    },
+    
+    async removeAvatar() {
+        return await this.request('/auth/avatar', {
+            method: 'DELETE'
+        });
+    },
+    
+    // Session methods
+    async getSessions() {
+        return await this.request('/auth/sessions');
+    },
+    
+    async revokeSession(sessionId) {
+        return await this.request(`/auth/sessions/${sessionId}`, {
+            method: 'DELETE'
+        });
+    },
+    
+    async revokeOtherSessions() {
+        return await this.request('/auth/sessions', {
+            method: 'DELETE'
+        });
+    },
+    
+    async getSecurityActivity() {
+        return await this.request('/auth/security-activity');
+    },
+    
+    async getAuthProviders() {
+        return await this.request('/auth/providers');
+    },
+    
+    async getIdentities() {
+        return await this.request('/auth/identities');
+    },
+    
+    async linkIdentity(provider) {
+        return await this.request(`/auth/identities/${provider}/link`, {
+            method: 'POST'
+        });
+    },
+    
+    async unlinkIdentity(provider) {
+        return await this.request(`/auth/identities/${provider}`, {
+            method: 'DELETE'
+        });
+    },
+    
+    async getNotificationPreferences() {
+        return await this.request('/notifications/preferences');
+    },
+    
+    async updateNotificationPreferences(preferences) {
+        return await this.request('/notifications/preferences', {
+            method: 'PUT',
+            body: preferences
+        });
+    },
+    
+    async unsubscribe(token) {
+        return await this.request('/notifications/unsubscribe', {
+            method: 'POST',
+            body: { token }
+        });
+    },
+    
+    async getApiKeys() {
+        return await this.request('/auth/api-keys');
+    },
+    
+    async createApiKey(keyData) {
+        return await this.request('/auth/api-keys', {
+            method: 'POST',
+            body: keyData
+        });
+    },
+    
+    async revokeApiKey(keyId) {
+        return await this.request(`/auth/api-keys/${keyId}`, {
+            method: 'DELETE'
+        });
+    },
+    
+    async exportData() {
+        return await this.request('/auth/export', { responseType: 'blob' });
+    },
+    
+    async deleteAccount(confirmation) {
+        return await this.request('/auth/account', {
+            method: 'DELETE',
+            body: confirmation
+        });
+    },
+    
+    async restoreAccount() {
+        return await this.request('/auth/account/restore', {
+            method: 'POST'
+        });
+    },
+    
     // Project methods
     async getProjects() {
         return await this.request('/projects');
@@ -111,6 +531,26 @@ const API = {
         });
     },
     
+    async getProjectFiles(id) {
+        return await this.request(`/projects/${id}/files`);
+    },
+    
+    async uploadProjectFile(id, file, category = 'file') {
+        const body = new FormData();
+        body.append('category', category);
+        body.append('file', file);
+        return await this.request(`/projects/${id}/files`, {
+            method: 'POST',
+            body
+        });
+    },
+    
+    async deleteProjectFile(id, fileId) {
+        return await this.request(`/projects/${id}/files/${fileId}`, {
+            method: 'DELETE'
+        });
+    },
+    
     async deleteProject(id) {
         return await this.request(`/projects/${id}`, {
             method: 'DELETE'
@@ -169,6 +609,10 @@ const UI = {
             if (id === 'dashboard-modal') {
                 this.loadProjects();
             }
+            
+            if (id === 'settings-modal') {
+                Settings.load();
+            }
         }
     },
     
@@ -180,6 +624,20 @@ const UI = {
         }
     },
     
+    // Escape server-provided text before putting it into innerHTML
+    // The API serves the uploaded picture, a provider photo or generated initials
+    avatarUrl(user, size = 128) {
+        const version = user.avatarUpdatedAt ? `&v=${new Date(user.avatarUpdatedAt).getTime()}` : '';
+        return `/api/auth/avatar/${user._id}?size=${size}${version}`;
+    },
+    
+    escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value == null ? '' : String(value);
+        // innerHTML leaves quotes as they are; escape them too so the result is safe in attributes
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    },
+    
     // Show notifications
     showNotification(message, type = 'info') {
         const notification = document.createElement('div');
@@ -204,30 +662,46 @@ const UI = {
         }, 5000);
     },
     
+    // Show who is viewing as whom while an admin impersonates a user
+    renderImpersonationBanner() {
+        let banner = document.getElementById('impersonation-banner');
+        if (!App.user || !App.impersonator) {
+            if (banner) banner.remove();
+            return;
+        }
+        
+        if (!banner) {
+            banner = document.createElement('div');
+            banner.id = 'impersonation-banner';
+            banner.className = 'impersonation-banner';
+            document.body.prepend(banner);
+        }
+        
+        banner.innerHTML = `
+            <span>${this.escapeHtml(App.impersonator.name)} (${this.escapeHtml(App.impersonator.email)}) is viewing as
+            <strong>${this.escapeHtml(App.user.name)}</strong> (${this.escapeHtml(App.user.email)}). Payments and account security changes are disabled.</span>
+            <button class="btn btn-sm btn-outline" onclick="Auth.exitImpersonation()">Exit</button>
+        `;
+    },
+    
     // Update header based on auth state
     updateHeader() {
+        this.renderImpersonationBanner();
+        
         const headerActions = document.querySelector('.header-actions');
         if (!headerActions) return;
         
         if (App.user) {
-            // Use avatar from database or generate one
-            let avatarUrl;
-            if (App.user.avatar) {
-                avatarUrl = App.user.avatar;
-            } else {
-                // Fallback to generated avatar if none exists
-                avatarUrl = AvatarGenerator.createAvatar(App.user.name, 200);
-            }
-            
             headerActions.innerHTML = `
                 <div class="user-menu">
-                    <img src="${avatarUrl}" alt="${App.user.name}" style="width: 40px; height: 40px; border-radius: 50%; margin-right: 0.5rem; object-fit: cover;">
+                    <img src="${this.avatarUrl(App.user, 80)}" alt="${this.escapeHtml(App.user.name)}" style="width: 40px; height: 40px; border-radius: 50%; margin-right: 0.5rem; object-fit: cover;">
                     <span style="font-weight: 600;">${App.user.name}</span>
                     <div class="dropdown">
                         <button class="dropdown-toggle">▼</button>
                         <div class="dropdown-menu">
                             <a href="#" data-modal="dashboard-modal">Dashboard</a>
-                            ${App.user.role === 'admin' ? '<a href="admin.html">Admin Panel</a>' : ''}
+                            <a href="#" data-modal="settings-modal">Settings</a>
+                            ${App.permissions.includes('admin:access') ? '<a href="admin.html">Admin Panel</a>' : ''}
                             <a href="#" onclick="Auth.logout()">Logout</a>
                         </div>
                     </div>
@@ -267,8 +741,8 @@ const UI = {
             
             projectsContainer.innerHTML = projects.map(project => `
                 <div class="project-card" data-project-id="${project._id}">
-                    <h3>${project.title}</h3>
-                    <p>${project.description}</p>
+                    <h3>${UI.escapeHtml(project.title)}</h3>
+                    <p>${UI.escapeHtml(project.description)}</p>
                     <div class="project-meta">
                         <span class="status status-${project.status}">${project.status}</span>
                         <span class="category">${project.category}</span>
@@ -302,10 +776,17 @@ const Auth = {
     
     async login(email, password) {
         try {
-            await API.login(email, password);
+            const response = await API.login(email, password);
+            if (response.data.twoFactorRequired) {
+                UI.hideModal('login-modal');
+                this.showTwoFactorChallenge(response.data.challengeToken);
+                return;
+            }
             UI.updateHeader();
             UI.hideModal('login-modal');
             UI.showNotification('Login successful!', 'success');
+            await this.checkPendingDeletion();
+            await this.acceptPendingInvite();
         } catch (error) {
             console.error('Login error:', error);
             let errorMessage = error.message || 'Failed to login';
@@ -325,40 +806,479 @@ const Auth = {
             UI.updateHeader();
             UI.hideModal('register-modal');
             UI.showNotification('Registration successful!', 'success');
+            await this.acceptPendingInvite();
         } catch (error) {
             UI.showNotification(error.message, 'error');
         }
     },
     
-    logout() {
-        // Close any open modals first
-        const openModals = document.querySelectorAll('.modal:not([hidden])');
-        openModals.forEach(modal => {
-            UI.hideModal(modal.id);
-        });
-        
-        App.user = null;
-        App.token = null;
-        localStorage.removeItem('token');
-        UI.updateHeader();
-        UI.showNotification('Logged out successfully', 'success');
+    // Random per-browser id that magic links are bound to
+    getDeviceId() {
+        let deviceId = localStorage.getItem('deviceId');
+        if (!deviceId) {
+            const bytes = crypto.getRandomValues(new Uint8Array(24));
+            deviceId = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+            localStorage.setItem('deviceId', deviceId);
+        }
+        return deviceId;
+    },
+    
+    async requestMagicLink() {
+        const email = document.getElementById('login-email').value.trim();
+        if (!email) {
+            UI.showNotification('Enter your email address first', 'error');
+            return;
+        }
         
-        // Scroll to top
-        window.scrollTo({ top: 0, behavior: 'smooth' });
-    }
-};
-window.Auth = Auth;
-
-// Project Management
-const ProjectManager = {
-    async createProject(projectData) {
         try {
-            const response = await API.createProject(projectData);
-            UI.hideModal('builder-modal');
-            UI.showNotification('Project created successfully!', 'success');
-            
-            // Reload projects if dashboard is open
-            if (document.getElementById('projects-container')) {
+            const response = await API.requestMagicLink(email);
+            UI.hideModal('login-modal');
+            UI.showNotification(response.message, 'success');
+        } catch (error) {
+            UI.showNotification(error.message, 'error');
+        }
+    },
+    
+    // Sign in when arriving from an emailed /magic-login?token=... link
+    async checkMagicLink() {
+        if (window.location.pathname !== '/magic-login') return;
+        
+        const token = new URLSearchParams(window.location.search).get('token');
+        if (!token) return;
+        
+        window.history.replaceState({}, '', '/');
+        try {
+            const response = await API.verifyMagicLink(token);
+            if (response.data.twoFactorRequired) {
+                this.showTwoFactorChallenge(response.data.challengeToken);
+                return;
+            }
+            UI.updateHeader();
+            UI.showNotification('Login successful!', 'success');
+            await this.checkPendingDeletion();
+            await this.acceptPendingInvite();
+        } catch (error) {
+            UI.showNotification(error.message, 'error');
+            if (error.code === 'DEVICE_MISMATCH') {
+                UI.showModal('login-modal');
+            }
+        }
+    },
+    
+    async sendPhoneLoginCode() {
+        const phone = document.getElementById('phone-login-number').value.trim();
+        if (!phone) {
+            UI.showNotification('Enter your phone number first', 'error');
+            return;
+        }
+        
+        try {
+            const response = await API.sendPhoneLoginCode(phone);
+            UI.showNotification(response.message, 'success');
+            document.getElementById('phone-login-code').focus();
+        } catch (error) {
+            UI.showNotification(error.message, 'error');
+        }
+    },
+    
+    async phoneLogin(phone, code) {
+        try {
+            const response = await API.phoneLogin(phone, code);
+            UI.hideModal('phone-login-modal');
+            if (response.data.twoFactorRequired) {
+                this.showTwoFactorChallenge(response.data.challengeToken);
+                return;
+            }
+            UI.updateHeader();
+            UI.showNotification('Login successful!', 'success');
+            await this.checkPendingDeletion();
+            await this.acceptPendingInvite();
+        } catch (error) {
+            UI.showNotification(error.message, 'error');
+        }
+    },
+    
+    showTwoFactorChallenge(challengeToken) {
+        document.getElementById('two-factor-challenge').value = challengeToken;
+        UI.showModal('two-factor-modal');
+    },
+    
+    async verifyTwoFactor(challengeToken, code) {
+        try {
+            await API.verifyTwoFactorLogin(challengeToken, code);
+            UI.updateHeader();
+            UI.hideModal('two-factor-modal');
+            UI.showNotification('Login successful!', 'success');
+            await this.checkPendingDeletion();
+            await this.acceptPendingInvite();
+        } catch (error) {
+            UI.showNotification(error.message, 'error');
+        }
+    },
+    
+    // Enrollment: show the secret/otpauth link, then confirm a code to get recovery codes
+    async startTwoFactorSetup() {
+        const container = document.getElementById('two-factor-setup-body');
+        if (!container || !document.getElementById('two-factor-setup-modal').hidden) return;
+        
+        try {
+            const response = await API.setupTwoFactor();
+            const { secret, otpauthUrl } = response.data;
+            
+            container.innerHTML = `
+                <p style="margin-bottom: 1rem; color: #666;">Two-factor authentication adds a code from your authenticator app to every sign-in. Add this account to Google Authenticator, Authy or similar:</p>
+                <p style="margin-bottom: 0.5rem;"><a href="${otpauthUrl}" class="link">Open in authenticator app</a></p>
+                <p style="margin-bottom: 1rem;">Or enter this key manually: <code style="word-break: break-all;">${secret}</code></p>
+                <form id="two-factor-setup-form">
+                    <div class="form-group">
+                        <label for="two-factor-setup-code">6-digit code</label>
+                        <input type="text" id="two-factor-setup-code" name="code" inputmode="numeric" autocomplete="one-time-code" required>
+                    </div>
+                    <button type="submit" class="btn btn-primary">Enable Two-Factor</button>
+                </form>
+            `;
+            UI.showModal('two-factor-setup-modal');
+            
+            document.getElementById('two-factor-setup-form').addEventListener('submit', async (e) => {
+                e.preventDefault();
+                await this.confirmTwoFactorSetup(new FormData(e.target).get('code'));
+            });
+        } catch (error) {
+            UI.showNotification(error.message, 'error');
+        }
+    },
+    
+    async confirmTwoFactorSetup(code) {
+        try {
+            const response = await API.confirmTwoFactor(code);
+            const container = document.getElementById('two-factor-setup-body');
+            container.innerHTML = `
+                <p style="margin-bottom: 1rem;">${response.message}</p>
+                <pre style="background: #f9fafb; padding: 1rem; border-radius: 8px; margin-bottom: 1rem;">${response.data.recoveryCodes.join('\n')}</pre>
+                <button class="btn btn-primary" onclick="UI.hideModal('two-factor-setup-modal')">I've saved these codes</button>
+            `;
+            await API.getCurrentUser();
+        } catch (error) {
+            UI.showNotification(error.message, 'error');
+        }
+    },
+    
+    async forgotPassword(email) {
+        try {
+            const response = await API.forgotPassword(email);
+            UI.hideModal('forgot-password-modal');
+            UI.showNotification(response.message, 'success');
+        } catch (error) {
+            UI.showNotification(error.message, 'error');
+        }
+    },
+    
+    // Open the reset modal when arriving from the emailed /reset-password?token=... link
+    checkResetLink() {
+        if (window.location.pathname !== '/reset-password') return;
+        
+        const token = new URLSearchParams(window.location.search).get('token');
+        if (!token) return;
+        
+        document.getElementById('reset-token').value = token;
+        UI.showModal('reset-password-modal');
+    },
+    
+    // Open account setup when arriving from the emailed /developer-invite?token=... link
+    async checkDeveloperInviteLink() {
+        if (window.location.pathname !== '/developer-invite') return;
+        
+        const token = new URLSearchParams(window.location.search).get('token');
+        window.history.replaceState({}, '', '/');
+        if (!token) return;
+        
+        try {
+            const response = await API.getDeveloperInvite(token);
+            const { invite } = response.data;
+            document.getElementById('developer-invite-token').value = token;
+            document.getElementById('developer-invite-email').value = invite.email;
+            document.getElementById('developer-invite-name').value = invite.name;
+            UI.showModal('developer-invite-modal');
+        } catch (error) {
+            UI.showNotification(error.message, 'error');
+        }
+    },
+    
+    async acceptDeveloperInvite(token, name, password) {
+        try {
+            const response = await API.acceptDeveloperInvite(token, name, password);
+            UI.hideModal('developer-invite-modal');
+            UI.updateHeader();
+            UI.showNotification(response.message, 'success');
+        } catch (error) {
+            UI.showNotification(error.message, 'error');
+        }
+    },
+    
+    // Unlock straight away when arriving from the emailed /unlock-account?token=... link
+    async checkUnlockLink() {
+        if (window.location.pathname !== '/unlock-account') return;
+        
+        const token = new URLSearchParams(window.location.search).get('token');
+        if (!token) return;
+        
+        window.history.replaceState({}, '', '/');
+        try {
+            const response = await API.unlockAccount(token);
+            UI.showNotification(response.message, 'success');
+            UI.showModal('login-modal');
+        } catch (error) {
+            UI.showNotification(error.message, 'error');
+        }
+    },
+    
+    // "This wasn't me" link from a new-device alert email: sign out everywhere and reset the password
+    async checkNotMeLink() {
+        if (window.location.pathname !== '/not-me') return;
+        
+        const token = new URLSearchParams(window.location.search).get('token');
+        window.history.replaceState({}, '', '/');
+        if (!token) return;
+        
+        if (!confirm('Sign out of every device and choose a new password?')) return;
+        
+        try {
+            const response = await API.disownLogin(token);
+            API.clearSession();
+            UI.updateHeader();
+            UI.showNotification(response.message, 'success');
+        } catch (error) {
+            UI.showNotification(error.message, 'error');
+        }
+    },
+    
+    // Unsubscribe link from a notification email: turns off email for that one category
+    async checkUnsubscribeLink() {
+        if (window.location.pathname !== '/unsubscribe') return;
+        
+        const token = new URLSearchParams(window.location.search).get('token');
+        window.history.replaceState({}, '', '/');
+        if (!token) return;
+        
+        try {
+            const response = await API.unsubscribe(token);
+            UI.showNotification(response.message, 'success');
+        } catch (error) {
+            UI.showNotification(error.message, 'error');
+        }
+    },
+    
+    // Confirm the address when arriving from an emailed /verify-email?token=... link
+    // (sign-up verification and email changes both use it)
+    async checkVerifyLink() {
+        if (window.location.pathname !== '/verify-email') return;
+        
+        const token = new URLSearchParams(window.location.search).get('token');
+        if (!token) return;
+        
+        window.history.replaceState({}, '', '/');
+        try {
+            const response = await API.verifyEmail(token);
+            UI.showNotification(response.message, 'success');
+            if (API.hasSession()) {
+                await API.getCurrentUser();
+                UI.updateHeader();
+            }
+        } catch (error) {
+            UI.showNotification(error.message, 'error');
+        }
+    },
+    
+    showVerifyEmailPrompt() {
+        const address = document.getElementById('verify-email-address');
+        if (address) address.textContent = App.user?.email || 'your email address';
+        UI.showModal('verify-email-modal');
+    },
+    
+    async resendVerification() {
+        if (!App.user) return;
+        
+        try {
+            const response = await API.resendVerification(App.user.email);
+            UI.showNotification(response.message, 'success');
+            UI.hideModal('verify-email-modal');
+        } catch (error) {
+            UI.showNotification(error.message, 'error');
+        }
+    },
+    
+    // Invite link paths and the kind of invitation each one carries
+    inviteLinks: {
+        '/join-organization': 'organization',
+        '/join-project': 'project'
+    },
+    
+    // Invites from /join-organization?token=... and /join-project?token=... are kept until the user is signed in
+    async checkInviteLink() {
+        const kind = this.inviteLinks[window.location.pathname];
+        if (kind) {
+            const token = new URLSearchParams(window.location.search).get('token');
+            window.history.replaceState({}, '', '/');
+            if (token) sessionStorage.setItem('pendingInvite', JSON.stringify({ kind, token }));
+        }
+        
+        if (!sessionStorage.getItem('pendingInvite')) return;
+        
+        if (API.hasSession()) {
+            await this.acceptPendingInvite();
+        } else {
+            UI.showNotification('Log in or create an account to accept your invitation', 'info');
+            UI.showModal('login-modal');
+        }
+    },
+    
+    // Offer to keep the account when signing in during the deletion grace period
+    async checkPendingDeletion() {
+        if (!App.user || !App.user.deletionScheduledFor || App.impersonator) return;
+        
+        const deletionDate = new Date(App.user.deletionScheduledFor).toLocaleDateString();
+        if (!confirm(`Your account is scheduled for deletion on ${deletionDate}. Do you want to keep it?`)) return;
+        
+        try {
+            const response = await API.restoreAccount();
+            App.user = response.data.user;
+            UI.showNotification(response.message, 'success');
+        } catch (error) {
+            UI.showNotification(error.message, 'error');
+        }
+    },
+    
+    async acceptPendingInvite() {
+        const pending = sessionStorage.getItem('pendingInvite');
+        if (!pending || !API.hasSession()) return;
+        
+        sessionStorage.removeItem('pendingInvite');
+        try {
+            const { kind, token } = JSON.parse(pending);
+            const response = kind === 'project'
+                ? await API.acceptProjectInvite(token)
+                : await API.acceptOrganizationInvite(token);
+            UI.showNotification(response.message, 'success');
+            if (kind === 'project') UI.loadProjects();
+        } catch (error) {
+            UI.showNotification(error.message, 'error');
+        }
+    },
+    
+    oauthErrorMessages: {
+        'email-taken': 'An account with that email already exists. Sign in with your password, then link this provider from Settings.',
+        'identity-taken': 'That account is already linked to a different user.',
+        'link-failed': 'Could not link that account. Please try again.',
+        'account-locked': 'Your account is temporarily locked. Check your email for an unlock link.',
+        'password-reset-required': 'For your security, please choose a new password using the link we emailed you.'
+    },
+    
+    // Pick up the tokens the social sign-in callback puts in the URL fragment
+    checkOAuthRedirect() {
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('authError')) {
+            window.history.replaceState({}, '', window.location.pathname);
+            const message = this.oauthErrorMessages[params.get('reason')] || 'Social sign-in failed. Please try again.';
+            UI.showNotification(message, 'error');
+            return;
+        }
+        
+        if (params.get('linked')) {
+            window.history.replaceState({}, '', window.location.pathname);
+            UI.showNotification('Sign-in provider linked to your account', 'success');
+            return;
+        }
+        
+        const hash = new URLSearchParams(window.location.hash.substring(1));
+        const challengeToken = hash.get('challengeToken');
+        if (challengeToken) {
+            window.history.replaceState({}, '', window.location.pathname);
+            this.showTwoFactorChallenge(challengeToken);
+            return;
+        }
+        
+        const token = hash.get('token');
+        const refreshToken = hash.get('refreshToken');
+        if (!token || !refreshToken) return;
+        
+        API.setSession({ token, refreshToken });
+        window.history.replaceState({}, '', window.location.pathname);
+    },
+    
+    // One "Continue with ..." button per configured provider
+    async renderProviderButtons() {
+        const container = document.getElementById('social-login-buttons');
+        if (!container) return;
+        
+        try {
+            const response = await API.getAuthProviders();
+            container.innerHTML = response.data.providers.map(provider => `
+                <a href="/api/auth/${encodeURIComponent(provider.name)}?mode=cookie" class="btn btn-outline" style="margin-top: 0.75rem;">Continue with ${UI.escapeHtml(provider.label)}</a>
+            `).join('');
+        } catch (error) {
+            console.error('Error loading sign-in providers:', error);
+        }
+    },
+    
+    async resetPassword(token, password) {
+        try {
+            const response = await API.resetPassword(token, password);
+            UI.hideModal('reset-password-modal');
+            window.history.replaceState({}, '', '/');
+            UI.showNotification(response.message, 'success');
+            UI.showModal('login-modal');
+        } catch (error) {
+            UI.showNotification(error.message, 'error');
+        }
+    },
+    
+    // Log the end of the impersonation and return to the admin panel as ourselves
+    async exitImpersonation() {
+        try {
+            await API.endImpersonation();
+        } catch (error) {
+            console.error('End impersonation error:', error);
+        }
+        
+        API.restoreImpersonatorSession();
+        window.location.href = 'admin.html';
+    },
+    
+    logout() {
+        // Signing out of an impersonation only ends the impersonation
+        if (App.impersonator) {
+            return this.exitImpersonation();
+        }
+        
+        // Close any open modals first
+        const openModals = document.querySelectorAll('.modal:not([hidden])');
+        openModals.forEach(modal => {
+            UI.hideModal(modal.id);
+        });
+        
+        // Revoke the server-side session; the local state is cleared either way
+        API.logout().catch(error => console.error('Logout error:', error));
+        
+        API.clearSession();
+        UI.updateHeader();
+        UI.showNotification('Logged out successfully', 'success');
+        
+        // Scroll to top
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    }
+};
+window.Auth = Auth;
+
+// Project Management
+const ProjectManager = {
+    async createProject(projectData) {
+        try {
+            const response = await API.createProject(projectData);
+            UI.hideModal('builder-modal');
+            UI.showNotification('Project created successfully!', 'success');
+            
+            // Reload projects if dashboard is open
+            if (document.getElementById('projects-container')) {
                 UI.loadProjects();
             }
         } catch (error) {
@@ -372,11 +1292,20 @@ const ProjectManager = {
             App.currentProject = response.data.project;
             UI.showModal('project-modal');
             this.loadProjectDetails();
+            this.loadProjectFiles();
         } catch (error) {
             UI.showNotification(error.message, 'error');
         }
     },
     
+    memberRoleLabels: {
+        manager: 'Manager',
+        developer: 'Developer',
+        designer: 'Designer',
+        qa: 'QA',
+        viewer: 'Viewer'
+    },
+    
     loadProjectDetails() {
         if (!App.currentProject) return;
         
@@ -389,7 +1318,7 @@ const ProjectManager = {
             <div class="modal-content large">
                 <div class="modal-header">
                     <div>
-                        <h2>${App.currentProject.title}</h2>
+                        <h2>${UI.escapeHtml(App.currentProject.title)}</h2>
                         <p style="color: #666; font-size: 0.9rem;">Created: ${createdDate}</p>
                     </div>
                     <button class="close-btn" onclick="UI.hideModal('project-modal')">×</button>
@@ -411,16 +1340,16 @@ const ProjectManager = {
                                 <label>Priority:</label>
                                 <span>${App.currentProject.priority}</span>
                             </div>` : ''}
-                            ${App.currentProject.assignedDeveloper ? `
+                            ${(App.currentProject.members || []).filter(member => member.role !== 'owner' && member.user).map(member => `
                             <div class="info-row">
-                                <label>Developer:</label>
-                                <span>${App.currentProject.assignedDeveloper.name || 'Not assigned'}</span>
-                            </div>` : ''}
+                                <label>${this.memberRoleLabels[member.role] || UI.escapeHtml(member.role)}:</label>
+                                <span>${UI.escapeHtml(member.user.name)}</span>
+                            </div>`).join('')}
                         </div>
                         
                         <div class="project-description">
                             <h3>Description</h3>
-                            <p>${App.currentProject.description}</p>
+                            <p>${UI.escapeHtml(App.currentProject.description)}</p>
                         </div>
                     </div>
                     
@@ -436,10 +1365,10 @@ const ProjectManager = {
                                 ${App.currentProject.features.map(feature => `
                                     <div class="feature-card ${feature.completed ? 'completed' : ''}">
                                         <div style="display: flex; justify-content: space-between; align-items: start; margin-bottom: 0.5rem;">
-                                            <h4>${feature.name}</h4>
+                                            <h4>${UI.escapeHtml(feature.name)}</h4>
                                             <span class="complexity-badge complexity-${feature.complexity}">${feature.complexity}</span>
                                         </div>
-                                        <p>${feature.description}</p>
+                                        <p>${UI.escapeHtml(feature.description)}</p>
                                         ${feature.estimatedHours ? `<p style="color: #666; font-size: 0.85rem;">Estimated: ${feature.estimatedHours}h</p>` : ''}
                                     </div>
                                 `).join('')}
@@ -448,183 +1377,729 @@ const ProjectManager = {
                         }
                     </div>
                     
+                    ${App.currentProject.statusHistory && App.currentProject.statusHistory.length > 0 ? `
+                    <div class="project-status-history">
+                        <h3>Status History</h3>
+                        <ul>
+                            ${App.currentProject.statusHistory.slice().reverse().map(entry => `
+                                <li>
+                                    ${entry.from ? `<span class="status status-${entry.from}">${entry.from}</span> → ` : ''}<span class="status status-${entry.to}">${entry.to}</span>
+                                    <span style="color: #666; font-size: 0.85rem;">${new Date(entry.at).toLocaleString()}${entry.actor && entry.actor.name ? ` by ${UI.escapeHtml(entry.actor.name)}` : ''}</span>
+                                    ${entry.notes ? `<p>${UI.escapeHtml(entry.notes)}</p>` : ''}
+                                </li>
+                            `).join('')}
+                        </ul>
+                    </div>` : ''}
+                    
+                    <div class="project-files">
+                        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1rem;">
+                            <h3>Files</h3>
+                            <div class="project-files-upload">
+                                <select id="project-file-category" aria-label="File type">
+                                    <option value="file">File</option>
+                                    <option value="mockup">Mockup</option>
+                                    <option value="wireframe">Wireframe</option>
+                                </select>
+                                <label class="btn btn-sm btn-outline">
+                                    Upload
+                                    <input type="file" hidden onchange="ProjectManager.uploadFile(this)">
+                                </label>
+                            </div>
+                        </div>
+                        <div id="project-files-container">
+                            <p style="color: #666;">Loading files...</p>
+                        </div>
+                    </div>
+                    
                     <div class="project-actions" style="margin-top: 2rem; padding-top: 2rem; border-top: 1px solid #eee;">
                         <button class="btn btn-primary" onclick="ProjectManager.showEditForm()">Edit Project</button>
                         <button class="btn btn-outline" onclick="ProjectManager.deleteProjectConfirm()">Delete Project</button>
                     </div>
-                </div>
-            </div>
-        `;
+                </div>
+            </div>
+        `;
+    },
+    
+    showEditForm() {
+        if (!App.currentProject) return;
+        
+        // Simple edit form in the modal
+        const modal = document.getElementById('project-modal');
+        if (!modal) return;
+        
+        modal.innerHTML = `
+            <div class="modal-content large">
+                <div class="modal-header">
+                    <h2>Edit Project</h2>
+                    <button class="close-btn" onclick="ProjectManager.openProject('${App.currentProject._id}')">×</button>
+                </div>
+                <div class="modal-body">
+                    <form id="edit-project-form">
+                        <div class="form-group">
+                            <label for="edit-title">Project Title</label>
+                            <input type="text" id="edit-title" name="title" value="${UI.escapeHtml(App.currentProject.title)}" required>
+                        </div>
+                        <div class="form-group">
+                            <label for="edit-description">Description</label>
+                            <textarea id="edit-description" name="description" required>${UI.escapeHtml(App.currentProject.description)}</textarea>
+                        </div>
+                        <div class="form-group">
+                            <label for="edit-status">Status</label>
+                            <select id="edit-status" name="status">
+                                <option value="draft" ${App.currentProject.status === 'draft' ? 'selected' : ''}>Draft</option>
+                                <option value="prototype" ${App.currentProject.status === 'prototype' ? 'selected' : ''}>Prototype</option>
+                                <option value="in-development" ${App.currentProject.status === 'in-development' ? 'selected' : ''}>In Development</option>
+                                <option value="testing" ${App.currentProject.status === 'testing' ? 'selected' : ''}>Testing</option>
+                                <option value="deployed" ${App.currentProject.status === 'deployed' ? 'selected' : ''}>Deployed</option>
+                                <option value="cancelled" ${App.currentProject.status === 'cancelled' ? 'selected' : ''}>Cancelled</option>
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label for="edit-priority">Priority</label>
+                            <select id="edit-priority" name="priority">
+                                <option value="low" ${App.currentProject.priority === 'low' ? 'selected' : ''}>Low</option>
+                                <option value="medium" ${App.currentProject.priority === 'medium' ? 'selected' : ''}>Medium</option>
+                                <option value="high" ${App.currentProject.priority === 'high' ? 'selected' : ''}>High</option>
+                                <option value="urgent" ${App.currentProject.priority === 'urgent' ? 'selected' : ''}>Urgent</option>
+                            </select>
+                        </div>
+                        <div style="display: flex; gap: 1rem;">
+                            <button type="submit" class="btn btn-primary">Save Changes</button>
+                            <button type="button" class="btn btn-outline" onclick="ProjectManager.openProject('${App.currentProject._id}')">Cancel</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+        
+        // Add form submit handler
+        const form = document.getElementById('edit-project-form');
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const formData = new FormData(form);
+            await this.updateProject({
+                title: formData.get('title'),
+                description: formData.get('description'),
+                status: formData.get('status'),
+                priority: formData.get('priority')
+            });
+        });
+    },
+    
+    async updateProject(updates) {
+        try {
+            const response = await API.updateProject(App.currentProject._id, updates);
+            App.currentProject = response.data.project;
+            this.loadProjectDetails(); // Reload to show updated data
+            this.loadProjectFiles();
+            UI.showNotification('Project updated successfully!', 'success');
+        } catch (error) {
+            UI.showNotification(error.message, 'error');
+        }
+    },
+    
+    formatFileSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+    },
+    
+    async loadProjectFiles() {
+        const container = document.getElementById('project-files-container');
+        if (!container || !App.currentProject) return;
+        
+        try {
+            const response = await API.getProjectFiles(App.currentProject._id);
+            const { files, storage } = response.data;
+            
+            const usage = `<p style="color: #666; font-size: 0.85rem;">${this.formatFileSize(storage.used)} of ${this.formatFileSize(storage.quota)} used on the ${UI.escapeHtml(storage.plan)} plan</p>`;
+            
+            if (files.length === 0) {
+                container.innerHTML = `<p style="color: #666;">No files uploaded yet.</p>${usage}`;
+                return;
+            }
+            
+            container.innerHTML = files.map(file => `
+                <div class="session-item">
+                    <div>
+                        <strong><a href="${UI.escapeHtml(file.downloadUrl)}">${UI.escapeHtml(file.name)}</a></strong>
+                        ${file.category !== 'file' ? `<span class="session-current">${UI.escapeHtml(file.category)}</span>` : ''}
+                        <p>${this.formatFileSize(file.size)} · ${new Date(file.uploadedAt).toLocaleString()}</p>
+                    </div>
+                    <button class="btn btn-sm btn-outline" onclick="ProjectManager.deleteFile('${file._id}')">Delete</button>
+                </div>
+            `).join('') + usage;
+        } catch (error) {
+            console.error('Error loading project files:', error);
+            container.innerHTML = '<p style="color: #666;">Could not load files.</p>';
+        }
+    },
+    
+    async uploadFile(input) {
+        const file = input.files[0];
+        input.value = '';
+        if (!file || !App.currentProject) return;
+        
+        const category = document.getElementById('project-file-category').value;
+        try {
+            const response = await API.uploadProjectFile(App.currentProject._id, file, category);
+            UI.showNotification(response.message, 'success');
+            this.loadProjectFiles();
+        } catch (error) {
+            UI.showNotification(error.message, 'error');
+        }
+    },
+    
+    async deleteFile(fileId) {
+        if (!confirm('Delete this file?')) return;
+        
+        try {
+            const response = await API.deleteProjectFile(App.currentProject._id, fileId);
+            UI.showNotification(response.message, 'success');
+            this.loadProjectFiles();
+        } catch (error) {
+            UI.showNotification(error.message, 'error');
+        }
+    },
+    
+    deleteProjectConfirm() {
+        if (!confirm('Are you sure you want to delete this project? This action cannot be undone.')) {
+            return;
+        }
+        this.deleteProject();
+    },
+    
+    async deleteProject() {
+        try {
+            await API.deleteProject(App.currentProject._id);
+            UI.hideModal('project-modal');
+            UI.showNotification('Project deleted successfully!', 'success');
+            
+            // Reload projects in dashboard
+            if (document.getElementById('projects-container')) {
+                UI.loadProjects();
+            }
+        } catch (error) {
+            UI.showNotification(error.message, 'error');
+        }
+    },
+    
+    async editProject(projectId) {
+        await this.openProject(projectId);
+        setTimeout(() => this.showEditForm(), 100);
+    },
+    
+    async generateFeatures(prompt) {
+        if (!App.currentProject) return;
+        
+        try {
+            const response = await API.generateFeatures(App.currentProject._id, prompt);
+            UI.showNotification('Features generated successfully!', 'success');
+            this.loadProjectDetails();
+            this.loadProjectFiles();
+        } catch (error) {
+            UI.showNotification(error.message, 'error');
+        }
+    }
+};
+window.ProjectManager = ProjectManager;
+
+// Account Settings
+const Settings = {
+    load() {
+        this.renderProfile();
+        this.loadSessions();
+        this.loadSecurityActivity();
+        this.loadConnectedAccounts();
+        this.loadNotificationPreferences();
+        this.loadApiKeys();
+        
+        // A newly created key is only shown until the modal is reopened
+        const createdKey = document.getElementById('api-key-created');
+        if (createdKey) createdKey.innerHTML = '';
+    },
+    
+    renderProfile() {
+        if (!App.user) return;
+        document.getElementById('profile-name').value = App.user.name || '';
+        document.getElementById('profile-phone').value = App.user.phone || '';
+        document.getElementById('profile-country').value = App.user.country || '';
+        document.getElementById('delete-account-code-group').hidden = !(App.user.twoFactor && App.user.twoFactor.enabled);
+        this.renderAvatar();
+        this.renderEmail();
+        this.renderPhone();
+    },
+    
+    renderPhone() {
+        const status = document.getElementById('phone-status');
+        if (App.user.phone && App.user.phoneVerified) {
+            status.textContent = `${App.user.phone} is verified. You can use it to sign in.`;
+        } else if (App.user.phone) {
+            status.textContent = `${App.user.phone} is not verified yet.`;
+        } else {
+            status.textContent = 'Add a phone number to sign in with a texted code.';
+        }
+        document.getElementById('verify-phone-number').value = App.user.phone || '';
+    },
+    
+    async sendPhoneCode() {
+        const phone = document.getElementById('verify-phone-number').value.trim();
+        if (!phone) {
+            UI.showNotification('Enter your phone number first', 'error');
+            return;
+        }
+        
+        try {
+            const response = await API.sendPhoneCode(phone);
+            UI.showNotification(response.message, 'success');
+            document.getElementById('verify-phone-code').focus();
+        } catch (error) {
+            UI.showNotification(error.message, 'error');
+        }
+    },
+    
+    async verifyPhone(code) {
+        try {
+            const response = await API.verifyPhone(code);
+            App.user = response.data.user;
+            document.getElementById('verify-phone-code').value = '';
+            this.renderProfile();
+            UI.showNotification(response.message, 'success');
+        } catch (error) {
+            UI.showNotification(error.message, 'error');
+        }
+    },
+    
+    renderEmail() {
+        document.getElementById('current-email').textContent = App.user.email;
+        
+        const pending = document.getElementById('pending-email');
+        pending.hidden = !App.user.pendingEmail;
+        if (App.user.pendingEmail) {
+            pending.innerHTML = `
+                Waiting for you to confirm <strong>${UI.escapeHtml(App.user.pendingEmail)}</strong> from the link we emailed.
+                <button class="btn btn-sm btn-outline" onclick="Settings.cancelEmailChange()">Cancel</button>
+            `;
+        }
+    },
+    
+    async changeEmail(email, password) {
+        try {
+            const response = await API.changeEmail(email, password);
+            App.user.pendingEmail = response.data.pendingEmail;
+            document.getElementById('change-email-form').reset();
+            this.renderEmail();
+            UI.showNotification(response.message, 'success');
+        } catch (error) {
+            UI.showNotification(error.message, 'error');
+        }
+    },
+    
+    async cancelEmailChange() {
+        try {
+            const response = await API.cancelEmailChange();
+            App.user.pendingEmail = null;
+            this.renderEmail();
+            UI.showNotification(response.message, 'success');
+        } catch (error) {
+            UI.showNotification(error.message, 'error');
+        }
+    },
+    
+    renderAvatar() {
+        document.getElementById('profile-avatar').src = UI.avatarUrl(App.user, 128);
+        document.getElementById('remove-avatar-btn').hidden = !(App.user.avatar && App.user.avatar.startsWith('/uploads/'));
+    },
+    
+    async uploadAvatar(input) {
+        const file = input.files[0];
+        input.value = '';
+        if (!file) return;
+        
+        try {
+            const response = await API.uploadAvatar(file);
+            App.user = response.data.user;
+            this.renderAvatar();
+            UI.updateHeader();
+            UI.showNotification(response.message, 'success');
+        } catch (error) {
+            UI.showNotification(error.message, 'error');
+        }
+    },
+    
+    async removeAvatar() {
+        if (!confirm('Remove your profile picture?')) return;
+        
+        try {
+            const response = await API.removeAvatar();
+            App.user = response.data.user;
+            this.renderAvatar();
+            UI.updateHeader();
+            UI.showNotification(response.message, 'success');
+        } catch (error) {
+            UI.showNotification(error.message, 'error');
+        }
+    },
+    
+    async saveProfile(profileData) {
+        try {
+            const response = await API.updateProfile(profileData);
+            App.user = response.data.user;
+            UI.updateHeader();
+            UI.showNotification('Profile updated successfully!', 'success');
+        } catch (error) {
+            UI.showNotification(error.message, 'error');
+        }
+    },
+    
+    async loadSessions() {
+        const container = document.getElementById('sessions-container');
+        if (!container) return;
+        
+        try {
+            const response = await API.getSessions();
+            const sessions = response.data.sessions;
+            
+            if (sessions.length === 0) {
+                container.innerHTML = '<p style="color: #666;">No active sessions.</p>';
+                return;
+            }
+            
+            container.innerHTML = sessions.map(session => {
+                const location = [session.location?.city, session.location?.country].filter(Boolean).join(', ');
+                return `
+                    <div class="session-item">
+                        <div>
+                            <strong>${UI.escapeHtml(session.device)}</strong>
+                            ${session.current ? '<span class="session-current">This device</span>' : ''}
+                            <p>${UI.escapeHtml(location || 'Unknown location')} · ${UI.escapeHtml(session.ip || '')}</p>
+                            <p>Last active ${new Date(session.lastSeenAt).toLocaleString()}</p>
+                        </div>
+                        ${session.current ? '' : `<button class="btn btn-sm btn-outline" onclick="Settings.revokeSession('${session._id}')">Sign out</button>`}
+                    </div>
+                `;
+            }).join('');
+        } catch (error) {
+            console.error('Error loading sessions:', error);
+            container.innerHTML = '<p style="color: #666;">Could not load sessions.</p>';
+        }
+    },
+    
+    async revokeSession(sessionId) {
+        try {
+            await API.revokeSession(sessionId);
+            UI.showNotification('Device signed out', 'success');
+            this.loadSessions();
+        } catch (error) {
+            UI.showNotification(error.message, 'error');
+        }
+    },
+    
+    async revokeOtherSessions() {
+        if (!confirm('Sign out of every other device?')) return;
+        
+        try {
+            const response = await API.revokeOtherSessions();
+            UI.showNotification(response.message, 'success');
+            this.loadSessions();
+        } catch (error) {
+            UI.showNotification(error.message, 'error');
+        }
+    },
+    
+    async loadConnectedAccounts() {
+        const container = document.getElementById('connected-accounts-container');
+        if (!container) return;
+        
+        try {
+            const response = await API.getIdentities();
+            const providers = response.data.providers;
+            
+            if (providers.length === 0) {
+                container.innerHTML = '<p style="color: #666;">No sign-in providers are available.</p>';
+                return;
+            }
+            
+            container.innerHTML = providers.map(provider => {
+                let action = `<button class="btn btn-sm btn-outline" onclick="Settings.linkIdentity('${provider.name}')">Connect</button>`;
+                if (provider.linked) {
+                    action = provider.canUnlink
+                        ? `<button class="btn btn-sm btn-outline" onclick="Settings.unlinkIdentity('${provider.name}')">Disconnect</button>`
+                        : '<span style="color: #666;" title="Set a password or connect another provider first">Only sign-in method</span>';
+                }
+                return `
+                    <div class="session-item">
+                        <div>
+                            <strong>${UI.escapeHtml(provider.label)}</strong>
+                            <p>${provider.linked ? `Connected as ${UI.escapeHtml(provider.email || 'unknown')} · ${new Date(provider.linkedAt).toLocaleDateString()}` : 'Not connected'}</p>
+                        </div>
+                        ${action}
+                    </div>
+                `;
+            }).join('');
+        } catch (error) {
+            console.error('Error loading connected accounts:', error);
+            container.innerHTML = '<p style="color: #666;">Could not load connected accounts.</p>';
+        }
     },
     
-    showEditForm() {
-        if (!App.currentProject) return;
+    async linkIdentity(provider) {
+        try {
+            const response = await API.linkIdentity(provider);
+            window.location.href = response.data.url;
+        } catch (error) {
+            UI.showNotification(error.message, 'error');
+        }
+    },
+    
+    async unlinkIdentity(provider) {
+        if (!confirm('Disconnect this account? You will no longer be able to sign in with it.')) return;
         
-        // Simple edit form in the modal
-        const modal = document.getElementById('project-modal');
-        if (!modal) return;
+        try {
+            const response = await API.unlinkIdentity(provider);
+            UI.showNotification(response.message, 'success');
+            this.loadConnectedAccounts();
+        } catch (error) {
+            UI.showNotification(error.message, 'error');
+        }
+    },
+    
+    notificationChannelLabels: { email: 'Email', push: 'Push', sms: 'SMS' },
+    
+    async loadNotificationPreferences() {
+        const container = document.getElementById('notification-preferences-container');
+        if (!container) return;
         
-        modal.innerHTML = `
-            <div class="modal-content large">
-                <div class="modal-header">
-                    <h2>Edit Project</h2>
-                    <button class="close-btn" onclick="ProjectManager.openProject('${App.currentProject._id}')">×</button>
+        try {
+            const response = await API.getNotificationPreferences();
+            const preferences = response.data.preferences;
+            const channels = Object.keys(this.notificationChannelLabels);
+            const channelOption = (name, label, checked, disabled) => `
+                <label><input type="checkbox" name="${name}" ${checked ? 'checked' : ''} ${disabled ? 'disabled' : ''}> ${label}</label>
+            `;
+            
+            container.innerHTML = `
+                <div class="session-item">
+                    <div>
+                        <strong>Channels</strong>
+                        <p>Turning a channel off here silences it for every notification.${preferences.smsAvailable ? '' : ' Verify a phone number to get text messages.'}</p>
+                    </div>
+                    <div class="checkbox-group">
+                        ${channels.map(channel => channelOption(`master-${channel}`, this.notificationChannelLabels[channel], preferences.channels[channel])).join('')}
+                    </div>
                 </div>
-                <div class="modal-body">
-                    <form id="edit-project-form">
-                        <div class="form-group">
-                            <label for="edit-title">Project Title</label>
-                            <input type="text" id="edit-title" name="title" value="${App.currentProject.title}" required>
-                        </div>
-                        <div class="form-group">
-                            <label for="edit-description">Description</label>
-                            <textarea id="edit-description" name="description" required>${App.currentProject.description}</textarea>
-                        </div>
-                        <div class="form-group">
-                            <label for="edit-status">Status</label>
-                            <select id="edit-status" name="status">
-                                <option value="draft" ${App.currentProject.status === 'draft' ? 'selected' : ''}>Draft</option>
-                                <option value="prototype" ${App.currentProject.status === 'prototype' ? 'selected' : ''}>Prototype</option>
-                                <option value="in-development" ${App.currentProject.status === 'in-development' ? 'selected' : ''}>In Development</option>
-                                <option value="testing" ${App.currentProject.status === 'testing' ? 'selected' : ''}>Testing</option>
-                                <option value="deployed" ${App.currentProject.status === 'deployed' ? 'selected' : ''}>Deployed</option>
-                                <option value="cancelled" ${App.currentProject.status === 'cancelled' ? 'selected' : ''}>Cancelled</option>
-                            </select>
-                        </div>
-                        <div class="form-group">
-                            <label for="edit-priority">Priority</label>
-                            <select id="edit-priority" name="priority">
-                                <option value="low" ${App.currentProject.priority === 'low' ? 'selected' : ''}>Low</option>
-                                <option value="medium" ${App.currentProject.priority === 'medium' ? 'selected' : ''}>Medium</option>
-                                <option value="high" ${App.currentProject.priority === 'high' ? 'selected' : ''}>High</option>
-                                <option value="urgent" ${App.currentProject.priority === 'urgent' ? 'selected' : ''}>Urgent</option>
-                            </select>
+                ${preferences.events.map(event => `
+                    <div class="session-item notification-event" data-event="${event.type}">
+                        <div>
+                            <strong>${UI.escapeHtml(event.label)}</strong>
+                            <p>${UI.escapeHtml(event.description)}</p>
+                            <div class="checkbox-group">
+                                ${channels.map(channel => channelOption(channel, this.notificationChannelLabels[channel], event.channels.includes(channel))).join('')}
+                            </div>
                         </div>
-                        <div style="display: flex; gap: 1rem;">
-                            <button type="submit" class="btn btn-primary">Save Changes</button>
-                            <button type="button" class="btn btn-outline" onclick="ProjectManager.openProject('${App.currentProject._id}')">Cancel</button>
+                        <div class="notification-quiet-hours">
+                            ${channelOption('quiet', 'Quiet hours', event.quietHours.enabled)}
+                            <input type="time" name="quiet-start" value="${event.quietHours.start}" aria-label="Quiet hours start">
+                            <span>to</span>
+                            <input type="time" name="quiet-end" value="${event.quietHours.end}" aria-label="Quiet hours end">
                         </div>
-                    </form>
-                </div>
-            </div>
-        `;
-        
-        // Add form submit handler
-        const form = document.getElementById('edit-project-form');
-        form.addEventListener('submit', async (e) => {
-            e.preventDefault();
-            const formData = new FormData(form);
-            await this.updateProject({
-                title: formData.get('title'),
-                description: formData.get('description'),
-                status: formData.get('status'),
-                priority: formData.get('priority')
-            });
-        });
+                    </div>
+                `).join('')}
+                <p style="color: #666; font-size: .85rem;">Notifications that arrive during quiet hours are sent when they end. Times are in ${UI.escapeHtml(this.browserTimeZone())}.</p>
+                <button class="btn btn-primary btn-sm" onclick="Settings.saveNotificationPreferences()">Save Notification Settings</button>
+            `;
+        } catch (error) {
+            console.error('Error loading notification preferences:', error);
+            container.innerHTML = '<p style="color: #666;">Could not load notification settings.</p>';
+        }
     },
     
-    async updateProject(updates) {
+    browserTimeZone() {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    },
+    
+    async saveNotificationPreferences() {
+        const container = document.getElementById('notification-preferences-container');
+        const channels = Object.keys(this.notificationChannelLabels);
+        const checked = (root, name) => root.querySelector(`[name="${name}"]`).checked;
+        
+        const events = {};
+        container.querySelectorAll('.notification-event').forEach(row => {
+            events[row.dataset.event] = {
+                channels: channels.filter(channel => checked(row, channel)),
+                quietHours: {
+                    enabled: checked(row, 'quiet'),
+                    start: row.querySelector('[name="quiet-start"]').value,
+                    end: row.querySelector('[name="quiet-end"]').value
+                }
+            };
+        });
+        
         try {
-            const response = await API.updateProject(App.currentProject._id, updates);
-            App.currentProject = response.data.project;
-            this.loadProjectDetails(); // Reload to show updated data
-            UI.showNotification('Project updated successfully!', 'success');
+            await API.updateNotificationPreferences({
+                timezone: this.browserTimeZone(),
+                channels: Object.fromEntries(channels.map(channel => [channel, checked(container, `master-${channel}`)])),
+                events
+            });
+            UI.showNotification('Notification settings saved', 'success');
         } catch (error) {
             UI.showNotification(error.message, 'error');
         }
     },
     
-    deleteProjectConfirm() {
-        if (!confirm('Are you sure you want to delete this project? This action cannot be undone.')) {
-            return;
+    securityActivityLabels: {
+        'auth.register': 'Account created',
+        'auth.login': 'Signed in',
+        'auth.login_failed': 'Failed sign-in attempt',
+        'auth.account_locked': 'Account locked after failed sign-ins',
+        'auth.account_unlocked': 'Account unlocked',
+        'auth.password_change_failed': 'Password change attempt with wrong password',
+        'auth.password_changed': 'Password changed',
+        'auth.password_reset': 'Password reset',
+        'auth.new_device_login': 'Signed in from a new device or country',
+        'auth.login_disowned': 'Sign-in reported as not you; signed out everywhere',
+        'auth.two_factor_enabled': 'Two-factor authentication enabled',
+        'auth.two_factor_disabled': 'Two-factor authentication disabled',
+        'auth.recovery_codes_regenerated': 'Recovery codes regenerated',
+        'auth.session_revoked': 'Device signed out',
+        'auth.sessions_revoked': 'Signed out of other devices',
+        'auth.api_key_created': 'API key created',
+        'auth.api_key_revoked': 'API key revoked',
+        'auth.email_change_requested': 'Email change requested',
+        'auth.email_changed': 'Email address changed',
+        'auth.phone_verified': 'Phone number verified',
+        'auth.identity_linked': 'Sign-in provider connected',
+        'auth.identity_unlinked': 'Sign-in provider disconnected',
+        'auth.account_deletion_scheduled': 'Account deletion requested',
+        'auth.account_restored': 'Account deletion cancelled',
+        'admin.user_role_changed': 'Role changed by an administrator',
+        'admin.user_unlocked': 'Account unlocked by an administrator',
+        'admin.impersonation_started': 'Support viewed your account'
+    },
+    
+    async loadSecurityActivity() {
+        const container = document.getElementById('security-activity-container');
+        if (!container) return;
+        
+        try {
+            const response = await API.getSecurityActivity();
+            const events = response.data.events;
+            
+            if (events.length === 0) {
+                container.innerHTML = '<p style="color: #666;">No recent activity.</p>';
+                return;
+            }
+            
+            container.innerHTML = events.map(event => {
+                const method = event.metadata?.method ? ` (${event.metadata.method})` : '';
+                const label = (this.securityActivityLabels[event.action] || event.action) + method;
+                return `
+                    <div class="session-item">
+                        <div>
+                            <strong>${UI.escapeHtml(label)}</strong>
+                            <p>${UI.escapeHtml(event.device)} · ${UI.escapeHtml(event.ip || '')}</p>
+                            <p>${new Date(event.createdAt).toLocaleString()}</p>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+        } catch (error) {
+            console.error('Error loading security activity:', error);
+            container.innerHTML = '<p style="color: #666;">Could not load security activity.</p>';
         }
-        this.deleteProject();
     },
     
-    async deleteProject() {
+    async loadApiKeys() {
+        const container = document.getElementById('api-keys-container');
+        if (!container) return;
+        
         try {
-            await API.deleteProject(App.currentProject._id);
-            UI.hideModal('project-modal');
-            UI.showNotification('Project deleted successfully!', 'success');
+            const response = await API.getApiKeys();
+            const { apiKeys, scopes } = response.data;
             
-            // Reload projects in dashboard
-            if (document.getElementById('projects-container')) {
-                UI.loadProjects();
+            const scopesContainer = document.getElementById('api-key-scopes');
+            scopesContainer.innerHTML = scopes.map(scope => `
+                <label class="checkbox-label">
+                    <input type="checkbox" name="scopes" value="${scope}"> ${scope}
+                </label>
+            `).join('');
+            
+            if (apiKeys.length === 0) {
+                container.innerHTML = '<p style="color: #666;">No API keys yet.</p>';
+                return;
             }
+            
+            container.innerHTML = apiKeys.map(apiKey => `
+                <div class="session-item">
+                    <div>
+                        <strong>${UI.escapeHtml(apiKey.name)}</strong>
+                        <p><code>nix_${apiKey.prefix}_…</code> · ${apiKey.scopes.join(', ')}</p>
+                        <p>${apiKey.lastUsedAt ? `Last used ${new Date(apiKey.lastUsedAt).toLocaleString()}` : 'Never used'} · ${apiKey.expiresAt ? `Expires ${new Date(apiKey.expiresAt).toLocaleDateString()}` : 'Never expires'}</p>
+                    </div>
+                    <button class="btn btn-sm btn-outline" onclick="Settings.revokeApiKey('${apiKey._id}')">Revoke</button>
+                </div>
+            `).join('');
         } catch (error) {
-            UI.showNotification(error.message, 'error');
+            console.error('Error loading API keys:', error);
+            container.innerHTML = '<p style="color: #666;">Could not load API keys.</p>';
         }
     },
     
-    async editProject(projectId) {
-        await this.openProject(projectId);
-        setTimeout(() => this.showEditForm(), 100);
+    async createApiKey(keyData) {
+        try {
+            const response = await API.createApiKey(keyData);
+            document.getElementById('api-key-created').innerHTML = `
+                <p style="margin-bottom: 0.5rem;">${response.message}</p>
+                <pre style="background: #f9fafb; padding: 1rem; border-radius: 8px; word-break: break-all; white-space: pre-wrap;">${response.data.key}</pre>
+            `;
+            document.getElementById('api-key-form').reset();
+            this.loadApiKeys();
+        } catch (error) {
+            UI.showNotification(error.message, 'error');
+        }
     },
     
-    async generateFeatures(prompt) {
-        if (!App.currentProject) return;
+    async revokeApiKey(keyId) {
+        if (!confirm('Revoke this API key? Scripts using it will stop working.')) return;
         
         try {
-            const response = await API.generateFeatures(App.currentProject._id, prompt);
-            UI.showNotification('Features generated successfully!', 'success');
-            this.loadProjectDetails();
+            await API.revokeApiKey(keyId);
+            UI.showNotification('API key revoked', 'success');
+            this.loadApiKeys();
         } catch (error) {
             UI.showNotification(error.message, 'error');
         }
-    }
-};
-window.ProjectManager = ProjectManager;
-
-// Avatar Generator
-const AvatarGenerator = {
-    generateInitials(name) {
-        if (!name) return 'U';
-        const parts = name.trim().split(' ');
-        if (parts.length >= 2) {
-            return (parts[0][0] + parts[parts.length - 1][0]).toUpperCase();
-        }
-        return parts[0].substring(0, 2).toUpperCase();
-    },
-    
-    generateColor(name) {
-        if (!name) return '#8b5cf6';
-        const colors = [
-            '#8b5cf6', // Purple
-            '#3b82f6', // Blue
-            '#10b981', // Green
-            '#f59e0b', // Orange
-            '#ef4444', // Red
-            '#6366f1', // Indigo
-            '#ec4899', // Pink
-            '#14b8a6'  // Teal
-        ];
-        let hash = 0;
-        for (let i = 0; i < name.length; i++) {
-            hash = name.charCodeAt(i) + ((hash << 5) - hash);
-        }
-        return colors[Math.abs(hash) % colors.length];
-    },
-    
-    createAvatar(name, size = 40) {
-        const initials = this.generateInitials(name);
-        const color = this.generateColor(name);
-        
-        const svg = `
-            <svg width="${size}" height="${size}" xmlns="http://www.w3.org/2000/svg">
-                <rect width="${size}" height="${size}" fill="${color}"/>
-                <text x="50%" y="50%" text-anchor="middle" dy=".35em" 
-                      fill="white" font-size="${size * 0.4}" font-weight="600" 
-                      font-family="system-ui, -apple-system, sans-serif">
-                    ${initials}
-                </text>
-            </svg>
-        `;
+    },
+    
+    async downloadData() {
+        try {
+            const archive = await API.exportData();
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(archive);
+            link.download = `nixicon-data-${new Date().toISOString().slice(0, 10)}.zip`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        } catch (error) {
+            UI.showNotification(error.message, 'error');
+        }
+    },
+    
+    async deleteAccount(confirmation) {
+        if (!confirm('Delete your account? You will be signed out everywhere and have 30 days to change your mind.')) return;
         
-        const blob = new Blob([svg], { type: 'image/svg+xml' });
-        return URL.createObjectURL(blob);
+        try {
+            const response = await API.deleteAccount(confirmation);
+            UI.hideModal('settings-modal');
+            API.clearSession();
+            UI.updateHeader();
+            UI.showNotification(response.message, 'success');
+        } catch (error) {
+            UI.showNotification(error.message, 'error');
+        }
     }
 };
-window.AvatarGenerator = AvatarGenerator;
+window.Settings = Settings;
 
 // Enhanced Mobile Navigation
 const navToggle = document.querySelector('.nav-toggle');
@@ -1166,8 +2641,11 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
     
     // Check for existing auth
-    if (App.token) {
+    Auth.checkOAuthRedirect();
+    Auth.renderProviderButtons();
+    if (API.hasSession()) {
         await API.getCurrentUser();
+        await Auth.checkPendingDeletion();
     }
     
     // Update header
@@ -1250,6 +2728,162 @@ document.addEventListener('DOMContentLoaded', async () => {
         });
     }
     
+    const profileForm = document.getElementById('profile-form');
+    if (profileForm) {
+        profileForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            if (!FormValidator.validateForm(profileForm)) {
+                MobileUtils.hapticFeedback();
+                return;
+            }
+            
+            const formData = new FormData(e.target);
+            await Settings.saveProfile({
+                name: formData.get('name'),
+                phone: formData.get('phone') || undefined,
+                country: formData.get('country') || undefined
+            });
+        });
+    }
+    
+    const phoneLoginForm = document.getElementById('phone-login-form');
+    if (phoneLoginForm) {
+        phoneLoginForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            const formData = new FormData(e.target);
+            await Auth.phoneLogin(formData.get('phone').trim(), formData.get('code').trim());
+        });
+    }
+    
+    const verifyPhoneForm = document.getElementById('verify-phone-form');
+    if (verifyPhoneForm) {
+        verifyPhoneForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            const formData = new FormData(e.target);
+            await Settings.verifyPhone(formData.get('code').trim());
+        });
+    }
+    
+    const changeEmailForm = document.getElementById('change-email-form');
+    if (changeEmailForm) {
+        changeEmailForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            const formData = new FormData(e.target);
+            await Settings.changeEmail(formData.get('email'), formData.get('password') || undefined);
+        });
+    }
+    
+    const deleteAccountForm = document.getElementById('delete-account-form');
+    if (deleteAccountForm) {
+        deleteAccountForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            const formData = new FormData(e.target);
+            await Settings.deleteAccount({
+                password: formData.get('password') || undefined,
+                confirm: formData.get('confirm') || undefined,
+                code: formData.get('code') || undefined
+            });
+        });
+    }
+    
+    const apiKeyForm = document.getElementById('api-key-form');
+    if (apiKeyForm) {
+        apiKeyForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            const formData = new FormData(e.target);
+            const scopes = formData.getAll('scopes');
+            if (scopes.length === 0) {
+                UI.showNotification('Select at least one scope', 'error');
+                return;
+            }
+            
+            const expiresInDays = formData.get('expiresInDays');
+            await Settings.createApiKey({
+                name: formData.get('name'),
+                scopes,
+                expiresInDays: expiresInDays ? parseInt(expiresInDays) : null
+            });
+        });
+    }
+    
+    const twoFactorForm = document.getElementById('two-factor-form');
+    if (twoFactorForm) {
+        twoFactorForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            if (!FormValidator.validateForm(twoFactorForm)) {
+                MobileUtils.hapticFeedback();
+                return;
+            }
+            
+            const formData = new FormData(e.target);
+            await Auth.verifyTwoFactor(formData.get('challengeToken'), formData.get('code'));
+        });
+    }
+    
+    const forgotPasswordForm = document.getElementById('forgot-password-form');
+    if (forgotPasswordForm) {
+        forgotPasswordForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            if (!FormValidator.validateForm(forgotPasswordForm)) {
+                MobileUtils.hapticFeedback();
+                return;
+            }
+            
+            const formData = new FormData(e.target);
+            await Auth.forgotPassword(formData.get('email'));
+        });
+    }
+    
+    const resetPasswordForm = document.getElementById('reset-password-form');
+    if (resetPasswordForm) {
+        resetPasswordForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            if (!FormValidator.validateForm(resetPasswordForm)) {
+                MobileUtils.hapticFeedback();
+                return;
+            }
+            
+            const formData = new FormData(e.target);
+            if (formData.get('password') !== formData.get('confirmPassword')) {
+                UI.showNotification('Passwords do not match', 'error');
+                return;
+            }
+            await Auth.resetPassword(formData.get('token'), formData.get('password'));
+        });
+    }
+    
+    const developerInviteForm = document.getElementById('developer-invite-form');
+    if (developerInviteForm) {
+        developerInviteForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            const formData = new FormData(e.target);
+            if (formData.get('password') !== formData.get('confirmPassword')) {
+                UI.showNotification('Passwords do not match', 'error');
+                return;
+            }
+            await Auth.acceptDeveloperInvite(formData.get('token'), formData.get('name'), formData.get('password'));
+        });
+    }
+    
+    Auth.checkResetLink();
+    Auth.checkDeveloperInviteLink();
+    Auth.checkUnlockLink();
+    Auth.checkNotMeLink();
+    Auth.checkUnsubscribeLink();
+    Auth.checkVerifyLink();
+    Auth.checkMagicLink();
+    Auth.checkInviteLink();
+    
     const builderForm = document.getElementById('builder-form');
     if (builderForm) {
         // Real-time validation
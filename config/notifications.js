@@ -0,0 +1,41 @@
+// Notification registry.
+//
+// Every notification belongs to one of these event types. Users pick, per event, which
+// channels it arrives on and an optional quiet-hours window; the account-wide switches in
+// `preferences.notifications` still turn a channel off for everything.
+//   email - sent with a one-click unsubscribe link for the event
+//   push  - real-time event on the user's socket room
+//   sms   - text message to the user's verified phone
+
+const NOTIFICATION_CHANNELS = ['email', 'push', 'sms'];
+
+const NOTIFICATION_EVENTS = {
+  'new-message': {
+    label: 'New messages',
+    description: 'Someone posts a message or update on one of your projects',
+    defaultChannels: ['email', 'push']
+  },
+  'status-change': {
+    label: 'Status changes',
+    description: 'One of your projects moves to a new stage',
+    defaultChannels: ['email', 'push']
+  },
+  'payment-receipt': {
+    label: 'Payment receipts',
+    description: 'A payment you made has been confirmed',
+    defaultChannels: ['email']
+  },
+  'milestone-due': {
+    label: 'Milestone reminders',
+    description: 'A project milestone is due within the next day',
+    defaultChannels: ['email', 'push']
+  }
+};
+
+const NOTIFICATION_EVENT_TYPES = Object.keys(NOTIFICATION_EVENTS);
+
+module.exports = {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_EVENTS,
+  NOTIFICATION_EVENT_TYPES
+};
@@ -1,52 +1,190 @@
 const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
+const OAuth2Strategy = require('passport-oauth2');
 const User = require('../models/User');
+const { hashToken, verifyPurposeToken } = require('../utils/tokens');
+const { OAUTH_LINK_COOKIE, getCookie } = require('../utils/authCookies');
 
-// Configure Google OAuth Strategy (only if credentials are provided)
-if (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET) {
-  passport.use(new GoogleStrategy({
-    clientID: process.env.GOOGLE_CLIENT_ID,
-    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-    callbackURL: process.env.GOOGLE_CALLBACK_URL || '/api/auth/google/callback'
-  }, async (accessToken, refreshToken, profile, done) => {
+// Fetch JSON from a provider API with the user's access token
+const fetchJson = async (url, accessToken) => {
+  const response = await fetch(url, {
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      Accept: 'application/json',
+      'User-Agent': 'Nixicon'
+    }
+  });
+  if (!response.ok) {
+    throw new Error(`${url} returned ${response.status}`);
+  }
+  return response.json();
+};
+
+// Generic OAuth2 strategy with our own profile lookup, for providers without a bundled strategy.
+// Profiles are normalised to passport's shape: { id, displayName, emails: [{ value, verified }], photos }.
+const oauth2Provider = ({ authorizationURL, tokenURL, fetchProfile }) => (options, verify) => {
+  const strategy = new OAuth2Strategy({ ...options, authorizationURL, tokenURL }, verify);
+  strategy.userProfile = (accessToken, done) => {
+    fetchProfile(accessToken).then(profile => done(null, profile), done);
+  };
+  return strategy;
+};
+
+// Sign-in providers. Each one is enabled when <NAME>_CLIENT_ID and <NAME>_CLIENT_SECRET are set;
+// <NAME>_CALLBACK_URL overrides the default /api/auth/<name>/callback.
+const PROVIDERS = {
+  google: {
+    label: 'Google',
+    scope: ['profile', 'email'],
+    createStrategy: (options, verify) => new GoogleStrategy(options, verify)
+  },
+  github: {
+    label: 'GitHub',
+    scope: ['read:user', 'user:email'],
+    createStrategy: oauth2Provider({
+      authorizationURL: 'https://github.com/login/oauth/authorize',
+      tokenURL: 'https://github.com/login/oauth/access_token',
+      fetchProfile: async (accessToken) => {
+        const [account, emails] = await Promise.all([
+          fetchJson('https://api.github.com/user', accessToken),
+          fetchJson('https://api.github.com/user/emails', accessToken)
+        ]);
+        const primary = emails.find(email => email.primary) || emails[0];
+        return {
+          id: String(account.id),
+          displayName: account.name || account.login,
+          emails: primary ? [{ value: primary.email, verified: primary.verified }] : [],
+          photos: account.avatar_url ? [{ value: account.avatar_url }] : []
+        };
+      }
+    })
+  },
+  microsoft: {
+    label: 'Microsoft',
+    scope: ['openid', 'profile', 'email', 'User.Read'],
+    createStrategy: (options, verify) => {
+      const tenant = process.env.MICROSOFT_TENANT || 'common';
+      return oauth2Provider({
+        authorizationURL: `https://login.microsoftonline.com/${tenant}/oauth2/v2.0/authorize`,
+        tokenURL: `https://login.microsoftonline.com/${tenant}/oauth2/v2.0/token`,
+        fetchProfile: async (accessToken) => {
+          const account = await fetchJson('https://graph.microsoft.com/v1.0/me', accessToken);
+          const email = account.mail || account.userPrincipalName;
+          return {
+            id: account.id,
+            displayName: account.displayName,
+            // Graph doesn't say whether the address was verified, so never auto-link on it
+            emails: email ? [{ value: email, verified: false }] : [],
+            photos: []
+          };
+        }
+      })(options, verify);
+    }
+  }
+};
+
+const envPrefix = (name) => name.toUpperCase();
+
+const isProviderEnabled = (name) => Boolean(
+  PROVIDERS[name] &&
+  process.env[`${envPrefix(name)}_CLIENT_ID`] &&
+  process.env[`${envPrefix(name)}_CLIENT_SECRET`]
+);
+
+const getEnabledProviders = () => Object.keys(PROVIDERS)
+  .filter(isProviderEnabled)
+  .map(name => ({ name, label: PROVIDERS[name].label }));
+
+// Shared verify callback. With a 'link-provider' token in the OAuth state the identity is added
+// to that signed-in user, provided the browser also holds the nonce cookie set when linking
+// started (POST /api/auth/identities/:provider/link); otherwise we sign in by identity, then by verified email, then sign up.
+// `info.action` tells the callback route whether this was a link or a sign-in; `info.reason`
+// explains a refusal.
+const verifyIdentity = (provider) => async (req, accessToken, refreshToken, profile, done) => {
   try {
-    // Check if user already exists with this Google ID
-    let user = await User.findOne({ googleId: profile.id });
-    
-    if (user) {
-      return done(null, user);
+    const providerId = String(profile.id);
+    const primaryEmail = profile.emails && profile.emails[0];
+    const email = primaryEmail && primaryEmail.value && primaryEmail.value.toLowerCase();
+    const emailVerified = Boolean(primaryEmail) && primaryEmail.verified !== false;
+    const label = PROVIDERS[provider].label;
+
+    const identityOwner = await User.findByIdentity(provider, providerId);
+
+    const linkRequest = req.query.state && verifyPurposeToken(req.query.state, 'link-provider');
+    if (linkRequest && linkRequest.provider === provider) {
+      const nonce = getCookie(req, OAUTH_LINK_COOKIE);
+      if (!nonce || !linkRequest.nonce || hashToken(nonce) !== linkRequest.nonce) {
+        return done(null, false, { reason: 'link-failed' });
+      }
+
+      if (identityOwner && !identityOwner._id.equals(linkRequest.userId)) {
+        return done(null, false, { reason: 'identity-taken' });
+      }
+
+      const user = await User.findById(linkRequest.userId);
+      if (!user) {
+        return done(null, false, { reason: 'link-failed' });
+      }
+
+      user.linkIdentity(provider, providerId, email);
+      await user.save();
+      return done(null, user, { action: 'linked' });
+    }
+
+    if (identityOwner) {
+      return done(null, identityOwner, { action: 'login' });
     }
-    
-    // Check if user exists with same email
-    user = await User.findOne({ email: profile.emails[0].value });
-    
+
+    if (!email) {
+      return done(new Error(`${label} account has no email address`), null);
+    }
+
+    let user = await User.findOne({ email });
+
     if (user) {
-      // Link Google account to existing user
-      user.googleId = profile.id;
-      user.avatar = profile.photos[0]?.value;
-      user.isVerified = true; // Google accounts are pre-verified
+      // Only trust the provider's word for the address if it says it verified it
+      if (!emailVerified) {
+        return done(null, false, { reason: 'email-taken' });
+      }
+
+      user.linkIdentity(provider, providerId, email);
+      user.avatar = user.avatar || profile.photos?.[0]?.value;
+      user.isVerified = true;
       await user.save();
-      return done(null, user);
+      return done(null, user, { action: 'login', identityAdded: true });
     }
-    
+
     // Create new user
     user = new User({
-      googleId: profile.id,
-      name: profile.displayName,
-      email: profile.emails[0].value,
-      avatar: profile.photos[0]?.value,
-      isVerified: true // Google accounts are pre-verified
+      name: profile.displayName || email.split('@')[0],
+      email,
+      avatar: profile.photos?.[0]?.value,
+      isVerified: emailVerified
     });
-    
+    user.linkIdentity(provider, providerId, email);
+
     await user.save();
-    return done(null, user);
+    return done(null, user, { action: 'login', created: true });
   } catch (error) {
-    console.error('Google OAuth error:', error);
+    console.error(`${provider} OAuth error:`, error);
     return done(error, null);
   }
-  }));
-} else {
-  console.log('⚠️  Google OAuth not configured. Set GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET to enable Google sign-in.');
+};
+
+// Register a strategy for every configured provider
+Object.entries(PROVIDERS).forEach(([name, provider]) => {
+  if (!isProviderEnabled(name)) return;
+
+  passport.use(name, provider.createStrategy({
+    clientID: process.env[`${envPrefix(name)}_CLIENT_ID`],
+    clientSecret: process.env[`${envPrefix(name)}_CLIENT_SECRET`],
+    callbackURL: process.env[`${envPrefix(name)}_CALLBACK_URL`] || `/api/auth/${name}/callback`,
+    passReqToCallback: true
+  }, verifyIdentity(name)));
+});
+
+if (getEnabledProviders().length === 0) {
+  console.log('⚠️  Social sign-in not configured. Set e.g. GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET (also GITHUB_ / MICROSOFT_) to enable it.');
 }
 
 // Serialize user for session
@@ -64,4 +202,9 @@ passport.deserializeUser(async (id, done) => {
   }
 });
 
-module.exports = passport;
+module.exports = {
+  passport,
+  PROVIDERS,
+  isProviderEnabled,
+  getEnabledProviders
+};
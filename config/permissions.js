@@ -0,0 +1,166 @@
+// Central permission registry.
+//
+// Roles are granted actions. Actions on a resource come in two strengths:
+//   'project:update'      - only projects the user is related to (see `relations`)
+//   'project:update:any'  - every project on the platform
+// Actions without a resource (e.g. 'admin:dashboard') are simply granted or not.
+
+const Organization = require('../models/Organization');
+const Project = require('../models/Project');
+
+const ORG_ALL = Organization.ROLES;
+const ORG_CONTRIBUTORS = Organization.CONTRIBUTOR_ROLES;
+const ORG_MANAGERS = Organization.MANAGER_ROLES;
+
+const PROJECT_ALL = Project.ROLES;
+const PROJECT_CONTRIBUTORS = Project.CONTRIBUTOR_ROLES;
+const PROJECT_EDITORS = Project.EDITOR_ROLES;
+const PROJECT_MANAGERS = Project.MANAGER_ROLES;
+
+// `relations` says how a user can be related to a resource for the scoped form of an action:
+// through one of the given member roles on the resource itself (`memberRoles`; a project's or
+// organization's owner is the member with the 'owner' role) or, for projects, through one of
+// the given roles in the project's organization (`orgRoles`).
+const ACTIONS = {
+  'project:create': { description: 'Create projects' },
+  'project:read': {
+    description: 'View projects',
+    resource: 'project',
+    relations: { memberRoles: PROJECT_ALL, orgRoles: ORG_ALL }
+  },
+  'project:update': {
+    description: 'Edit project details',
+    resource: 'project',
+    relations: { memberRoles: PROJECT_EDITORS, orgRoles: ORG_CONTRIBUTORS }
+  },
+  'project:delete': {
+    description: 'Delete projects',
+    resource: 'project',
+    relations: { memberRoles: ['owner'], orgRoles: ORG_MANAGERS }
+  },
+  'project:ai-generate': {
+    description: 'Generate project features with AI',
+    resource: 'project',
+    relations: { memberRoles: PROJECT_EDITORS, orgRoles: ORG_CONTRIBUTORS }
+  },
+  'project:communicate': {
+    description: 'Post project updates and chat messages',
+    resource: 'project',
+    relations: { memberRoles: PROJECT_CONTRIBUTORS, orgRoles: ORG_CONTRIBUTORS }
+  },
+  'project:update-status': {
+    description: 'Move projects between statuses',
+    resource: 'project',
+    relations: { memberRoles: Project.DELIVERY_ROLES }
+  },
+  'project:manage-members': {
+    description: 'Add and remove project members',
+    resource: 'project',
+    relations: { memberRoles: PROJECT_MANAGERS, orgRoles: ORG_MANAGERS }
+  },
+  'project:assign': { description: 'Assign developers to projects' },
+  'payment:create': {
+    description: 'Pay for projects and subscriptions',
+    resource: 'project',
+    relations: { memberRoles: ['owner'] }
+  },
+  'payment:read': {
+    description: 'View payment history',
+    resource: 'project',
+    relations: { memberRoles: ['owner'] }
+  },
+  'organization:create': { description: 'Create organizations' },
+  'organization:read': {
+    description: 'View organizations and join them by invitation',
+    resource: 'organization',
+    relations: { memberRoles: ORG_ALL }
+  },
+  'organization:update': {
+    description: 'Rename organizations',
+    resource: 'organization',
+    relations: { memberRoles: ORG_MANAGERS }
+  },
+  'organization:delete': {
+    description: 'Delete organizations',
+    resource: 'organization',
+    relations: { memberRoles: ['owner'] }
+  },
+  'organization:manage-members': {
+    description: 'Invite, remove and change the roles of organization members',
+    resource: 'organization',
+    relations: { memberRoles: ORG_MANAGERS }
+  },
+  'notification:preferences': { description: 'Choose notification channels and quiet hours' },
+  'admin:access': { description: 'Open the admin panel' },
+  'admin:dashboard': { description: 'View dashboard statistics' },
+  'admin:analytics': { description: 'View analytics and revenue' },
+  'developer:read': { description: 'List developers' },
+  'developer:manage': { description: 'Add developers' },
+  'user:security': { description: 'View login attempts and unlock accounts' },
+  'user:manage-roles': { description: 'Change user roles' },
+  'user:purge': { description: 'Purge accounts whose deletion grace period has ended' },
+  'user:impersonate': { description: 'View the app as another user' },
+  'notification:run': { description: 'Send queued notifications and milestone reminders' },
+  'settings:manage': { description: 'Change security settings and role permissions' },
+  'audit:read': { description: 'View the audit log' }
+};
+
+const ROLES = ['user', 'developer', 'admin', 'project-manager', 'designer', 'finance', 'support', 'stakeholder'];
+
+// Admins always hold every permission so they can't lock themselves out of the mappings.
+const SUPERUSER_ROLES = ['admin'];
+
+// Everyone can run their own workspaces and choose how they are notified
+const ACCOUNT_PERMISSIONS = [
+  'organization:create', 'organization:read', 'organization:update', 'organization:delete',
+  'organization:manage-members', 'notification:preferences'
+];
+
+const CLIENT_PERMISSIONS = [
+  'project:create', 'project:read', 'project:update', 'project:delete',
+  'project:ai-generate', 'project:communicate', 'project:manage-members', 'payment:create', 'payment:read',
+  ...ACCOUNT_PERMISSIONS
+];
+
+// Defaults used until an admin saves their own mapping for a role
+const DEFAULT_ROLE_PERMISSIONS = {
+  user: CLIENT_PERMISSIONS,
+  developer: [...CLIENT_PERMISSIONS, 'project:update-status'],
+  'project-manager': [
+    ...CLIENT_PERMISSIONS, 'project:read:any', 'project:communicate:any', 'project:update-status:any',
+    'project:manage-members:any', 'project:assign', 'admin:access', 'admin:dashboard', 'developer:read'
+  ],
+  designer: [...CLIENT_PERMISSIONS, 'project:update-status'],
+  finance: [
+    ...ACCOUNT_PERMISSIONS, 'project:read:any', 'payment:read:any', 'admin:access', 'admin:dashboard', 'admin:analytics'
+  ],
+  support: [
+    ...ACCOUNT_PERMISSIONS, 'project:read:any', 'project:communicate:any', 'admin:access', 'user:security'
+  ],
+  stakeholder: [...ACCOUNT_PERMISSIONS, 'project:read']
+};
+
+// API key scopes and the actions each one unlocks. A key can never do more than its
+// owner's role allows; scopes only narrow that down.
+const API_KEY_SCOPES = {
+  'projects:read': ['project:read'],
+  'projects:write': ['project:create', 'project:update', 'project:delete', 'project:ai-generate'],
+  'chat:read': ['project:read'],
+  'chat:write': ['project:communicate'],
+  'payments:read': ['payment:read'],
+  'payments:write': ['payment:create']
+};
+
+// Every grantable permission string, i.e. each action plus the ':any' form of resource actions
+const ALL_PERMISSIONS = Object.entries(ACTIONS).flatMap(([action, definition]) =>
+  definition.resource ? [action, `${action}:any`] : [action]
+);
+
+module.exports = {
+  ACTIONS,
+  ROLES,
+  SUPERUSER_ROLES,
+  DEFAULT_ROLE_PERMISSIONS,
+  ALL_PERMISSIONS,
+  API_KEY_SCOPES
+};
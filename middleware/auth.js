@@ -1,9 +1,114 @@
 const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const { isTwoFactorRequired } = require('../utils/twoFactor');
+const { can, hasPermission } = require('../utils/policy');
+const { recordAudit } = require('../utils/audit');
+const { ACTIONS } = require('../config/permissions');
+const { ACCESS_COOKIE, REFRESH_COOKIE, getCookie, hasValidCsrfToken } = require('../utils/authCookies');
+
+// Routes a user can still reach while their role requires 2FA they haven't enrolled in yet
+const TWO_FACTOR_SETUP_PATHS = ['/api/auth/me', '/api/auth/2fa/setup', '/api/auth/2fa/confirm'];
+
+// API keys only reach the scripting surface; account, session and admin routes need a login
+const API_KEY_PATHS = ['/api/projects', '/api/chat', '/api/payments', '/api/auth/me'];
+
+// Per-key rate limit, using the limit stored on each key (requests per minute)
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: (req) => req.apiKey.rateLimit,
+  keyGenerator: (req) => req.apiKey._id.toString(),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'API key rate limit exceeded, please slow down'
+  }
+});
+
+const sendCsrfFailed = (res) => res.status(403).json({
+  success: false,
+  code: 'CSRF_TOKEN_INVALID',
+  message: 'Missing or invalid CSRF token. Please reload the page and try again.'
+});
+
+const sendTwoFactorSetupRequired = (res) => res.status(403).json({
+  success: false,
+  code: 'TWO_FACTOR_SETUP_REQUIRED',
+  message: 'Your role requires two-factor authentication. Please set it up to continue.'
+});
+
+const isApiKeyPath = (req) => {
+  const path = req.baseUrl + req.path;
+  return API_KEY_PATHS.some(prefix => path === prefix || path.startsWith(`${prefix}/`));
+};
+
+// Look up the API key a request presents, once per request
+const findRequestApiKey = (req, key) => {
+  if (!req.apiKeyLookup) {
+    req.apiKeyLookup = ApiKey.findByKey(key);
+  }
+  return req.apiKeyLookup;
+};
+
+// For the global per-IP limiter in server.js: requests carrying a real, active API key for
+// an endpoint keys may use are limited per key here instead. Anything else, including a
+// made-up key, stays under the IP limit.
+const isVerifiedApiKeyRequest = async (req) => {
+  const token = (req.header('Authorization') || '').replace('Bearer ', '');
+  if (!ApiKey.isApiKey(token) || !isApiKeyPath(req)) return false;
+
+  const apiKey = await findRequestApiKey(req, token);
+  return Boolean(apiKey && apiKey.isActive());
+};
+
+const authenticateApiKey = async (key, req, res, next) => {
+  const apiKey = await findRequestApiKey(req, key);
+
+  if (!apiKey || !apiKey.isActive()) {
+    return res.status(401).json({
+      success: false,
+      message: 'API key is invalid, expired or revoked'
+    });
+  }
+
+  if (!isApiKeyPath(req)) {
+    return res.status(403).json({
+      success: false,
+      message: 'API keys cannot be used for this endpoint'
+    });
+  }
+
+  const user = await User.findById(apiKey.user).select('-password');
+
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      message: 'API key is invalid, expired or revoked'
+    });
+  }
+
+  if (!user.twoFactor.enabled && await isTwoFactorRequired(user.role)) {
+    return sendTwoFactorSetupRequired(res);
+  }
+
+  await apiKey.touch(req.ip);
+
+  // The policy layer narrows the user's permissions to the key's scopes
+  user.$locals.apiKey = apiKey;
+  req.apiKey = apiKey;
+  req.userId = user._id;
+  req.user = user;
+  apiKeyLimiter(req, res, next);
+};
 
 const auth = async (req, res, next) => {
   try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
+    // API clients send a Bearer token; browser sessions may use the HttpOnly cookie instead
+    const bearerToken = req.header('Authorization')?.replace('Bearer ', '');
+    const token = bearerToken || getCookie(req, ACCESS_COOKIE);
     
     if (!token) {
       return res.status(401).json({
@@ -12,7 +117,25 @@ const auth = async (req, res, next) => {
       });
     }
 
+    // Cookies are sent automatically, so state-changing requests must prove they came from our pages
+    if (!bearerToken && !hasValidCsrfToken(req)) {
+      return sendCsrfFailed(res);
+    }
+
+    if (ApiKey.isApiKey(token)) {
+      return await authenticateApiKey(token, req, res, next);
+    }
+
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Single-purpose tokens (2FA challenges etc.) are not access tokens
+    if (decoded.purpose) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token is not valid'
+      });
+    }
+
     const user = await User.findById(decoded.userId).select('-password');
     
     if (!user) {
@@ -22,8 +145,62 @@ const auth = async (req, res, next) => {
       });
     }
 
+    // Impersonation tokens carry the admin's id; they stop working if the admin loses the permission
+    let impersonator = null;
+    if (decoded.imp) {
+      impersonator = await User.findById(decoded.imp).select('-password');
+      if (!impersonator || !(await hasPermission(impersonator, 'user:impersonate'))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Impersonation is no longer allowed'
+        });
+      }
+    }
+
+    // Tokens issued before a password change or reset are no longer accepted
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password was changed recently. Please log in again.'
+      });
+    }
+
+    // Session-bound tokens stop working as soon as the session is revoked.
+    // Tokens without a session id predate refresh tokens and simply run out on their own.
+    if (decoded.sid) {
+      const session = await Session.findById(decoded.sid);
+      if (!session || !session.isActive()) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has expired or been revoked'
+        });
+      }
+      req.sessionId = session._id;
+      await session.touch();
+    }
+
+    // The 2FA requirement applies to whoever is actually at the keyboard
+    const person = impersonator || user;
+    if (!person.twoFactor.enabled &&
+        !TWO_FACTOR_SETUP_PATHS.includes(req.baseUrl + req.path) &&
+        await isTwoFactorRequired(person.role)) {
+      return sendTwoFactorSetupRequired(res);
+    }
+
     req.userId = user._id;
     req.user = user;
+    req.cookieSession = !bearerToken;
+
+    if (impersonator) {
+      req.impersonator = impersonator;
+      res.on('finish', () => {
+        recordAudit(req, 'impersonation.request', {
+          actor: impersonator,
+          target: { type: 'user', id: user._id, label: user.email },
+          metadata: { method: req.method, path: req.originalUrl, status: res.statusCode }
+        });
+      });
+    }
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -34,18 +211,25 @@ const auth = async (req, res, next) => {
   }
 };
 
-// Admin role middleware
-const adminAuth = async (req, res, next) => {
+// Permission middleware: require the user's role to grant an action (scoped or ':any'),
+// or an exact permission string such as 'project:read:any'. Resource-level checks are
+// left to the route via `can` / `scopeFilter`.
+const authorize = (permission) => async (req, res, next) => {
   try {
-    if (req.user.role !== 'admin') {
+    const allowed = ACTIONS[permission]
+      ? await can(req.user, permission)
+      : await hasPermission(req.user, permission);
+
+    if (!allowed) {
       return res.status(403).json({
         success: false,
-        message: 'Access denied. Admin role required.'
+        code: 'PERMISSION_DENIED',
+        message: 'Access denied. You do not have permission to do this.'
       });
     }
     next();
   } catch (error) {
-    console.error('Admin auth error:', error);
+    console.error('Authorize error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -53,23 +237,41 @@ const adminAuth = async (req, res, next) => {
   }
 };
 
-// Developer role middleware
-const developerAuth = async (req, res, next) => {
-  try {
-    if (!['developer', 'admin'].includes(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Developer role required.'
-      });
-    }
-    next();
-  } catch (error) {
-    console.error('Developer auth error:', error);
-    res.status(500).json({
+// Refuse account-security and payment actions while an admin is viewing as another user
+const denyImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    return res.status(403).json({
       success: false,
-      message: 'Server error'
+      code: 'IMPERSONATION_RESTRICTED',
+      message: 'This action is not available while viewing as another user'
     });
   }
+  next();
+};
+
+// Refuse projects, AI generation, payments and chat until the account's email address is confirmed
+const requireVerified = (req, res, next) => {
+  if (!req.user.isVerified) {
+    return res.status(403).json({
+      success: false,
+      code: 'EMAIL_NOT_VERIFIED',
+      message: 'Please verify your email address to continue'
+    });
+  }
+  next();
+};
+
+// For /refresh and /logout: fall back to the refresh cookie when the body has no token
+const refreshTokenFromCookie = (req, res, next) => {
+  const cookieToken = getCookie(req, REFRESH_COOKIE);
+  if (req.body.refreshToken || !cookieToken) return next();
+
+  if (!hasValidCsrfToken(req)) {
+    return sendCsrfFailed(res);
+  }
+
+  req.body.refreshToken = cookieToken;
+  next();
 };
 
-module.exports = { auth, adminAuth, developerAuth };
+module.exports = { auth, authorize, denyImpersonation, requireVerified, refreshTokenFromCookie, isVerifiedApiKeyRequest };
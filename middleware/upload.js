@@ -0,0 +1,40 @@
+const multer = require('multer');
+
+// Accept a single file in memory and answer multer's errors with our usual JSON shape.
+// `types` lists the accepted MIME types; omit it to accept anything.
+const uploadSingle = (field, { maxBytes, types } = {}) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (types && !types.includes(file.mimetype)) {
+        const error = new Error(`Unsupported file type. Allowed: ${types.join(', ')}`);
+        error.code = 'UNSUPPORTED_FILE_TYPE';
+        return cb(error);
+      }
+      cb(null, true);
+    }
+  }).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (!error) return next();
+
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({
+          success: false,
+          message: `File is too large. The limit is ${Math.round(maxBytes / (1024 * 1024))}MB.`
+        });
+      }
+
+      res.status(400).json({
+        success: false,
+        message: error.code === 'UNSUPPORTED_FILE_TYPE' || error instanceof multer.MulterError
+          ? error.message
+          : 'Upload failed'
+      });
+    });
+  };
+};
+
+module.exports = { uploadSingle };
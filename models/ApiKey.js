@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { API_KEY_SCOPES } = require('../config/permissions');
+const { hashToken } = require('../utils/tokens');
+
+const KEY_PREFIX = 'nix';
+
+// Personal access token for scripting against the API. Keys look like
+// nix_<prefix>_<secret>; only a hash is stored and the full key is shown once.
+const apiKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true
+  },
+  scopes: [{
+    type: String,
+    enum: Object.keys(API_KEY_SCOPES)
+  }],
+  rateLimit: {
+    type: Number,
+    default: 60, // requests per minute
+    min: 1,
+    max: 1000
+  },
+  expiresAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for key lookups
+apiKeySchema.index({ prefix: 1 }, { unique: true });
+apiKeySchema.index({ user: 1, revokedAt: 1 });
+
+// Generate a new raw key and the values to store for it
+apiKeySchema.statics.generateKey = function() {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const secret = crypto.randomBytes(24).toString('base64url');
+  const key = `${KEY_PREFIX}_${prefix}_${secret}`;
+  return { key, prefix, keyHash: hashToken(key) };
+};
+
+// Find the stored key for a raw key string, or null if it is malformed or unknown
+apiKeySchema.statics.findByKey = async function(key) {
+  const [scheme, prefix] = key.split('_');
+  if (scheme !== KEY_PREFIX || !prefix) return null;
+
+  const apiKey = await this.findOne({ prefix });
+  if (!apiKey) return null;
+
+  const keyHash = Buffer.from(hashToken(key));
+  const storedHash = Buffer.from(apiKey.keyHash);
+  if (keyHash.length !== storedHash.length || !crypto.timingSafeEqual(keyHash, storedHash)) {
+    return null;
+  }
+
+  return apiKey;
+};
+
+apiKeySchema.statics.isApiKey = function(token) {
+  return token.startsWith(`${KEY_PREFIX}_`);
+};
+
+// Method to check whether the key can still be used
+apiKeySchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+// Record usage at most once a minute so scripted requests don't all write
+apiKeySchema.methods.touch = function(ip) {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt.getTime() < LAST_USED_INTERVAL_MS) {
+    return Promise.resolve();
+  }
+  this.lastUsedAt = new Date();
+  this.lastUsedIp = ip;
+  return this.constructor.updateOne({ _id: this._id }, { lastUsedAt: this.lastUsedAt, lastUsedIp: ip });
+};
+
+// Never expose the key hash
+apiKeySchema.methods.toJSON = function() {
+  const apiKey = this.toObject();
+  delete apiKey.keyHash;
+  return apiKey;
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Append-only record of security-relevant account and admin actions
+const auditEventSchema = new mongoose.Schema({
+  // e.g. 'auth.login', 'auth.password_changed', 'admin.user_role_changed'
+  action: {
+    type: String,
+    required: true
+  },
+  // Who did it; null for anonymous requests (e.g. a failed login for an unknown email)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Snapshot of the actor's email so the trail still reads after the account is gone
+  actorEmail: String,
+  // Set when the action happened while an admin was viewing the app as the actor
+  impersonator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  target: {
+    type: {
+      type: String,
+      enum: ['user', 'project', 'setting', 'session', 'api-key', 'organization']
+    },
+    id: mongoose.Schema.Types.ObjectId,
+    label: String
+  },
+  // Field-level diff: { field: { from, to } }
+  changes: mongoose.Schema.Types.Mixed,
+  metadata: mongoose.Schema.Types.Mixed,
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for the admin and per-user queries
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ 'target.id': 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+auditEventSchema.index({ impersonator: 1, createdAt: -1 }, { sparse: true });
+
+// Events are never changed or removed once written
+const rejectChange = function(next) {
+  next(new Error('Audit events are append-only'));
+};
+
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'].forEach(operation => {
+  auditEventSchema.pre(operation, rejectChange);
+});
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// Invitation for a new developer account. The developer picks their own password when
+// accepting; only a hash of the emailed token is stored.
+const developerInviteSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [50, 'Name cannot exceed 50 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  skills: [{
+    type: String,
+    trim: true
+  }],
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  sentAt: Date,
+  sendCount: {
+    type: Number,
+    default: 0
+  },
+  acceptedAt: Date,
+  acceptedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for token and pending-invite lookups
+developerInviteSchema.index({ tokenHash: 1 });
+developerInviteSchema.index({ email: 1, acceptedAt: 1, revokedAt: 1 });
+
+// Not yet accepted or revoked (it may still have expired - see isUsable)
+developerInviteSchema.methods.isPending = function() {
+  return !this.acceptedAt && !this.revokedAt;
+};
+
+developerInviteSchema.methods.isUsable = function() {
+  return this.isPending() && this.expiresAt > new Date();
+};
+
+developerInviteSchema.statics.findPendingByEmail = function(email) {
+  return this.findOne({ email: email.toLowerCase(), acceptedAt: null, revokedAt: null });
+};
+
+// Never expose the token hash
+developerInviteSchema.methods.toJSON = function() {
+  const invite = this.toObject();
+  delete invite.tokenHash;
+  return invite;
+};
+
+module.exports = mongoose.model('DeveloperInvite', developerInviteSchema);
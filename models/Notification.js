@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const { NOTIFICATION_CHANNELS, NOTIFICATION_EVENT_TYPES } = require('../config/notifications');
+
+// A notification held back by the recipient's quiet hours. The scheduled job in
+// utils/notifications.js delivers it once deliverAfter has passed.
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  event: {
+    type: String,
+    enum: NOTIFICATION_EVENT_TYPES,
+    required: true
+  },
+  channels: [{ type: String, enum: NOTIFICATION_CHANNELS }],
+  message: {
+    subject: String,
+    text: String,
+    data: mongoose.Schema.Types.Mixed
+  },
+  deliverAfter: {
+    type: Date,
+    required: true
+  },
+  deliveredAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for the delivery job
+notificationSchema.index({ deliveredAt: 1, deliverAfter: 1 });
+// Delivered notifications are only kept for a month
+notificationSchema.index({ deliveredAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+const ROLES = ['owner', 'admin', 'member', 'viewer'];
+
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Organization name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  members: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ROLES,
+      default: 'member'
+    },
+    joinedAt: { type: Date, default: Date.now }
+  }],
+  invitations: [{
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true
+    },
+    role: {
+      type: String,
+      enum: ROLES.filter(role => role !== 'owner'),
+      default: 'member'
+    },
+    tokenHash: { type: String, required: true },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    expiresAt: { type: Date, required: true },
+    createdAt: { type: Date, default: Date.now }
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes for membership and invitation lookups
+organizationSchema.index({ 'members.user': 1 });
+organizationSchema.index({ 'invitations.tokenHash': 1 });
+
+// Method to get a user's role in the organization (null if not a member)
+organizationSchema.methods.getMemberRole = function(userId) {
+  const member = this.members.find(m => m.user.toString() === userId.toString());
+  return member ? member.role : null;
+};
+
+// Method to check a user holds one of the given roles
+organizationSchema.methods.hasRole = function(userId, roles) {
+  return roles.includes(this.getMemberRole(userId));
+};
+
+// Ids of organizations where the user holds one of the given roles
+organizationSchema.statics.idsForUser = async function(userId, roles = ROLES) {
+  const organizations = await this.find({
+    members: { $elemMatch: { user: userId, role: { $in: roles } } }
+  }).select('_id');
+  return organizations.map(org => org._id);
+};
+
+// Remove invitation tokens from JSON output
+organizationSchema.methods.toJSON = function() {
+  const organization = this.toObject();
+  organization.invitations = (organization.invitations || []).map(({ tokenHash, ...invitation }) => invitation);
+  return organization;
+};
+
+organizationSchema.statics.ROLES = ROLES;
+// Roles that can change projects and post in project chat (viewers are read-only)
+organizationSchema.statics.CONTRIBUTOR_ROLES = ['owner', 'admin', 'member'];
+// Roles that can manage the organization itself
+organizationSchema.statics.MANAGER_ROLES = ['owner', 'admin'];
+
+module.exports = mongoose.model('Organization', organizationSchema);
@@ -1,5 +1,87 @@
 const mongoose = require('mongoose');
 
+// Project-level roles. The owner (the client who created the project) is always a member
+// with the 'owner' role; everyone else working on the build is added with one of the others.
+const ROLES = ['owner', 'manager', 'developer', 'designer', 'qa', 'viewer'];
+
+const refId = (ref) => ref && (ref._id || ref).toString();
+
+const STATUSES = ['draft', 'prototype', 'in-development', 'testing', 'deployed', 'cancelled'];
+
+// Project lifecycle: the statuses each status may move to. Anything not listed is refused.
+const STATUS_TRANSITIONS = {
+  draft: ['prototype', 'cancelled'],
+  prototype: ['in-development', 'draft', 'cancelled'],
+  'in-development': ['testing', 'prototype', 'cancelled'],
+  testing: ['deployed', 'in-development', 'cancelled'],
+  deployed: ['in-development'],
+  cancelled: ['draft']
+};
+
+// Conditions a project must meet before entering a status. Each returns an error message, or null.
+const STATUS_GUARDS = {
+  'in-development': (project) => (project.budget && project.budget.actual > 0)
+    ? null
+    : 'The project must be paid for before development starts',
+  testing: (project) => (project.features || []).every(feature => feature.completed)
+    ? null
+    : 'All features must be completed before testing'
+};
+
+const fileSchema = new mongoose.Schema({
+  name: String,
+  key: String,
+  contentType: String,
+  size: Number,
+  category: {
+    type: String,
+    enum: ['file', 'mockup', 'wireframe'],
+    default: 'file'
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  uploadedAt: { type: Date, default: Date.now }
+}, {
+  // The storage key never leaves the server
+  toJSON: {
+    transform: (doc, file) => {
+      delete file.key;
+      return file;
+    }
+  }
+});
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ROLES.filter(role => role !== 'owner'),
+    required: true
+  },
+  tokenHash: { type: String, required: true },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now }
+}, {
+  // Only the hash of the emailed token is stored, and even that stays on the server
+  toJSON: {
+    transform: (doc, invitation) => {
+      delete invitation.tokenHash;
+      return invitation;
+    }
+  }
+});
+
 const projectSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -17,16 +99,47 @@ const projectSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
-  assignedDeveloper: {
+  // Team workspace the project belongs to; members get access based on their organization role
+  organization: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
+    ref: 'Organization',
     default: null
   },
+  members: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ROLES,
+      required: true
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    addedAt: { type: Date, default: Date.now }
+  }],
+  // Pending email invitations; people join once they accept (POST /api/projects/invitations/accept)
+  invitations: [invitationSchema],
   status: {
     type: String,
-    enum: ['draft', 'prototype', 'in-development', 'testing', 'deployed', 'cancelled'],
+    enum: STATUSES,
     default: 'draft'
   },
+  // Every status change, oldest first (see transitionTo)
+  statusHistory: [{
+    from: { type: String, enum: STATUSES },
+    to: { type: String, enum: STATUSES, required: true },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    notes: String,
+    at: { type: Date, default: Date.now }
+  }],
   priority: {
     type: String,
     enum: ['low', 'medium', 'high', 'urgent'],
@@ -54,7 +167,7 @@ const projectSchema = new mongoose.Schema({
     completed: { type: Boolean, default: false }
   }],
   design: {
-    mockups: [String], // URLs to uploaded mockup images
+    mockups: [String], // URLs to mockup images (uploads link to /api/projects/:id/files/:fileId)
     wireframes: [String], // URLs to wireframe images
     styleGuide: {
       colors: [String],
@@ -88,7 +201,8 @@ const projectSchema = new mongoose.Schema({
       description: String,
       dueDate: Date,
       completed: { type: Boolean, default: false },
-      completedAt: Date
+      completedAt: Date,
+      reminderSentAt: Date
     }]
   },
   budget: {
@@ -101,13 +215,20 @@ const projectSchema = new mongoose.Schema({
       category: String
     }]
   },
-  files: [{
-    name: String,
-    url: String,
-    type: String,
-    size: Number,
-    uploadedAt: { type: Date, default: Date.now }
+  // Stripe payment intents credited to this project; each intent is claimed once
+  payments: [{
+    paymentIntentId: { type: String, required: true },
+    amount: Number,
+    currency: String,
+    paidBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    paidAt: { type: Date, default: Date.now }
   }],
+  // Uploaded files, stored under `key` in private file storage (utils/storage.js) and only
+  // reachable through signed download URLs
+  files: [fileSchema],
   communication: [{
     type: {
       type: String,
@@ -115,10 +236,10 @@ const projectSchema = new mongoose.Schema({
       required: true
     },
     content: String,
+    // null once the author's account has been deleted
     author: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: true
+      ref: 'User'
     },
     attachments: [String],
     timestamp: { type: Date, default: Date.now },
@@ -164,15 +285,97 @@ const projectSchema = new mongoose.Schema({
 
 // Indexes for better performance
 projectSchema.index({ owner: 1, status: 1 });
-projectSchema.index({ assignedDeveloper: 1, status: 1 });
+projectSchema.index({ 'members.user': 1, status: 1 });
+projectSchema.index({ organization: 1, status: 1 });
 projectSchema.index({ category: 1, status: 1 });
 projectSchema.index({ createdAt: -1 });
+projectSchema.index({ 'files._id': 1 });
+projectSchema.index({ 'invitations.tokenHash': 1 });
+projectSchema.index({ 'payments.paymentIntentId': 1 });
 
 // Virtual for project age
 projectSchema.virtual('ageInDays').get(function() {
   return Math.floor((Date.now() - this.createdAt) / (1000 * 60 * 60 * 24));
 });
 
+// Keep the owner in the member list as the one and only 'owner'
+projectSchema.pre('validate', function(next) {
+  if (!this.owner || !this.isSelected('members')) return next();
+
+  const ownerId = refId(this.owner);
+  const formerOwners = this.members.filter(member => member.role === 'owner' && refId(member.user) !== ownerId);
+  formerOwners.forEach(member => this.members.pull(member._id));
+
+  const ownerMember = this.members.find(member => refId(member.user) === ownerId);
+  if (!ownerMember) {
+    this.members.unshift({ user: this.owner, role: 'owner' });
+  } else if (ownerMember.role !== 'owner') {
+    ownerMember.role = 'owner';
+  }
+  next();
+});
+
+// Start the history with the status the project was created in
+projectSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ to: this.status, actor: this.owner });
+  }
+  next();
+});
+
+// Method to get a user's role on the project (null if not a member)
+projectSchema.methods.getMemberRole = function(userId) {
+  const member = this.members.find(m => refId(m.user) === userId.toString());
+  return member ? member.role : null;
+};
+
+// Method to check a user holds one of the given roles
+projectSchema.methods.hasRole = function(userId, roles) {
+  return roles.includes(this.getMemberRole(userId));
+};
+
+// Method to get the members holding one of the given roles
+projectSchema.methods.membersWithRole = function(roles) {
+  return this.members.filter(member => roles.includes(member.role));
+};
+
+// Method to list the statuses the project may move to next
+projectSchema.methods.allowedTransitions = function() {
+  return STATUS_TRANSITIONS[this.status] || [];
+};
+
+// Method to check a status change. Returns null when it is allowed, otherwise { code, message }.
+projectSchema.methods.checkTransition = function(status) {
+  if (!this.allowedTransitions().includes(status)) {
+    return {
+      code: 'INVALID_STATUS_TRANSITION',
+      message: `A ${this.status} project can't move to ${status}. Allowed: ${this.allowedTransitions().join(', ') || 'none'}`
+    };
+  }
+
+  const guardMessage = STATUS_GUARDS[status] ? STATUS_GUARDS[status](this) : null;
+  return guardMessage ? { code: 'STATUS_GUARD_FAILED', message: guardMessage } : null;
+};
+
+// Method to change status and record it in statusHistory (not saved). Callers check
+// checkTransition first; this throws if the change isn't allowed.
+projectSchema.methods.transitionTo = function(status, actorId, notes) {
+  const problem = this.checkTransition(status);
+  if (problem) {
+    throw new Error(problem.message);
+  }
+
+  this.statusHistory.push({ from: this.status, to: status, actor: actorId, notes });
+  this.status = status;
+
+  if (status === 'in-development' && !this.timeline.actualStart) {
+    this.timeline.actualStart = new Date();
+  }
+  if (status === 'deployed') {
+    this.timeline.actualEnd = new Date();
+  }
+};
+
 // Method to get project progress
 projectSchema.methods.getProgress = function() {
   if (!this.features || this.features.length === 0) return 0;
@@ -192,4 +395,16 @@ projectSchema.methods.addCommunication = function(type, content, authorId, attac
   return this.save();
 };
 
+projectSchema.statics.STATUSES = STATUSES;
+projectSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+projectSchema.statics.ROLES = ROLES;
+// Roles that can post in project chat and upload files (viewers are read-only)
+projectSchema.statics.CONTRIBUTOR_ROLES = ['owner', 'manager', 'developer', 'designer', 'qa'];
+// Roles that can edit the project brief
+projectSchema.statics.EDITOR_ROLES = ['owner', 'manager'];
+// Roles that move the build between statuses
+projectSchema.statics.DELIVERY_ROLES = ['manager', 'developer', 'qa'];
+// Roles that can add and remove members
+projectSchema.statics.MANAGER_ROLES = ['owner', 'manager'];
+
 module.exports = mongoose.model('Project', projectSchema);
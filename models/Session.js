@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// One document per login. The refresh token rotates on every use; superseded hashes
+// are kept so a replayed token can be recognised and the whole session revoked.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  previousTokenHashes: [String],
+  userAgent: String,
+  ip: String,
+  location: {
+    country: String,
+    region: String,
+    city: String
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user-revoked', 'reuse-detected', 'password-change', 'password-reset', 'account-deletion', 'login-disowned']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for token lookups and cleanup
+sessionSchema.index({ refreshTokenHash: 1 }, { unique: true });
+sessionSchema.index({ previousTokenHashes: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Method to check whether the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+// Bump lastSeenAt at most once a minute so authenticated requests don't all write
+sessionSchema.methods.touch = function() {
+  if (Date.now() - this.lastSeenAt.getTime() < LAST_SEEN_INTERVAL_MS) {
+    return Promise.resolve();
+  }
+  this.lastSeenAt = new Date();
+  return this.constructor.updateOne({ _id: this._id }, { lastSeenAt: this.lastSeenAt });
+};
+
+// Method to revoke the session
+sessionSchema.methods.revoke = function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Revoke every active session for a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId = null) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  return this.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+};
+
+// Never expose token hashes
+sessionSchema.methods.toJSON = function() {
+  const session = this.toObject();
+  delete session.refreshTokenHash;
+  delete session.previousTokenHashes;
+  return session;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Admin-editable platform settings stored as key/value pairs
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  value: mongoose.Schema.Types.Mixed,
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Settings are read on hot paths (e.g. the auth middleware), so keep a short in-process cache
+const CACHE_TTL_MS = 30 * 1000;
+const cache = new Map();
+
+// Get a setting value, falling back to a default when it has never been set
+settingSchema.statics.getValue = async function(key, defaultValue = null) {
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  const setting = await this.findOne({ key }).lean();
+  const value = setting ? setting.value : defaultValue;
+  cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+  return value;
+};
+
+// Create or update a setting value
+settingSchema.statics.setValue = async function(key, value, updatedBy = null) {
+  const setting = await this.findOneAndUpdate(
+    { key },
+    { value, updatedBy },
+    { upsert: true, new: true, runValidators: true }
+  );
+  cache.delete(key);
+  return setting;
+};
+
+module.exports = mongoose.model('Setting', settingSchema);
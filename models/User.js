@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { ROLES } = require('../config/permissions');
+const { NOTIFICATION_CHANNELS, NOTIFICATION_EVENTS } = require('../config/notifications');
+const { getClientLocation, describeUserAgent, getDeviceFingerprint } = require('../utils/requestInfo');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -17,22 +21,65 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    // Accounts created through social sign-in don't have a password until they set one
+    required: [function() { return !this.identities || this.identities.length === 0; }, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters']
   },
+  // Linked social sign-in accounts (see the provider registry in config/passport.js)
+  identities: [{
+    provider: {
+      type: String,
+      required: true
+    },
+    providerId: {
+      type: String,
+      required: true
+    },
+    email: String,
+    linkedAt: { type: Date, default: Date.now }
+  }],
   role: {
     type: String,
-    enum: ['user', 'developer', 'admin'],
+    enum: ROLES,
     default: 'user'
   },
+  // Developer profile, set from the onboarding invitation
+  skills: [{
+    type: String,
+    trim: true
+  }],
+  // URL of the current picture: an upload, or a photo from a sign-in provider
   avatar: {
     type: String,
     default: null
   },
+  // Uploaded picture at each size, as keys in file storage (utils/storage.js)
+  avatarFiles: [{
+    size: Number,
+    key: String,
+    _id: false
+  }],
+  avatarUpdatedAt: Date,
   phone: {
     type: String,
     default: null
   },
+  phoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Current SMS one-time code, stored as an HMAC (purpose: verifying a number or logging in)
+  phoneOtp: {
+    codeHash: String,
+    purpose: {
+      type: String,
+      enum: ['verify-phone', 'login']
+    },
+    phone: String,
+    expiresAt: Date,
+    sentAt: Date,
+    attempts: { type: Number, default: 0 }
+  },
   country: {
     type: String,
     default: null
@@ -41,9 +88,59 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: String,
+    pendingSecret: String, // set during enrollment until the first code is confirmed
+    recoveryCodes: [String], // sha256 hashes, removed as they are used
+    enabledAt: Date
+  },
+  // Brute-force protection: consecutive failures lock the account with exponential backoff
+  failedLoginAttempts: { type: Number, default: 0 },
+  lockUntil: Date,
+  lockCount: { type: Number, default: 0 },
+  unlockToken: String,
+  unlockTokenExpires: Date,
+  loginAttempts: [{
+    at: { type: Date, default: Date.now },
+    ip: String,
+    userAgent: String,
+    success: Boolean
+  }],
+  // Devices that have signed in successfully, used to spot unfamiliar logins
+  knownDevices: [{
+    fingerprint: String,
+    label: String,
+    country: String,
+    ip: String,
+    firstSeenAt: { type: Date, default: Date.now },
+    lastSeenAt: { type: Date, default: Date.now }
+  }],
+  // "This wasn't me" link from a new-device alert
+  loginAlertToken: String,
+  loginAlertTokenExpires: Date,
+  loginAlertFingerprint: String,
+  // Set when the owner disowns a login; password sign-in stays blocked until a reset
+  passwordResetRequired: { type: Boolean, default: false },
   verificationToken: String,
+  // New address awaiting confirmation; the swap happens in /verify-email, and only with
+  // the emailed change token (hashed here), never with a sign-up verification token
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  emailChangeToken: String,
+  emailChangeExpires: Date,
   resetPasswordToken: String,
   resetPasswordExpires: Date,
+  // Passwordless login link, bound to the device that asked for it
+  magicLinkToken: String,
+  magicLinkExpires: Date,
+  magicLinkDeviceHash: String,
+  passwordChangedAt: Date,
+  // Set when the user asks to delete their account; the account is purged once this passes
+  deletionScheduledFor: Date,
   stripeCustomerId: String,
   subscription: {
     plan: {
@@ -64,6 +161,22 @@ const userSchema = new mongoose.Schema({
       push: { type: Boolean, default: true },
       sms: { type: Boolean, default: false }
     },
+    // Per-event channel choice and quiet hours, keyed by NOTIFICATION_EVENTS type.
+    // Events without an entry use their default channels and no quiet hours.
+    notificationEvents: {
+      type: Map,
+      of: new mongoose.Schema({
+        channels: [{ type: String, enum: NOTIFICATION_CHANNELS }],
+        quietHours: {
+          enabled: { type: Boolean, default: false },
+          start: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/, default: '22:00' },
+          end: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/, default: '08:00' }
+        }
+      }, { _id: false }),
+      default: {}
+    },
+    // IANA time zone used for quiet hours
+    timezone: { type: String, default: 'UTC' },
     theme: {
       type: String,
       enum: ['light', 'dark', 'auto'],
@@ -74,6 +187,16 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Index for finding accounts whose deletion grace period has ended
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
+// Index for phone logins
+userSchema.index({ phone: 1, phoneVerified: 1 });
+// Each social identity belongs to at most one account
+userSchema.index(
+  { 'identities.provider': 1, 'identities.providerId': 1 },
+  { unique: true, partialFilterExpression: { 'identities.providerId': { $exists: true } } }
+);
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -81,6 +204,11 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // Backdate by a second so a token issued right after the change is still valid
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date(Date.now() - 1000);
+    }
     next();
   } catch (error) {
     next(error);
@@ -89,16 +217,243 @@ userSchema.pre('save', async function(next) {
 
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+const MAX_FAILED_LOGINS = 5;
+const BASE_LOCK_MS = 15 * 60 * 1000; // 15 minutes, doubled for each consecutive lock
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000;
+const LOGIN_HISTORY_SIZE = 20;
+const KNOWN_DEVICES_SIZE = 20;
+
+// Check whether the account is currently locked
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+};
+
+// Keep a short rolling history of login attempts for admins
+const buildLoginAttempt = (req, success) => ({
+  at: new Date(),
+  ip: req.ip,
+  userAgent: req.get('user-agent'),
+  success
+});
+
+// Count a failed login and lock the account once the limit is reached.
+// Uses atomic updates so parallel guesses can't race past the limit.
+// Returns true when this failure caused a new lock.
+userSchema.methods.registerFailedLogin = async function(req) {
+  const User = this.constructor;
+
+  const counted = await User.findOneAndUpdate(
+    { _id: this._id },
+    {
+      $inc: { failedLoginAttempts: 1 },
+      $push: { loginAttempts: { $each: [buildLoginAttempt(req, false)], $slice: -LOGIN_HISTORY_SIZE } }
+    },
+    { new: true }
+  );
+
+  if (counted.failedLoginAttempts < MAX_FAILED_LOGINS) {
+    return false;
+  }
+
+  const lockMs = Math.min(BASE_LOCK_MS * Math.pow(2, counted.lockCount), MAX_LOCK_MS);
+
+  // Only the request that crossed the threshold applies the lock
+  const locked = await User.findOneAndUpdate(
+    { _id: this._id, failedLoginAttempts: counted.failedLoginAttempts },
+    {
+      $set: { failedLoginAttempts: 0, lockUntil: new Date(Date.now() + lockMs) },
+      $inc: { lockCount: 1 }
+    },
+    { new: true }
+  );
+
+  if (!locked) {
+    return false;
+  }
+
+  this.lockUntil = locked.lockUntil;
+  this.lockCount = locked.lockCount;
+  return true;
+};
+
+// Remember the device behind a successful login. Returns what was unfamiliar about it;
+// the very first device an account uses is trusted without comment.
+userSchema.methods.rememberDevice = function(req) {
+  const fingerprint = getDeviceFingerprint(req);
+  const { country } = getClientLocation(req);
+  const isFirstDevice = this.knownDevices.length === 0;
+  const knownCountries = this.knownDevices.map(device => device.country).filter(Boolean);
+
+  let device = this.knownDevices.find(known => known.fingerprint === fingerprint);
+  const newDevice = !device && !isFirstDevice;
+  const newCountry = Boolean(country) && knownCountries.length > 0 && !knownCountries.includes(country);
+
+  if (!device) {
+    this.knownDevices.push({ fingerprint, label: describeUserAgent(req.get('user-agent')) });
+    device = this.knownDevices[this.knownDevices.length - 1];
+  }
+  device.country = country || device.country;
+  device.ip = req.ip;
+  device.lastSeenAt = new Date();
+
+  // Keep the most recently used devices
+  if (this.knownDevices.length > KNOWN_DEVICES_SIZE) {
+    this.knownDevices.sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+    this.knownDevices.splice(KNOWN_DEVICES_SIZE);
+  }
+
+  return { fingerprint, newDevice, newCountry, label: device.label, country };
+};
+
+// Reset lockout state after a successful login. Returns the device check from rememberDevice.
+userSchema.methods.registerSuccessfulLogin = async function(req) {
+  this.loginAttempts.push(buildLoginAttempt(req, true));
+  if (this.loginAttempts.length > LOGIN_HISTORY_SIZE) {
+    this.loginAttempts.splice(0, this.loginAttempts.length - LOGIN_HISTORY_SIZE);
+  }
+  this.failedLoginAttempts = 0;
+  this.lockCount = 0;
+  this.lockUntil = undefined;
+  const device = this.rememberDevice(req);
+  await this.save();
+  return device;
+};
+
+const PHONE_OTP_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const PHONE_OTP_RESEND_MS = 60 * 1000; // 1 minute between texts
+const PHONE_OTP_MAX_ATTEMPTS = 5;
+
+// Codes are only 6 digits, so key the hash with the server secret to keep them from being brute-forced offline
+const hashPhoneCode = (code) => {
+  return crypto.createHmac('sha256', process.env.JWT_SECRET || '').update(String(code)).digest('hex');
+};
+
+// Seconds until another SMS code may be sent (0 when allowed)
+userSchema.methods.phoneOtpCooldown = function() {
+  if (!this.phoneOtp || !this.phoneOtp.sentAt) return 0;
+  const remaining = this.phoneOtp.sentAt.getTime() + PHONE_OTP_RESEND_MS - Date.now();
+  return remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+};
+
+// Generate a new SMS code for a purpose, replacing any previous one; returns the plain code
+userSchema.methods.createPhoneOtp = async function(purpose, phone) {
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  this.phoneOtp = {
+    codeHash: hashPhoneCode(code),
+    purpose,
+    phone,
+    expiresAt: new Date(Date.now() + PHONE_OTP_TTL_MS),
+    sentAt: new Date(),
+    attempts: 0
+  };
+  await this.save();
+  return code;
+};
+
+// Check an SMS code. Returns the phone number it was sent to, or null. The code is
+// consumed on success and thrown away after too many wrong guesses.
+userSchema.methods.verifyPhoneOtp = async function(purpose, code) {
+  const otp = this.phoneOtp;
+  if (!otp || !otp.codeHash || otp.purpose !== purpose || otp.expiresAt < new Date()) {
+    return null;
+  }
+
+  if (otp.codeHash !== hashPhoneCode(code)) {
+    otp.attempts += 1;
+    if (otp.attempts >= PHONE_OTP_MAX_ATTEMPTS) {
+      this.phoneOtp = undefined;
+    }
+    await this.save();
+    return null;
+  }
+
+  const { phone } = otp;
+  this.phoneOtp = undefined;
+  await this.save();
+  return phone;
+};
+
+// Clear the lock entirely (owner unlock link or admin action)
+userSchema.methods.unlock = function() {
+  this.failedLoginAttempts = 0;
+  this.lockCount = 0;
+  this.lockUntil = undefined;
+  this.unlockToken = undefined;
+  this.unlockTokenExpires = undefined;
+  return this.save();
+};
+
+// Find the account a social identity is linked to
+userSchema.statics.findByIdentity = function(provider, providerId) {
+  return this.findOne({ identities: { $elemMatch: { provider, providerId: String(providerId) } } });
+};
+
+userSchema.methods.getIdentity = function(provider) {
+  return this.identities.find(identity => identity.provider === provider) || null;
+};
+
+// Link (or re-link) a provider account; one identity per provider
+userSchema.methods.linkIdentity = function(provider, providerId, email) {
+  this.identities = this.identities.filter(identity => identity.provider !== provider);
+  this.identities.push({ provider, providerId: String(providerId), email, linkedAt: new Date() });
+};
+
+// Whether the user could still sign in after unlinking the given provider
+userSchema.methods.canUnlinkIdentity = function(provider) {
+  return Boolean(this.password) || this.identities.some(identity => identity.provider !== provider);
+};
+
+// Effective settings for a notification event: the user's choice, or the event's defaults
+userSchema.methods.getNotificationSettings = function(event) {
+  const saved = this.preferences?.notificationEvents?.get(event);
+  return {
+    channels: saved ? [...saved.channels] : [...NOTIFICATION_EVENTS[event].defaultChannels],
+    quietHours: {
+      enabled: saved?.quietHours?.enabled || false,
+      start: saved?.quietHours?.start || '22:00',
+      end: saved?.quietHours?.end || '08:00'
+    }
+  };
+};
+
+// Check whether the password changed after a JWT was issued (iat is in seconds)
+userSchema.methods.changedPasswordAfter = function(issuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return this.passwordChangedAt.getTime() > issuedAt * 1000;
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
   delete user.verificationToken;
+  delete user.emailChangeToken;
+  delete user.emailChangeExpires;
   delete user.resetPasswordToken;
   delete user.resetPasswordExpires;
+  delete user.magicLinkToken;
+  delete user.magicLinkExpires;
+  delete user.magicLinkDeviceHash;
+  delete user.phoneOtp;
+  delete user.avatarFiles;
+  delete user.passwordChangedAt;
+  delete user.unlockToken;
+  delete user.unlockTokenExpires;
+  delete user.loginAlertToken;
+  delete user.loginAlertTokenExpires;
+  delete user.loginAlertFingerprint;
+  delete user.knownDevices;
+  if (user.twoFactor) {
+    user.twoFactor = {
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      recoveryCodesRemaining: (user.twoFactor.recoveryCodes || []).length
+    };
+  }
   return user;
 };
 
@@ -1,18 +1,64 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const crypto = require('crypto');
+const { body, param, query, validationResult } = require('express-validator');
 const Project = require('../models/Project');
 const User = require('../models/User');
-const { auth, adminAuth, developerAuth } = require('../middleware/auth');
+const Setting = require('../models/Setting');
+const AuditEvent = require('../models/AuditEvent');
+const DeveloperInvite = require('../models/DeveloperInvite');
+const { auth, authorize, denyImpersonation } = require('../middleware/auth');
+const { scopeFilter, getRolePermissions, hasPermission } = require('../utils/policy');
+const {
+  ACTIONS,
+  ROLES,
+  SUPERUSER_ROLES,
+  DEFAULT_ROLE_PERMISSIONS,
+  ALL_PERMISSIONS
+} = require('../config/permissions');
+const TwoFactor = require('../utils/twoFactor');
+const { hashToken, IMPERSONATION_TOKEN_TTL_MS, generateImpersonationToken } = require('../utils/tokens');
+const { deliverTokens } = require('../utils/authCookies');
+const AccountData = require('../utils/accountData');
+const { recordAudit } = require('../utils/audit');
+const NotificationService = require('../utils/notifications');
+
+// Email service
+let EmailService;
+try {
+  EmailService = require('../utils/email');
+} catch (error) {
+  EmailService = null;
+}
 
 const router = express.Router();
 
+const DEVELOPER_INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Issue a new token for the invite, save it and email the link. Any earlier link stops working.
+const sendDeveloperInvite = async (invite, inviter) => {
+  const inviteToken = crypto.randomBytes(32).toString('hex');
+  invite.tokenHash = hashToken(inviteToken);
+  invite.expiresAt = new Date(Date.now() + DEVELOPER_INVITE_TTL_MS);
+  invite.sentAt = new Date();
+  invite.sendCount += 1;
+  await invite.save();
+
+  if (EmailService) {
+    try {
+      await EmailService.sendDeveloperInviteEmail(invite, inviter, inviteToken);
+    } catch (emailError) {
+      console.error('Failed to send developer invite email:', emailError);
+    }
+  }
+};
+
 // All admin routes require authentication
 router.use(auth);
 
 // @route   GET /api/admin/dashboard
 // @desc    Get admin dashboard stats
-// @access  Private (Admin)
-router.get('/dashboard', adminAuth, async (req, res) => {
+// @access  Private (admin:dashboard)
+router.get('/dashboard', authorize('admin:dashboard'), async (req, res) => {
   try {
     const [
       totalProjects,
@@ -31,7 +77,7 @@ router.get('/dashboard', adminAuth, async (req, res) => {
       User.countDocuments({ role: 'developer' }),
       Project.find()
         .populate('owner', 'name email')
-        .populate('assignedDeveloper', 'name email')
+        .populate('members.user', 'name email')
         .sort({ createdAt: -1 })
         .limit(10),
       Project.aggregate([
@@ -80,19 +126,19 @@ router.get('/dashboard', adminAuth, async (req, res) => {
 
 // @route   GET /api/admin/projects
 // @desc    Get all projects for admin
-// @access  Private (Admin)
-router.get('/projects', adminAuth, async (req, res) => {
+// @access  Private (project:read:any)
+router.get('/projects', authorize('project:read:any'), async (req, res) => {
   try {
     const { status, assigned, page = 1, limit = 20 } = req.query;
     const filter = {};
     
     if (status) filter.status = status;
-    if (assigned === 'true') filter.assignedDeveloper = { $exists: true, $ne: null };
-    if (assigned === 'false') filter.assignedDeveloper = null;
+    if (assigned === 'true') filter['members.role'] = 'developer';
+    if (assigned === 'false') filter['members.role'] = { $ne: 'developer' };
 
     const projects = await Project.find(filter)
       .populate('owner', 'name email phone')
-      .populate('assignedDeveloper', 'name email')
+      .populate('members.user', 'name email')
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
@@ -120,9 +166,9 @@ router.get('/projects', adminAuth, async (req, res) => {
 });
 
 // @route   PUT /api/admin/projects/:id/assign
-// @desc    Assign developer to project
-// @access  Private (Admin)
-router.put('/projects/:id/assign', adminAuth, [
+// @desc    Add a developer to a project's members
+// @access  Private (project:assign)
+router.put('/projects/:id/assign', authorize('project:assign'), [
   body('developerId').isMongoId().withMessage('Valid developer ID required')
 ], async (req, res) => {
   try {
@@ -151,14 +197,7 @@ router.put('/projects/:id/assign', adminAuth, [
       });
     }
 
-    const project = await Project.findByIdAndUpdate(
-      projectId,
-      { 
-        assignedDeveloper: developerId,
-        status: 'in-development'
-      },
-      { new: true }
-    ).populate('owner assignedDeveloper', 'name email');
+    const project = await Project.findById(projectId);
 
     if (!project) {
       return res.status(404).json({
@@ -167,6 +206,34 @@ router.put('/projects/:id/assign', adminAuth, [
       });
     }
 
+    const previousRole = project.getMemberRole(developer._id);
+    if (previousRole === 'owner') {
+      return res.status(400).json({
+        success: false,
+        message: "A project's owner can't also be its developer"
+      });
+    }
+
+    const previousStatus = project.status;
+    const existing = project.members.find(member => member.user.equals(developer._id));
+    if (existing) {
+      // A manager already has everything a developer can do, so only lower roles are raised
+      if (existing.role !== 'manager') existing.role = 'developer';
+    } else {
+      project.members.push({ user: developer._id, role: 'developer', addedBy: req.userId });
+    }
+    // Start development if the project is ready for it; otherwise it keeps its status
+    if (!project.checkTransition('in-development')) {
+      project.transitionTo('in-development', req.userId, `Assigned to ${developer.name}`);
+    }
+    await project.save();
+
+    await recordAudit(req, 'admin.project_assigned', {
+      target: { type: 'project', id: project._id, label: project.title },
+      before: { developer: developer._id, role: previousRole, status: previousStatus },
+      after: { developer: developer._id, role: project.getMemberRole(developer._id), status: project.status }
+    });
+
     // Add communication
     await project.addCommunication(
       'status-update',
@@ -181,6 +248,8 @@ router.put('/projects/:id/assign', adminAuth, [
       assignedAt: new Date()
     });
 
+    await project.populate('owner members.user', 'name email');
+
     res.json({
       success: true,
       message: 'Developer assigned successfully',
@@ -197,10 +266,10 @@ router.put('/projects/:id/assign', adminAuth, [
 
 // @route   PUT /api/admin/projects/:id/status
 // @desc    Update project status
-// @access  Private (Admin/Developer)
-router.put('/projects/:id/status', developerAuth, [
-  body('status').isIn(['draft', 'prototype', 'in-development', 'testing', 'deployed', 'cancelled'])
-    .withMessage('Invalid status')
+// @access  Private (project:update-status)
+router.put('/projects/:id/status', authorize('project:update-status'), [
+  body('status').isIn(Project.STATUSES).withMessage('Invalid status'),
+  body('notes').optional().isString().trim().isLength({ max: 500 }).withMessage('Notes must be at most 500 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -217,10 +286,7 @@ router.put('/projects/:id/status', developerAuth, [
 
     const project = await Project.findOne({
       _id: projectId,
-      $or: [
-        { assignedDeveloper: req.userId },
-        ...(req.user.role === 'admin' ? [{}] : [])
-      ]
+      ...await scopeFilter(req.user, 'project:update-status')
     });
 
     if (!project) {
@@ -230,12 +296,27 @@ router.put('/projects/:id/status', developerAuth, [
       });
     }
 
-    project.status = status;
-    if (status === 'deployed') {
-      project.timeline.actualEnd = new Date();
+    const transitionError = project.checkTransition(status);
+    if (transitionError) {
+      return res.status(409).json({
+        success: false,
+        code: transitionError.code,
+        message: transitionError.message,
+        data: { status: project.status, allowed: project.allowedTransitions() }
+      });
     }
+
+    const previousStatus = project.status;
+    project.transitionTo(status, req.userId, notes);
     await project.save();
 
+    await recordAudit(req, 'admin.project_status_changed', {
+      target: { type: 'project', id: project._id, label: project.title },
+      before: { status: previousStatus },
+      after: { status },
+      metadata: notes ? { notes } : undefined
+    });
+
     // Add communication
     await project.addCommunication(
       'status-update',
@@ -251,6 +332,12 @@ router.put('/projects/:id/status', developerAuth, [
       updatedAt: new Date()
     });
 
+    await NotificationService.notifyProjectParticipants(project, 'status-change', {
+      subject: `${project.title} is now ${status}`,
+      text: `${req.user.name} moved ${project.title} from ${previousStatus} to ${status}.${notes ? `\n\n${notes}` : ''}`,
+      data: { projectId: project._id, status, previousStatus }
+    }, { except: req.userId });
+
     res.json({
       success: true,
       message: 'Status updated successfully',
@@ -265,20 +352,90 @@ router.put('/projects/:id/status', developerAuth, [
   }
 });
 
+// @route   PUT /api/admin/projects/:id/features/:featureId
+// @desc    Mark a project feature completed (or not); testing waits for every feature
+// @access  Private (project:update-status)
+router.put('/projects/:id/features/:featureId', authorize('project:update-status'), [
+  body('completed').isBoolean().withMessage('Completed must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const completed = req.body.completed === true || req.body.completed === 'true';
+
+    const project = await Project.findOne({
+      _id: req.params.id,
+      ...await scopeFilter(req.user, 'project:update-status')
+    });
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found or access denied'
+      });
+    }
+
+    const feature = project.features.id(req.params.featureId);
+    if (!feature) {
+      return res.status(404).json({
+        success: false,
+        message: 'Feature not found'
+      });
+    }
+
+    if (feature.completed !== completed) {
+      feature.completed = completed;
+      await project.save();
+
+      await recordAudit(req, 'admin.project_feature_updated', {
+        target: { type: 'project', id: project._id, label: project.title },
+        before: { completed: !completed },
+        after: { completed },
+        metadata: { featureId: feature._id, feature: feature.name }
+      });
+
+      await project.addCommunication(
+        'status-update',
+        `Feature "${feature.name}" marked ${completed ? 'completed' : 'not completed'}`,
+        req.userId
+      );
+    }
+
+    res.json({
+      success: true,
+      message: 'Feature updated successfully',
+      data: { project }
+    });
+  } catch (error) {
+    console.error('Update feature error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/admin/developers
 // @desc    Get all developers
-// @access  Private (Admin)
-router.get('/developers', adminAuth, async (req, res) => {
+// @access  Private (developer:read)
+router.get('/developers', authorize('developer:read'), async (req, res) => {
   try {
     const developers = await User.find({ role: 'developer' })
-      .select('name email avatar createdAt')
+      .select('name email avatar skills createdAt')
       .sort({ createdAt: -1 });
 
     // Get workload for each developer
     const developersWithWorkload = await Promise.all(
       developers.map(async (dev) => {
         const activeProjects = await Project.countDocuments({
-          assignedDeveloper: dev._id,
+          members: { $elemMatch: { user: dev._id, role: 'developer' } },
           status: { $in: ['in-development', 'testing'] }
         });
         return {
@@ -301,13 +458,42 @@ router.get('/developers', adminAuth, async (req, res) => {
   }
 });
 
-// @route   POST /api/admin/developers
-// @desc    Create new developer
-// @access  Private (Admin)
-router.post('/developers', adminAuth, [
+// @route   GET /api/admin/developers/invites
+// @desc    List developer invitations that haven't been accepted or revoked
+// @access  Private (developer:manage)
+router.get('/developers/invites', authorize('developer:manage'), async (req, res) => {
+  try {
+    const invites = await DeveloperInvite.find({ acceptedAt: null, revokedAt: null })
+      .select('-tokenHash')
+      .populate('invitedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        invites: invites.map(invite => ({
+          ...invite.toObject(),
+          expired: invite.expiresAt < new Date()
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get developer invites error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/admin/developers/invites
+// @desc    Invite a new developer (they choose their own password)
+// @access  Private (developer:manage)
+router.post('/developers/invites', authorize('developer:manage'), [
   body('name').trim().isLength({ min: 2, max: 50 }).withMessage('Name must be 2-50 characters'),
   body('email').isEmail().normalizeEmail().withMessage('Valid email required'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+  body('skills').optional().isArray({ max: 20 }).withMessage('Skills must be a list of up to 20 items'),
+  body('skills.*').trim().isLength({ min: 1, max: 40 }).withMessage('Each skill must be 1-40 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -319,7 +505,7 @@ router.post('/developers', adminAuth, [
       });
     }
 
-    const { name, email, password } = req.body;
+    const { name, email, skills = [] } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -330,23 +516,127 @@ router.post('/developers', adminAuth, [
       });
     }
 
-    const developer = new User({
+    if (await DeveloperInvite.findPendingByEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This email already has a pending invitation. Resend it instead.'
+      });
+    }
+
+    // The token and expiry are filled in when the invitation is sent
+    const invite = new DeveloperInvite({
       name,
       email,
-      password,
-      role: 'developer',
-      isVerified: true
+      skills: [...new Set(skills)],
+      invitedBy: req.userId
     });
+    await sendDeveloperInvite(invite, req.user);
 
-    await developer.save();
+    await recordAudit(req, 'admin.developer_invited', {
+      target: { type: 'user', label: invite.email },
+      after: { name: invite.name, email: invite.email, skills: invite.skills },
+      metadata: { inviteId: invite._id }
+    });
 
     res.status(201).json({
       success: true,
-      message: 'Developer created successfully',
-      data: { developer: developer.toJSON() }
+      message: `Invitation sent to ${invite.email}`,
+      data: { invite: invite.toJSON() }
     });
   } catch (error) {
-    console.error('Create developer error:', error);
+    console.error('Invite developer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/admin/developers/invites/:id/resend
+// @desc    Send a fresh invitation link (the previous link stops working)
+// @access  Private (developer:manage)
+router.post('/developers/invites/:id/resend', authorize('developer:manage'), [
+  param('id').isMongoId().withMessage('Invalid invitation ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const invite = await DeveloperInvite.findById(req.params.id);
+
+    if (!invite || !invite.isPending()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    await sendDeveloperInvite(invite, req.user);
+
+    await recordAudit(req, 'admin.developer_invite_resent', {
+      target: { type: 'user', label: invite.email },
+      metadata: { inviteId: invite._id, sendCount: invite.sendCount }
+    });
+
+    res.json({
+      success: true,
+      message: `Invitation resent to ${invite.email}`,
+      data: { invite: invite.toJSON() }
+    });
+  } catch (error) {
+    console.error('Resend developer invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/developers/invites/:id
+// @desc    Revoke a pending developer invitation
+// @access  Private (developer:manage)
+router.delete('/developers/invites/:id', authorize('developer:manage'), [
+  param('id').isMongoId().withMessage('Invalid invitation ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const invite = await DeveloperInvite.findById(req.params.id);
+
+    if (!invite || !invite.isPending()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    invite.revokedAt = new Date();
+    await invite.save();
+
+    await recordAudit(req, 'admin.developer_invite_revoked', {
+      target: { type: 'user', label: invite.email },
+      metadata: { inviteId: invite._id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked'
+    });
+  } catch (error) {
+    console.error('Revoke developer invite error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -356,8 +646,8 @@ router.post('/developers', adminAuth, [
 
 // @route   GET /api/admin/analytics
 // @desc    Get analytics data
-// @access  Private (Admin)
-router.get('/analytics', adminAuth, async (req, res) => {
+// @access  Private (admin:analytics)
+router.get('/analytics', authorize('admin:analytics'), async (req, res) => {
   try {
     const { period = '30' } = req.query;
     const days = parseInt(period);
@@ -412,15 +702,12 @@ router.get('/analytics', adminAuth, async (req, res) => {
       ]),
       // Developer performance
       Project.aggregate([
-        {
-          $match: {
-            assignedDeveloper: { $exists: true, $ne: null },
-            status: 'deployed'
-          }
-        },
+        { $match: { status: 'deployed' } },
+        { $unwind: '$members' },
+        { $match: { 'members.role': 'developer' } },
         {
           $group: {
-            _id: '$assignedDeveloper',
+            _id: '$members.user',
             completedProjects: { $sum: 1 },
             avgCompletionTime: {
               $avg: {
@@ -466,4 +753,532 @@ router.get('/analytics', adminAuth, async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/security-settings
+// @desc    Get platform security settings
+// @access  Private (settings:manage)
+router.get('/security-settings', authorize('settings:manage'), async (req, res) => {
+  try {
+    const requireTwoFactorRoles = await TwoFactor.getRequiredRoles();
+
+    res.json({
+      success: true,
+      data: { requireTwoFactorRoles }
+    });
+  } catch (error) {
+    console.error('Get security settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/admin/security-settings
+// @desc    Update platform security settings
+// @access  Private (settings:manage)
+router.put('/security-settings', authorize('settings:manage'), [
+  body('requireTwoFactorRoles').isArray().withMessage('requireTwoFactorRoles must be an array'),
+  body('requireTwoFactorRoles.*').isIn(ROLES).withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    const requireTwoFactorRoles = [...new Set(req.body.requireTwoFactorRoles)];
+    const previousRoles = await TwoFactor.getRequiredRoles();
+    await Setting.setValue('requireTwoFactorRoles', requireTwoFactorRoles, req.userId);
+
+    await recordAudit(req, 'admin.security_settings_changed', {
+      target: { type: 'setting', label: 'requireTwoFactorRoles' },
+      before: { requireTwoFactorRoles: previousRoles },
+      after: { requireTwoFactorRoles }
+    });
+
+    res.json({
+      success: true,
+      message: 'Security settings updated successfully',
+      data: { requireTwoFactorRoles }
+    });
+  } catch (error) {
+    console.error('Update security settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/users/locked
+// @desc    Get accounts that are currently locked out
+// @access  Private (user:security)
+router.get('/users/locked', authorize('user:security'), async (req, res) => {
+  try {
+    const users = await User.find({ lockUntil: { $gt: new Date() } })
+      .select('name email role lockUntil lockCount failedLoginAttempts')
+      .sort({ lockUntil: -1 });
+
+    res.json({
+      success: true,
+      data: { users }
+    });
+  } catch (error) {
+    console.error('Get locked users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/users/:id/login-attempts
+// @desc    Get lock state and recent login attempts for a user
+// @access  Private (user:security)
+router.get('/users/:id/login-attempts', authorize('user:security'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+      .select('name email lockUntil lockCount failedLoginAttempts loginAttempts');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        user: {
+          _id: user._id,
+          name: user.name,
+          email: user.email
+        },
+        isLocked: user.isLocked(),
+        lockUntil: user.lockUntil,
+        lockCount: user.lockCount,
+        failedLoginAttempts: user.failedLoginAttempts,
+        loginAttempts: [...user.loginAttempts].reverse()
+      }
+    });
+  } catch (error) {
+    console.error('Get login attempts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:id/unlock
+// @desc    Unlock a locked account
+// @access  Private (user:security)
+router.post('/users/:id/unlock', authorize('user:security'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await user.unlock();
+
+    await recordAudit(req, 'admin.user_unlocked', { target: { type: 'user', id: user._id, label: user.email } });
+
+    res.json({
+      success: true,
+      message: 'Account unlocked successfully'
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/permissions
+// @desc    Get the permission registry and current role mappings
+// @access  Private (settings:manage)
+router.get('/permissions', authorize('settings:manage'), async (req, res) => {
+  try {
+    const roles = {};
+    for (const role of ROLES) {
+      roles[role] = {
+        permissions: await getRolePermissions(role),
+        editable: !SUPERUSER_ROLES.includes(role)
+      };
+    }
+
+    res.json({
+      success: true,
+      data: {
+        actions: ACTIONS,
+        permissions: ALL_PERMISSIONS,
+        roles
+      }
+    });
+  } catch (error) {
+    console.error('Get permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/admin/permissions/:role
+// @desc    Replace the permissions granted to a role
+// @access  Private (settings:manage)
+router.put('/permissions/:role', authorize('settings:manage'), [
+  param('role').isIn(ROLES).withMessage('Invalid role'),
+  body('permissions').isArray().withMessage('permissions must be an array'),
+  body('permissions.*').isIn(ALL_PERMISSIONS).withMessage('Unknown permission')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { role } = req.params;
+    if (SUPERUSER_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `The ${role} role always has every permission`
+      });
+    }
+
+    const permissions = [...new Set(req.body.permissions)];
+    const previousPermissions = await getRolePermissions(role);
+    const overrides = await Setting.getValue('rolePermissions', {});
+    await Setting.setValue('rolePermissions', { ...overrides, [role]: permissions }, req.userId);
+
+    await recordAudit(req, 'admin.role_permissions_changed', {
+      target: { type: 'setting', label: `rolePermissions.${role}` },
+      before: { permissions: previousPermissions },
+      after: { permissions }
+    });
+
+    res.json({
+      success: true,
+      message: 'Role permissions updated successfully',
+      data: { role, permissions }
+    });
+  } catch (error) {
+    console.error('Update role permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/permissions/:role
+// @desc    Reset a role to its default permissions
+// @access  Private (settings:manage)
+router.delete('/permissions/:role', authorize('settings:manage'), [
+  param('role').isIn(ROLES).withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { role } = req.params;
+    const previousPermissions = await getRolePermissions(role);
+    const { [role]: removed, ...overrides } = await Setting.getValue('rolePermissions', {});
+    await Setting.setValue('rolePermissions', overrides, req.userId);
+
+    await recordAudit(req, 'admin.role_permissions_changed', {
+      target: { type: 'setting', label: `rolePermissions.${role}` },
+      before: { permissions: previousPermissions },
+      after: { permissions: DEFAULT_ROLE_PERMISSIONS[role] || [] },
+      metadata: { reset: true }
+    });
+
+    res.json({
+      success: true,
+      message: 'Role permissions reset to defaults',
+      data: { role, permissions: DEFAULT_ROLE_PERMISSIONS[role] || [] }
+    });
+  } catch (error) {
+    console.error('Reset role permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Change a user's role
+// @access  Private (user:manage-roles)
+router.put('/users/:id/role', authorize('user:manage-roles'), [
+  body('role').isIn(ROLES).withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { role } = req.body;
+
+    // Only superusers can hand out or take away superuser roles
+    const touchesSuperuser = SUPERUSER_ROLES.includes(role) || SUPERUSER_ROLES.includes(user.role);
+    if (touchesSuperuser && !SUPERUSER_ROLES.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can grant or remove the admin role'
+      });
+    }
+
+    if (user._id.equals(req.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+
+    await recordAudit(req, 'admin.user_role_changed', {
+      target: { type: 'user', id: user._id, label: user.email },
+      before: { role: previousRole },
+      after: { role }
+    });
+
+    res.json({
+      success: true,
+      message: 'User role updated successfully',
+      data: { user }
+    });
+  } catch (error) {
+    console.error('Update user role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:id/impersonate
+// @desc    Get a short-lived token for viewing the app as a client
+// @access  Private (user:impersonate)
+router.post('/users/:id/impersonate', denyImpersonation, authorize('user:impersonate'), [
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('Give a reason (3-500 characters)')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user._id.equals(req.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot impersonate yourself'
+      });
+    }
+
+    // Staff accounts are off limits so impersonation can't be used to borrow extra permissions
+    if (SUPERUSER_ROLES.includes(user.role) || await hasPermission(user, 'admin:access')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Staff accounts cannot be impersonated'
+      });
+    }
+
+    const token = generateImpersonationToken(user._id, req.userId, req.sessionId);
+    const expiresAt = new Date(Date.now() + IMPERSONATION_TOKEN_TTL_MS);
+
+    await recordAudit(req, 'admin.impersonation_started', {
+      target: { type: 'user', id: user._id, label: user.email },
+      metadata: { reason: req.body.reason, expiresAt }
+    });
+
+    res.json({
+      success: true,
+      message: `Viewing as ${user.name} until ${expiresAt.toLocaleTimeString()}`,
+      data: {
+        // Cookie sessions get the token as their access cookie; their refresh cookie is left alone
+        ...deliverTokens(req, res, { token }, IMPERSONATION_TOKEN_TTL_MS),
+        expiresAt,
+        user: { _id: user._id, name: user.name, email: user.email }
+      }
+    });
+  } catch (error) {
+    console.error('Impersonate user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/admin/accounts/purge
+// @desc    Permanently delete accounts whose deletion grace period has ended
+// @access  Private (user:purge)
+router.post('/accounts/purge', authorize('user:purge'), async (req, res) => {
+  try {
+    const purged = await AccountData.purgeDueAccounts();
+
+    await recordAudit(req, 'admin.accounts_purged', { metadata: { purged } });
+
+    res.json({
+      success: true,
+      message: `Purged ${purged} account(s)`,
+      data: { purged }
+    });
+  } catch (error) {
+    console.error('Purge accounts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/admin/notifications/run
+// @desc    Send notifications whose quiet hours have ended and due milestone reminders
+// @access  Private (notification:run)
+router.post('/notifications/run', authorize('notification:run'), async (req, res) => {
+  try {
+    const result = await NotificationService.runScheduled();
+
+    res.json({
+      success: true,
+      message: `Delivered ${result.delivered} queued notification(s) and ${result.reminders} milestone reminder(s)`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Run notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/audit-events
+// @desc    Query the audit log
+// @access  Private (audit:read)
+router.get('/audit-events', authorize('audit:read'), [
+  query('actor').optional().isMongoId().withMessage('Invalid actor ID'),
+  query('targetId').optional().isMongoId().withMessage('Invalid target ID'),
+  query('targetType').optional().isString().isLength({ max: 50 }).withMessage('Invalid target type'),
+  query('ip').optional().isIP().withMessage('Invalid IP address'),
+  query('from').optional().isISO8601().withMessage('from must be a date'),
+  query('to').optional().isISO8601().withMessage('to must be a date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { action, actor, targetType, targetId, ip, from, to, page = 1, limit = 50 } = req.query;
+    const filter = {};
+
+    // Comma-separated; a trailing '*' matches a whole family, e.g. 'auth.login*,admin.*'
+    if (action) {
+      const actions = String(action).split(',').map(value => value.trim()).filter(Boolean);
+      filter.$or = actions.map(value => {
+        if (!value.endsWith('*')) return { action: value };
+        const prefix = value.slice(0, -1).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return { action: new RegExp(`^${prefix}`) };
+      });
+    }
+    // Query values can arrive as arrays or objects (?ip[$ne]=), so only ever match them as strings
+    if (actor) filter.actor = String(actor);
+    if (targetType) filter['target.type'] = String(targetType);
+    if (targetId) filter['target.id'] = String(targetId);
+    if (ip) filter.ip = String(ip);
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const pageSize = Math.min(parseInt(limit) || 50, 200);
+
+    const events = await AuditEvent.find(filter)
+      .populate('actor', 'name email role')
+      .sort({ createdAt: -1 })
+      .limit(pageSize)
+      .skip((page - 1) * pageSize);
+
+    const total = await AuditEvent.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / pageSize),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get audit events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 module.exports = router;
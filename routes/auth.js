@@ -1,9 +1,27 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { auth } = require('../middleware/auth');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const DeveloperInvite = require('../models/DeveloperInvite');
+const { auth, denyImpersonation, refreshTokenFromCookie } = require('../middleware/auth');
+const rateLimit = require('express-rate-limit');
+const { hashToken, generateAccessToken, generatePurposeToken, verifyPurposeToken, issueTokens, rotateRefreshToken } = require('../utils/tokens');
+const TwoFactor = require('../utils/twoFactor');
+const SmsService = require('../utils/sms');
+const AccountData = require('../utils/accountData');
+const { describeUserAgent } = require('../utils/requestInfo');
+const { recordAudit, SECURITY_ACTIONS } = require('../utils/audit');
+const { getRolePermissions, getUserPermissions } = require('../utils/policy');
+const { API_KEY_SCOPES } = require('../config/permissions');
+const { passport, PROVIDERS, isProviderEnabled, getEnabledProviders } = require('../config/passport');
+const AuditEvent = require('../models/AuditEvent');
+const { uploadSingle } = require('../middleware/upload');
+const Avatar = require('../utils/avatar');
+const StorageService = require('../utils/storage');
+const { OAUTH_MODE_COOKIE, OAUTH_LINK_COOKIE, getCookie, setAuthCookies, clearAuthCookies, deliverTokens } = require('../utils/authCookies');
 
 // Email service
 let EmailService;
@@ -16,32 +34,146 @@ try {
 
 const router = express.Router();
 
-// Helper function to generate avatar data URL
-const generateAvatarDataUrl = (name, size = 200) => {
-  if (!name) return null;
-  
-  const initials = name.trim().split(' ').length >= 2
-    ? (name.trim().split(' ')[0][0] + name.trim().split(' ').pop()[0]).toUpperCase()
-    : name.trim().substring(0, 2).toUpperCase();
-  
-  const colors = ['#8b5cf6', '#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#6366f1', '#ec4899', '#14b8a6'];
-  let hash = 0;
-  for (let i = 0; i < name.length; i++) {
-    hash = name.charCodeAt(i) + ((hash << 5) - hash);
-  }
-  const color = colors[Math.abs(hash) % colors.length];
-  
-  const svg = `<svg width="${size}" height="${size}" xmlns="http://www.w3.org/2000/svg">
-    <rect width="${size}" height="${size}" fill="${color}"/>
-    <text x="50%" y="50%" text-anchor="middle" dy=".35em" fill="white" font-size="${size * 0.4}" font-weight="600" font-family="system-ui, -apple-system, sans-serif">${initials}</text>
-  </svg>`;
-  
-  return 'data:image/svg+xml;base64,' + Buffer.from(svg).toString('base64');
+// Tighter limit for endpoints that accept 6-digit codes
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10
+});
+
+// Magic links: limit per IP, and per address so one inbox can't be flooded
+const magicLinkIpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10
+});
+
+const magicLinkEmailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3,
+  keyGenerator: (req) => `magic-link:${req.body.email}`,
+  message: {
+    success: false,
+    message: 'Too many sign-in links requested for this email. Please try again later.'
+  }
+});
+
+// SMS codes cost money and can be guessed, so keep both sending and checking tight
+const smsLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10
+});
+
+// Sent instead of a code when no SMS provider is configured (see utils/sms.js)
+const smsUnavailable = {
+  success: false,
+  code: 'SMS_NOT_CONFIGURED',
+  message: 'Text messages are not available right now. Please sign in another way.'
+};
+
+const MAX_API_KEYS = 20;
+const EMAIL_CHANGE_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const MAGIC_LINK_TTL_MS = 15 * 60 * 1000; // 15 minutes
+const LOGIN_ALERT_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Email the owner about a sign-in from an unfamiliar device or country, with a "this wasn't me"
+// link. `device` is what user.registerSuccessfulLogin() found. Only the latest alert's link works.
+const sendLoginAlert = async (user, req, device) => {
+  if (!device.newDevice && !device.newCountry) return;
+
+  const alertToken = crypto.randomBytes(32).toString('hex');
+  user.loginAlertToken = hashToken(alertToken);
+  user.loginAlertTokenExpires = new Date(Date.now() + LOGIN_ALERT_TTL_MS);
+  user.loginAlertFingerprint = device.fingerprint;
+  await user.save();
+
+  await recordAudit(req, 'auth.new_device_login', {
+    actor: user,
+    metadata: { device: device.label, country: device.country, newDevice: device.newDevice, newCountry: device.newCountry }
+  });
+
+  if (EmailService) {
+    try {
+      await EmailService.sendNewDeviceLoginEmail(user, {
+        device: device.label,
+        country: device.country,
+        ip: req.ip,
+        at: new Date(),
+        newCountry: device.newCountry
+      }, alertToken);
+    } catch (emailError) {
+      console.error('Failed to send new device login email:', emailError);
+    }
+  }
+};
+
+const lockedError = (user) => ({
+  status: 423,
+  code: 'ACCOUNT_LOCKED',
+  message: 'Too many failed sign-in attempts. Your account is temporarily locked - check your email for an unlock link.',
+  data: { lockUntil: user.lockUntil }
+});
+
+// Respond to a sign-in that completeLogin() refused
+const sendLoginBlocked = (res, { status, code, message, data }) => {
+  return res.status(status).json({ success: false, code, message, data });
+};
+
+// Respond to a login attempt on a locked account
+const sendLockedResponse = (res, user) => sendLoginBlocked(res, lockedError(user));
+
+const sendTwoFactorChallenge = (res, challengeToken) => {
+  return res.json({
+    success: true,
+    message: 'Two-factor authentication required',
+    data: { twoFactorRequired: true, challengeToken }
+  });
+};
+
+// The shared last step of every sign-in method (password, magic link, phone code, social
+// providers and the 2FA step), run once the user has proven who they are and before any
+// tokens are issued. Returns { blocked } for locked accounts and for ones that must choose a
+// new password after a disowned login, { challengeToken } when a second factor is still due,
+// or {} once the login is recorded and any new-device alert has gone out.
+const completeLogin = async (user, req, method, { secondFactorVerified = false } = {}) => {
+  if (user.isLocked()) {
+    await recordAudit(req, 'auth.login_failed', { actor: user, metadata: { method, reason: 'locked' } });
+    return { blocked: lockedError(user) };
+  }
+
+  // After the owner disowned a login, no method may sign in until the password is reset
+  if (user.passwordResetRequired) {
+    await recordAudit(req, 'auth.login_failed', { actor: user, metadata: { method, reason: 'password-reset-required' } });
+    return {
+      blocked: {
+        status: 403,
+        code: 'PASSWORD_RESET_REQUIRED',
+        message: 'For your security, please choose a new password using the link we emailed you.'
+      }
+    };
+  }
+
+  if (user.twoFactor.enabled && !secondFactorVerified) {
+    return { challengeToken: generatePurposeToken('2fa-challenge', { userId: user._id }, '5m') };
+  }
+
+  await sendLoginAlert(user, req, await user.registerSuccessfulLogin(req));
+  await recordAudit(req, 'auth.login', { actor: user, metadata: { method } });
+  return {};
 };
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '7d' });
+// Email the owner a one-time unlock link
+const sendAccountLockedEmail = async (user) => {
+  const unlockToken = crypto.randomBytes(32).toString('hex');
+  user.unlockToken = hashToken(unlockToken);
+  user.unlockTokenExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+  await user.save();
+
+  if (EmailService) {
+    try {
+      await EmailService.sendAccountLockedEmail(user, unlockToken, user.lockUntil);
+    } catch (emailError) {
+      console.error('Failed to send account locked email:', emailError);
+    }
+  }
 };
 
 // @route   POST /api/auth/register
@@ -73,9 +205,6 @@ router.post('/register', [
       });
     }
 
-    // Generate avatar
-    const avatar = generateAvatarDataUrl(name);
-    
     // Generate verification token
     const verificationToken = crypto.randomBytes(32).toString('hex');
 
@@ -84,12 +213,12 @@ router.post('/register', [
       name,
       email,
       password,
-      avatar,
       isVerified: false,
       verificationToken
     });
 
     await user.save();
+    await recordAudit(req, 'auth.register', { actor: user, target: { type: 'user', id: user._id, label: user.email } });
 
     // Send verification email if email service is configured
     if (EmailService) {
@@ -101,15 +230,16 @@ router.post('/register', [
       }
     }
 
-    // Generate token (user can log in but will see verification reminder)
-    const token = generateToken(user._id);
+    // Generate tokens (user can log in but will see verification reminder)
+    const { token, refreshToken } = await issueTokens(user, req);
 
     res.status(201).json({
       success: true,
       message: EmailService ? 'User registered successfully. Please check your email to verify your account.' : 'User registered successfully. Please verify your email to complete setup.',
       data: {
         user,
-        token
+        permissions: await getRolePermissions(user.role),
+        ...deliverTokens(req, res, { token, refreshToken })
       }
     });
   } catch (error) {
@@ -121,6 +251,117 @@ router.post('/register', [
   }
 });
 
+// @route   GET /api/auth/developer-invite
+// @desc    Look up a developer invitation from its emailed token
+// @access  Public
+router.get('/developer-invite', async (req, res) => {
+  try {
+    const invite = req.query.token && await DeveloperInvite.findOne({ tokenHash: hashToken(String(req.query.token)) });
+
+    if (!invite || !invite.isUsable()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This invitation is invalid or has expired. Ask the Nixicon team to resend it.'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        invite: {
+          name: invite.name,
+          email: invite.email,
+          skills: invite.skills,
+          expiresAt: invite.expiresAt
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get developer invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/developer-invite/accept
+// @desc    Create a developer account from an invitation
+// @access  Public
+router.post('/developer-invite/accept', [
+  body('token').notEmpty().withMessage('Invitation token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  body('name').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Name must be 2-50 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const invite = await DeveloperInvite.findOne({ tokenHash: hashToken(req.body.token) });
+
+    if (!invite || !invite.isUsable()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This invitation is invalid or has expired. Ask the Nixicon team to resend it.'
+      });
+    }
+
+    if (await User.exists({ email: invite.email })) {
+      return res.status(400).json({
+        success: false,
+        message: 'An account with this email already exists'
+      });
+    }
+
+    const name = req.body.name || invite.name;
+
+    // The invite was emailed, so the address is already proven
+    const user = new User({
+      name,
+      email: invite.email,
+      password: req.body.password,
+      role: 'developer',
+      skills: invite.skills,
+      isVerified: true
+    });
+    await user.save();
+
+    invite.acceptedAt = new Date();
+    invite.acceptedUser = user._id;
+    await invite.save();
+
+    await recordAudit(req, 'auth.register', {
+      actor: user,
+      target: { type: 'user', id: user._id, label: user.email },
+      metadata: { via: 'developer-invite', invitedBy: invite.invitedBy }
+    });
+
+    const { token, refreshToken } = await issueTokens(user, req);
+
+    res.status(201).json({
+      success: true,
+      message: 'Welcome to Nixicon! Your developer account is ready.',
+      data: {
+        user,
+        permissions: await getRolePermissions(user.role),
+        ...deliverTokens(req, res, { token, refreshToken })
+      }
+    });
+  } catch (error) {
+    console.error('Accept developer invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
@@ -143,30 +384,50 @@ router.post('/login', [
     // Find user by email
     const user = await User.findOne({ email });
     if (!user) {
+      await recordAudit(req, 'auth.login_failed', { actor: null, metadata: { method: 'password', email, reason: 'unknown-email' } });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
+    // Don't even check the password while locked so guesses can't continue
+    if (user.isLocked()) {
+      await recordAudit(req, 'auth.login_failed', { actor: user, metadata: { method: 'password', reason: 'locked' } });
+      return sendLockedResponse(res, user);
+    }
+
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await recordAudit(req, 'auth.login_failed', { actor: user, metadata: { method: 'password', reason: 'wrong-password' } });
+      if (await user.registerFailedLogin(req)) {
+        await recordAudit(req, 'auth.account_locked', { actor: user, target: { type: 'user', id: user._id, label: user.email } });
+        await sendAccountLockedEmail(user);
+        return sendLockedResponse(res, user);
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // With 2FA enabled the password only earns a short-lived challenge token
+    const login = await completeLogin(user, req, 'password');
+    if (login.blocked) return sendLoginBlocked(res, login.blocked);
+    if (login.challengeToken) return sendTwoFactorChallenge(res, login.challengeToken);
+
+    // Generate tokens
+    const { token, refreshToken } = await issueTokens(user, req);
 
     res.json({
       success: true,
       message: 'Login successful',
       data: {
         user,
-        token
+        permissions: await getRolePermissions(user.role),
+        ...deliverTokens(req, res, { token, refreshToken })
       }
     });
   } catch (error) {
@@ -184,9 +445,13 @@ router.post('/login', [
 router.get('/me', auth, async (req, res) => {
   try {
     const user = await User.findById(req.userId).select('-password');
+    const permissions = await getUserPermissions(req.user);
+    const impersonator = req.impersonator
+      ? { _id: req.impersonator._id, name: req.impersonator.name, email: req.impersonator.email }
+      : null;
     res.json({
       success: true,
-      data: { user }
+      data: { user, permissions, impersonator }
     });
   } catch (error) {
     console.error('Get user error:', error);
@@ -197,6 +462,41 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/impersonation/end
+// @desc    Stop viewing the app as another user
+// @access  Private (impersonation token)
+router.post('/impersonation/end', auth, async (req, res) => {
+  try {
+    if (!req.impersonator) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are not viewing as another user'
+      });
+    }
+
+    await recordAudit(req, 'admin.impersonation_ended', {
+      actor: req.impersonator,
+      target: { type: 'user', id: req.user._id, label: req.user.email }
+    });
+
+    // Cookie sessions swap straight back to the admin's own access token
+    if (req.cookieSession) {
+      setAuthCookies(res, { token: generateAccessToken(req.impersonator._id, req.sessionId) });
+    }
+
+    res.json({
+      success: true,
+      message: `Stopped viewing as ${req.user.name}`
+    });
+  } catch (error) {
+    console.error('End impersonation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   PUT /api/auth/profile
 // @desc    Update user profile
 // @access  Private
@@ -219,9 +519,14 @@ router.put('/profile', auth, [
     const updateData = {};
 
     if (name) updateData.name = name;
-    if (phone) updateData.phone = phone;
+    if (phone && phone !== req.user.phone) {
+      // A new number has to be verified again before it can be used to sign in
+      updateData.phone = phone;
+      updateData.phoneVerified = false;
+    }
     if (country) updateData.country = country;
-    if (preferences) updateData.preferences = preferences;
+    // Notification settings have their own endpoint (/api/notifications/preferences)
+    if (preferences && preferences.theme) updateData['preferences.theme'] = preferences.theme;
 
     const user = await User.findByIdAndUpdate(
       req.userId,
@@ -243,10 +548,127 @@ router.put('/profile', auth, [
   }
 });
 
+// @route   POST /api/auth/avatar
+// @desc    Upload a profile picture (cropped and resized on the server)
+// @access  Private
+router.post('/avatar', auth, uploadSingle('avatar', {
+  maxBytes: Avatar.MAX_AVATAR_BYTES,
+  types: Avatar.AVATAR_TYPES
+}), async (req, res) => {
+  try {
+    if (!Avatar.isProcessingAvailable()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Avatar uploads are not available right now'
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose an image to upload'
+      });
+    }
+
+    let files;
+    try {
+      files = await Avatar.storeAvatar(req.userId, req.file.buffer);
+    } catch (processingError) {
+      console.error('Avatar processing error:', processingError.message);
+      return res.status(400).json({
+        success: false,
+        message: 'That file could not be read as an image'
+      });
+    }
+
+    const user = await User.findById(req.userId);
+    const previousFiles = user.avatarFiles;
+
+    user.avatarFiles = files;
+    user.avatar = StorageService.url(Avatar.pickAvatarFile(files, Infinity).key);
+    user.avatarUpdatedAt = new Date();
+    await user.save();
+
+    await Avatar.removeAvatarFiles(previousFiles);
+
+    res.json({
+      success: true,
+      message: 'Profile picture updated',
+      data: { user }
+    });
+  } catch (error) {
+    console.error('Avatar upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/avatar
+// @desc    Remove the profile picture and go back to the initials avatar
+// @access  Private
+router.delete('/avatar', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+    const previousFiles = user.avatarFiles;
+
+    user.avatarFiles = [];
+    user.avatar = null;
+    user.avatarUpdatedAt = new Date();
+    await user.save();
+
+    await Avatar.removeAvatarFiles(previousFiles);
+
+    res.json({
+      success: true,
+      message: 'Profile picture removed',
+      data: { user }
+    });
+  } catch (error) {
+    console.error('Avatar delete error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/auth/avatar/:userId
+// @desc    A user's avatar at roughly ?size= pixels: the uploaded picture, their social
+//          profile photo, or generated initials
+// @access  Public
+router.get('/avatar/:userId', async (req, res) => {
+  try {
+    const size = Math.min(Math.max(parseInt(req.query.size, 10) || 128, 16), 512);
+    const user = mongoose.isValidObjectId(req.params.userId)
+      ? await User.findById(req.params.userId).select('name avatar avatarFiles')
+      : null;
+
+    if (user && user.avatarFiles.length > 0) {
+      return res.redirect(StorageService.url(Avatar.pickAvatarFile(user.avatarFiles, size).key));
+    }
+
+    // Photos from sign-in providers are remote URLs; old accounts may still hold a data: URL
+    if (user && user.avatar && /^https?:\/\//.test(user.avatar)) {
+      return res.redirect(user.avatar);
+    }
+
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.type('image/svg+xml').send(Avatar.renderInitialsSvg(user ? user.name : '', size));
+  } catch (error) {
+    console.error('Get avatar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   POST /api/auth/change-password
 // @desc    Change user password
 // @access  Private
-router.post('/change-password', auth, [
+router.post('/change-password', auth, denyImpersonation, [
   body('currentPassword').notEmpty().withMessage('Current password is required'),
   body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
 ], async (req, res) => {
@@ -273,6 +695,7 @@ router.post('/change-password', auth, [
     // Verify current password
     const isMatch = await user.comparePassword(currentPassword);
     if (!isMatch) {
+      await recordAudit(req, 'auth.password_change_failed', { target: { type: 'user', id: user._id, label: user.email } });
       return res.status(400).json({
         success: false,
         message: 'Current password is incorrect'
@@ -281,11 +704,18 @@ router.post('/change-password', auth, [
 
     // Update password
     user.password = newPassword;
+    user.passwordResetRequired = false;
     await user.save();
 
+    // Existing tokens are invalidated by the change, so sign out everywhere and hand back a fresh session
+    await Session.revokeAllForUser(user._id, 'password-change');
+    await recordAudit(req, 'auth.password_changed', { target: { type: 'user', id: user._id, label: user.email } });
+    const { token, refreshToken } = await issueTokens(user, req);
+
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      data: deliverTokens(req, res, { token, refreshToken })
     });
   } catch (error) {
     console.error('Change password error:', error);
@@ -296,50 +726,78 @@ router.post('/change-password', auth, [
   }
 });
 
-// @route   GET /api/auth/verify-email
-// @desc    Verify user email
-// @access  Public
-router.get('/verify-email', async (req, res) => {
+// @route   POST /api/auth/change-email
+// @desc    Start an email change: confirm via a link sent to the new address
+// @access  Private
+router.post('/change-email', auth, denyImpersonation, [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+  body('password').optional().isString()
+], async (req, res) => {
   try {
-    const { token } = req.query;
-    
-    if (!token) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Verification token is required'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    // Find user with verification token
-    const user = await User.findOne({ verificationToken: token });
-    
-    if (!user) {
+    const { email, password } = req.body;
+    const user = await User.findById(req.userId);
+
+    if (user.password && !(await user.comparePassword(password || ''))) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid or expired verification token'
+        message: 'Password is incorrect'
       });
     }
 
-    // Update user as verified
-    user.isVerified = true;
-    user.verificationToken = undefined;
+    if (email === user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'That is already your email address'
+      });
+    }
+
+    if (await User.exists({ email })) {
+      return res.status(400).json({
+        success: false,
+        message: 'An account with that email already exists'
+      });
+    }
+
+    // Its own token, so a sign-up verification link can never confirm the new address
+    const emailChangeToken = crypto.randomBytes(32).toString('hex');
+    user.pendingEmail = email;
+    user.emailChangeToken = hashToken(emailChangeToken);
+    user.emailChangeExpires = new Date(Date.now() + EMAIL_CHANGE_TTL_MS);
     await user.save();
+    await recordAudit(req, 'auth.email_change_requested', {
+      target: { type: 'user', id: user._id, label: user.email },
+      metadata: { pendingEmail: email }
+    });
 
-    // Send welcome email
     if (EmailService) {
       try {
-        await EmailService.sendWelcomeEmail(user);
+        await EmailService.sendEmailChangeVerificationEmail(user, emailChangeToken);
+        await EmailService.sendEmailChangeNoticeEmail(user);
       } catch (emailError) {
-        console.error('Failed to send welcome email:', emailError);
+        console.error('Failed to send email change emails:', emailError);
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to send confirmation email. Please try again later.'
+        });
       }
     }
 
     res.json({
       success: true,
-      message: 'Email verified successfully! You can now use all features.'
+      message: `We sent a confirmation link to ${email}. Your email will change once you click it.`,
+      data: { pendingEmail: email }
     });
   } catch (error) {
-    console.error('Email verification error:', error);
+    console.error('Change email error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -347,18 +805,140 @@ router.get('/verify-email', async (req, res) => {
   }
 });
 
-// @route   POST /api/auth/resend-verification
-// @desc    Resend verification email
-// @access  Public
-router.post('/resend-verification', [
-  body('email').isEmail().normalizeEmail().withMessage('Valid email is required')
-], async (req, res) => {
+// @route   DELETE /api/auth/change-email
+// @desc    Cancel a pending email change
+// @access  Private
+router.delete('/change-email', auth, denyImpersonation, async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
+    const user = await User.findById(req.userId);
+
+    if (!user.pendingEmail) {
       return res.status(400).json({
         success: false,
-        message: 'Validation failed',
+        message: 'No email change is pending'
+      });
+    }
+
+    user.pendingEmail = undefined;
+    user.emailChangeToken = undefined;
+    user.emailChangeExpires = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Email change cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel email change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/auth/verify-email
+// @desc    Verify user email
+// @access  Public
+router.get('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.query;
+    
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is required'
+      });
+    }
+
+    // Confirming an email change: swap in the new address now that it's proven
+    const changingUser = await User.findOne({
+      emailChangeToken: hashToken(token),
+      emailChangeExpires: { $gt: new Date() }
+    });
+
+    if (changingUser && changingUser.pendingEmail) {
+      const emailTaken = await User.exists({ email: changingUser.pendingEmail, _id: { $ne: changingUser._id } });
+      if (emailTaken) {
+        changingUser.pendingEmail = undefined;
+        changingUser.emailChangeToken = undefined;
+        changingUser.emailChangeExpires = undefined;
+        await changingUser.save();
+        return res.status(400).json({
+          success: false,
+          message: 'That email address is now used by another account'
+        });
+      }
+
+      const previousEmail = changingUser.email;
+      changingUser.email = changingUser.pendingEmail;
+      changingUser.pendingEmail = undefined;
+      changingUser.isVerified = true;
+      changingUser.emailChangeToken = undefined;
+      changingUser.emailChangeExpires = undefined;
+      await changingUser.save();
+      await recordAudit(req, 'auth.email_changed', {
+        actor: changingUser,
+        target: { type: 'user', id: changingUser._id, label: changingUser.email },
+        before: { email: previousEmail },
+        after: { email: changingUser.email }
+      });
+
+      return res.json({
+        success: true,
+        message: `Your email address has been changed to ${changingUser.email}`
+      });
+    }
+
+    // Otherwise it's a sign-up verification link, which only ever confirms the current address
+    const user = await User.findOne({ verificationToken: token });
+    
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    // Update user as verified
+    user.isVerified = true;
+    user.verificationToken = undefined;
+    await user.save();
+
+    // Send welcome email
+    if (EmailService) {
+      try {
+        await EmailService.sendWelcomeEmail(user);
+      } catch (emailError) {
+        console.error('Failed to send welcome email:', emailError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully! You can now use all features.'
+    });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Resend verification email
+// @access  Public
+router.post('/resend-verification', [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
         errors: errors.array()
       });
     }
@@ -412,4 +992,1554 @@ router.post('/resend-verification', [
   }
 });
 
+// @route   POST /api/auth/magic-link
+// @desc    Email a one-time login link bound to the requesting device
+// @access  Public
+router.post('/magic-link', magicLinkIpLimiter, [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+  body('deviceId').isLength({ min: 16, max: 128 }).withMessage('Device ID is required')
+], magicLinkEmailLimiter, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email, deviceId } = req.body;
+
+    const user = await User.findOne({ email });
+
+    // Respond the same way whether or not the account exists so this can't be used to probe emails
+    if (user && !user.isLocked() && !user.deletionScheduledFor) {
+      const magicToken = crypto.randomBytes(32).toString('hex');
+      user.magicLinkToken = hashToken(magicToken);
+      user.magicLinkExpires = new Date(Date.now() + MAGIC_LINK_TTL_MS);
+      user.magicLinkDeviceHash = hashToken(deviceId);
+      await user.save();
+
+      if (EmailService) {
+        try {
+          await EmailService.sendMagicLinkEmail(user, magicToken);
+        } catch (emailError) {
+          console.error('Failed to send magic link email:', emailError);
+        }
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a sign-in link has been sent. Open it on this device.'
+    });
+  } catch (error) {
+    console.error('Magic link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/magic-link/verify
+// @desc    Exchange a magic link token for a session
+// @access  Public
+router.post('/magic-link/verify', magicLinkIpLimiter, [
+  body('token').notEmpty().withMessage('Token is required'),
+  body('deviceId').notEmpty().withMessage('Device ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, deviceId } = req.body;
+
+    const user = await User.findOne({
+      magicLinkToken: hashToken(token),
+      magicLinkExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'This sign-in link is invalid or has expired'
+      });
+    }
+
+    // The link is single-use either way; opened on another device it's treated as leaked
+    const deviceMatches = user.magicLinkDeviceHash === hashToken(deviceId);
+    user.magicLinkToken = undefined;
+    user.magicLinkExpires = undefined;
+    user.magicLinkDeviceHash = undefined;
+
+    if (!deviceMatches) {
+      await user.save();
+      await recordAudit(req, 'auth.login_failed', { actor: user, metadata: { method: 'magic-link', reason: 'device-mismatch' } });
+      return res.status(400).json({
+        success: false,
+        code: 'DEVICE_MISMATCH',
+        message: 'Open the sign-in link on the same device and browser you requested it from'
+      });
+    }
+
+    // Clicking the link proves the user controls the address
+    user.isVerified = true;
+    await user.save();
+
+    const login = await completeLogin(user, req, 'magic-link');
+    if (login.blocked) return sendLoginBlocked(res, login.blocked);
+    if (login.challengeToken) return sendTwoFactorChallenge(res, login.challengeToken);
+
+    const { token: accessToken, refreshToken } = await issueTokens(user, req);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user,
+        permissions: await getRolePermissions(user.role),
+        ...deliverTokens(req, res, { token: accessToken, refreshToken })
+      }
+    });
+  } catch (error) {
+    console.error('Magic link verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+// @route   POST /api/auth/phone/send-code
+// @desc    Text a code to verify a phone number for the current user
+// @access  Private
+router.post('/phone/send-code', auth, denyImpersonation, smsLimiter, [
+  body('phone').isMobilePhone('any', { strictMode: true }).withMessage('Enter the phone number in international format, e.g. +254712345678')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!SmsService.isConfigured()) {
+      return res.status(503).json(smsUnavailable);
+    }
+
+    const { phone } = req.body;
+    const user = await User.findById(req.userId);
+
+    const takenBy = await User.exists({ phone, phoneVerified: true, _id: { $ne: user._id } });
+    if (takenBy) {
+      return res.status(400).json({
+        success: false,
+        message: 'This phone number is already verified on another account'
+      });
+    }
+
+    const cooldown = user.phoneOtpCooldown();
+    if (cooldown > 0) {
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${cooldown} seconds before requesting another code`
+      });
+    }
+
+    const code = await user.createPhoneOtp('verify-phone', phone);
+    await SmsService.sendVerificationCode(phone, code);
+
+    res.json({
+      success: true,
+      message: `We texted a code to ${phone}`
+    });
+  } catch (error) {
+    console.error('Send phone code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification code'
+    });
+  }
+});
+
+// @route   POST /api/auth/phone/verify
+// @desc    Confirm a phone number with the texted code
+// @access  Private
+router.post('/phone/verify', auth, denyImpersonation, smsLimiter, [
+  body('code').trim().isLength({ min: 6, max: 6 }).isNumeric().withMessage('Enter the 6-digit code')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.userId);
+    const phone = await user.verifyPhoneOtp('verify-phone', req.body.code);
+
+    if (!phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired code'
+      });
+    }
+
+    const previousPhone = user.phone;
+    user.phone = phone;
+    user.phoneVerified = true;
+    await user.save();
+    await recordAudit(req, 'auth.phone_verified', {
+      target: { type: 'user', id: user._id, label: user.email },
+      before: { phone: previousPhone || null },
+      after: { phone }
+    });
+
+    res.json({
+      success: true,
+      message: 'Phone number verified',
+      data: { user }
+    });
+  } catch (error) {
+    console.error('Verify phone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/phone/login/send-code
+// @desc    Text a sign-in code to a verified phone number
+// @access  Public
+router.post('/phone/login/send-code', smsLimiter, [
+  body('phone').isMobilePhone('any', { strictMode: true }).withMessage('Enter the phone number in international format, e.g. +254712345678')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!SmsService.isConfigured()) {
+      return res.status(503).json(smsUnavailable);
+    }
+
+    const { phone } = req.body;
+    const user = await User.findOne({ phone, phoneVerified: true });
+
+    // Respond the same way whether or not the number is registered so this can't be used to probe numbers
+    if (user && !user.isLocked() && user.phoneOtpCooldown() === 0) {
+      const code = await user.createPhoneOtp('login', phone);
+      try {
+        await SmsService.sendLoginCode(phone, code);
+      } catch (smsError) {
+        console.error('Failed to send login code:', smsError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If this number is registered, a sign-in code is on its way'
+    });
+  } catch (error) {
+    console.error('Send login code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/phone/login
+// @desc    Sign in with a texted code
+// @access  Public
+router.post('/phone/login', smsLimiter, [
+  body('phone').isMobilePhone('any', { strictMode: true }).withMessage('Enter the phone number in international format'),
+  body('code').trim().isLength({ min: 6, max: 6 }).isNumeric().withMessage('Enter the 6-digit code')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { phone, code } = req.body;
+    const user = await User.findOne({ phone, phoneVerified: true });
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired code'
+      });
+    }
+
+    if (user.isLocked()) {
+      return sendLockedResponse(res, user);
+    }
+
+    if (!(await user.verifyPhoneOtp('login', code))) {
+      await recordAudit(req, 'auth.login_failed', { actor: user, metadata: { method: 'phone', reason: 'wrong-code' } });
+      if (await user.registerFailedLogin(req)) {
+        await recordAudit(req, 'auth.account_locked', { actor: user, target: { type: 'user', id: user._id, label: user.email } });
+        await sendAccountLockedEmail(user);
+        return sendLockedResponse(res, user);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired code'
+      });
+    }
+
+    const login = await completeLogin(user, req, 'phone');
+    if (login.blocked) return sendLoginBlocked(res, login.blocked);
+    if (login.challengeToken) return sendTwoFactorChallenge(res, login.challengeToken);
+
+    const { token, refreshToken } = await issueTokens(user, req);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user,
+        permissions: await getRolePermissions(user.role),
+        ...deliverTokens(req, res, { token, refreshToken })
+      }
+    });
+  } catch (error) {
+    console.error('Phone login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Send password reset email
+// @access  Public
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+
+    // Respond the same way whether or not the account exists so this can't be used to probe emails
+    if (user) {
+      const resetToken = crypto.randomBytes(32).toString('hex');
+      user.resetPasswordToken = hashToken(resetToken);
+      user.resetPasswordExpires = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
+      await user.save();
+
+      if (EmailService) {
+        try {
+          await EmailService.sendPasswordResetEmail(user, resetToken);
+        } catch (emailError) {
+          console.error('Failed to send password reset email:', emailError);
+        }
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Reset password using the emailed token
+// @access  Public
+router.post('/reset-password', [
+  body('token').notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+
+    const user = await User.findOne({
+      resetPasswordToken: hashToken(token),
+      resetPasswordExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    // Clearing the token makes it single-use; the pre-save hook stamps passwordChangedAt
+    user.password = password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpires = undefined;
+    user.passwordResetRequired = false;
+
+    // A reset is the way out of a hijacked account, so drop any email change in flight
+    if (user.pendingEmail) {
+      user.pendingEmail = undefined;
+      user.emailChangeToken = undefined;
+      user.emailChangeExpires = undefined;
+    }
+    await user.save();
+
+    await Session.revokeAllForUser(user._id, 'password-reset');
+    await recordAudit(req, 'auth.password_reset', { actor: user, target: { type: 'user', id: user._id, label: user.email } });
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public
+router.post('/refresh', refreshTokenFromCookie, [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const tokenHash = hashToken(req.body.refreshToken);
+    const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+    if (!session) {
+      // A token that was already rotated out is being replayed, so someone else holds a copy.
+      // Revoke the whole session so neither party can keep using it.
+      const compromised = await Session.findOne({ previousTokenHashes: tokenHash });
+      if (compromised && !compromised.revokedAt) {
+        await compromised.revoke('reuse-detected');
+        console.warn(`Refresh token reuse detected for session ${compromised._id}`);
+      }
+
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    if (!session.isActive()) {
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked'
+      });
+    }
+
+    const user = await User.findById(session.user);
+    if (!user) {
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    const rotated = await rotateRefreshToken(session, tokenHash);
+    if (!rotated) {
+      // Another request rotated this token first, so it was presented twice
+      await Session.updateOne(
+        { _id: session._id, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: 'reuse-detected' }
+      );
+      console.warn(`Refresh token reuse detected for session ${session._id}`);
+
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+    const { token, refreshToken } = rotated;
+
+    res.json({
+      success: true,
+      data: {
+        ...deliverTokens(req, res, { token, refreshToken })
+      }
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the session behind a refresh token
+// @access  Public
+router.post('/logout', refreshTokenFromCookie, [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await Session.findOne({ refreshTokenHash: hashToken(req.body.refreshToken) });
+    if (session && !session.revokedAt) {
+      await session.revoke('logout');
+    }
+    clearAuthCookies(res);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/auth/providers
+// @desc    List the social sign-in providers that are configured
+// @access  Public
+router.get('/providers', (req, res) => {
+  res.json({
+    success: true,
+    data: { providers: getEnabledProviders() }
+  });
+});
+
+// @route   GET /api/auth/identities
+// @desc    List the user's linked sign-in providers
+// @access  Private
+router.get('/identities', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+
+    const providers = getEnabledProviders().map(provider => {
+      const identity = user.getIdentity(provider.name);
+      return {
+        ...provider,
+        linked: Boolean(identity),
+        email: identity ? identity.email : null,
+        linkedAt: identity ? identity.linkedAt : null,
+        canUnlink: Boolean(identity) && user.canUnlinkIdentity(provider.name)
+      };
+    });
+
+    res.json({
+      success: true,
+      data: { providers, hasPassword: Boolean(user.password) }
+    });
+  } catch (error) {
+    console.error('Get identities error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/identities/:provider/link
+// @desc    Start linking a sign-in provider; returns the URL to send the browser to
+// @access  Private
+router.post('/identities/:provider/link', auth, denyImpersonation, async (req, res) => {
+  try {
+    const { provider } = req.params;
+
+    if (!isProviderEnabled(provider)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sign-in provider not available'
+      });
+    }
+
+    // Carried through the provider in the OAuth state so the callback knows who to link to.
+    // The state only counts alongside this browser's cookie, so nobody can hand their own
+    // link state to someone else's browser.
+    const nonce = crypto.randomBytes(16).toString('hex');
+    res.cookie(OAUTH_LINK_COOKIE, nonce, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      path: '/api/auth',
+      maxAge: 10 * 60 * 1000
+    });
+    const state = generatePurposeToken('link-provider', { userId: req.userId, provider, nonce: hashToken(nonce) }, '5m');
+
+    res.json({
+      success: true,
+      data: { url: `/api/auth/${provider}?state=${encodeURIComponent(state)}` }
+    });
+  } catch (error) {
+    console.error('Link provider error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/identities/:provider
+// @desc    Unlink a sign-in provider
+// @access  Private
+router.delete('/identities/:provider', auth, denyImpersonation, async (req, res) => {
+  try {
+    const { provider } = req.params;
+    const user = await User.findById(req.userId);
+    const identity = user.getIdentity(provider);
+
+    if (!identity) {
+      return res.status(404).json({
+        success: false,
+        message: 'That provider is not linked to your account'
+      });
+    }
+
+    // Never leave the account without a way to sign in
+    if (!user.canUnlinkIdentity(provider)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Set a password or link another provider before removing your only sign-in method'
+      });
+    }
+
+    user.identities.pull(identity._id);
+    await user.save();
+
+    await recordAudit(req, 'auth.identity_unlinked', {
+      target: { type: 'user', id: user._id, label: user.email },
+      metadata: { provider, providerEmail: identity.email }
+    });
+
+    res.json({
+      success: true,
+      message: `${PROVIDERS[provider].label} account unlinked`
+    });
+  } catch (error) {
+    console.error('Unlink provider error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// The `reason` the SPA is given when completeLogin() refuses a social sign-in
+const OAUTH_BLOCKED_REASONS = {
+  ACCOUNT_LOCKED: 'account-locked',
+  PASSWORD_RESET_REQUIRED: 'password-reset-required'
+};
+
+// Sign-in routes for every provider in the registry; unconfigured ones answer 503
+Object.entries(PROVIDERS).forEach(([name, provider]) => {
+  // @route   GET /api/auth/:provider
+  // @desc    Start social sign-in (or linking, when `state` holds a link token)
+  // @access  Public
+  router.get(`/${name}`, (req, res, next) => {
+    if (!isProviderEnabled(name)) {
+      return res.status(503).json({
+        success: false,
+        message: `${provider.label} sign-in is not configured`
+      });
+    }
+
+    // The callback is a plain redirect, so remember here whether to answer with cookies
+    if (req.query.mode === 'cookie') {
+      res.cookie(OAUTH_MODE_COOKIE, 'cookie', {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'lax',
+        path: '/api/auth',
+        maxAge: 10 * 60 * 1000
+      });
+    }
+
+    passport.authenticate(name, {
+      scope: provider.scope,
+      state: typeof req.query.state === 'string' ? req.query.state : undefined,
+      session: false
+    })(req, res, next);
+  });
+
+  // @route   GET /api/auth/:provider/callback
+  // @desc    OAuth callback - issues our tokens (or links the identity) and redirects to the SPA
+  // @access  Public
+  router.get(`/${name}/callback`, (req, res, next) => {
+    const frontendUrl = process.env.FRONTEND_URL || '';
+    const cookieMode = getCookie(req, OAUTH_MODE_COOKIE) === 'cookie';
+    res.clearCookie(OAUTH_MODE_COOKIE, { path: '/api/auth' });
+    res.clearCookie(OAUTH_LINK_COOKIE, { path: '/api/auth' });
+
+    if (!isProviderEnabled(name)) {
+      return res.redirect(`${frontendUrl}/?authError=${name}`);
+    }
+
+    passport.authenticate(name, { session: false }, async (err, user, info = {}) => {
+      if (err || !user) {
+        console.error(`${provider.label} callback error:`, err || info.reason);
+        const reason = info.reason ? `&reason=${info.reason}` : '';
+        return res.redirect(`${frontendUrl}/?authError=${name}${reason}`);
+      }
+
+      try {
+        if (info.action === 'linked') {
+          await recordAudit(req, 'auth.identity_linked', {
+            actor: user,
+            target: { type: 'user', id: user._id, label: user.email },
+            metadata: { provider: name }
+          });
+          return res.redirect(`${frontendUrl}/?linked=${name}`);
+        }
+
+        if (info.created) {
+          await recordAudit(req, 'auth.register', { actor: user, metadata: { via: name } });
+        } else if (info.identityAdded) {
+          await recordAudit(req, 'auth.identity_linked', {
+            actor: user,
+            target: { type: 'user', id: user._id, label: user.email },
+            metadata: { provider: name, matchedEmail: true }
+          });
+        }
+
+        const login = await completeLogin(user, req, name);
+        if (login.blocked) {
+          return res.redirect(`${frontendUrl}/?authError=${name}&reason=${OAUTH_BLOCKED_REASONS[login.blocked.code]}`);
+        }
+
+        // 2FA still applies: hand the SPA a challenge token instead of a session
+        if (login.challengeToken) {
+          return res.redirect(`${frontendUrl}/#challengeToken=${login.challengeToken}`);
+        }
+
+        const { token, refreshToken } = await issueTokens(user, req);
+
+        if (cookieMode) {
+          setAuthCookies(res, { token, refreshToken });
+          return res.redirect(`${frontendUrl}/`);
+        }
+
+        // Tokens travel in the fragment so they never reach server logs or Referer headers
+        res.redirect(`${frontendUrl}/#token=${token}&refreshToken=${refreshToken}`);
+      } catch (error) {
+        console.error(`${provider.label} sign-in error:`, error);
+        res.redirect(`${frontendUrl}/?authError=${name}`);
+      }
+    })(req, res, next);
+  });
+});
+
+// @route   POST /api/auth/login/2fa
+// @desc    Complete login with a TOTP or recovery code
+// @access  Public
+router.post('/login/2fa', twoFactorLimiter, [
+  body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+  body('code').trim().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    const { challengeToken, code } = req.body;
+
+    const challenge = verifyPurposeToken(challengeToken, '2fa-challenge');
+    if (!challenge) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge has expired. Please sign in again.'
+      });
+    }
+
+    const user = await User.findById(challenge.userId);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    if (user.isLocked()) {
+      return sendLockedResponse(res, user);
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    if (!TwoFactor.verifySecondFactor(user, code)) {
+      await recordAudit(req, 'auth.login_failed', { actor: user, metadata: { method: 'two-factor', reason: 'wrong-code' } });
+      if (await user.registerFailedLogin(req)) {
+        await recordAudit(req, 'auth.account_locked', { actor: user, target: { type: 'user', id: user._id, label: user.email } });
+        await sendAccountLockedEmail(user);
+        return sendLockedResponse(res, user);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    // Also persists a consumed recovery code
+    const login = await completeLogin(user, req, 'two-factor', { secondFactorVerified: true });
+    if (login.blocked) return sendLoginBlocked(res, login.blocked);
+
+    const { token, refreshToken } = await issueTokens(user, req);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user,
+        permissions: await getRolePermissions(user.role),
+        ...deliverTokens(req, res, { token, refreshToken })
+      }
+    });
+  } catch (error) {
+    console.error('2FA login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start 2FA enrollment and return an otpauth URI
+// @access  Private
+router.post('/2fa/setup', auth, denyImpersonation, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = TwoFactor.generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Add the account to your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl: TwoFactor.buildOtpauthUrl(user, secret)
+      }
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/confirm
+// @desc    Confirm enrollment with a first code and receive recovery codes
+// @access  Private
+router.post('/2fa/confirm', auth, denyImpersonation, twoFactorLimiter, [
+  body('code').trim().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    const user = await User.findById(req.userId);
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'No two-factor setup in progress'
+      });
+    }
+
+    if (!TwoFactor.verifyTotp(req.body.code, user.twoFactor.pendingSecret)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashes } = TwoFactor.generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+    await recordAudit(req, 'auth.two_factor_enabled', { target: { type: 'user', id: user._id, label: user.email } });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe - they will not be shown again.',
+      data: { recoveryCodes: codes }
+    });
+  } catch (error) {
+    console.error('2FA confirm error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace recovery codes (invalidates the old set)
+// @access  Private
+router.post('/2fa/recovery-codes', auth, denyImpersonation, twoFactorLimiter, [
+  body('code').trim().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    const user = await User.findById(req.userId);
+
+    if (!user.twoFactor.enabled || !TwoFactor.verifyTotp(req.body.code, user.twoFactor.secret)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashes } = TwoFactor.generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+    await recordAudit(req, 'auth.recovery_codes_regenerated', { target: { type: 'user', id: user._id, label: user.email } });
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated',
+      data: { recoveryCodes: codes }
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off 2FA
+// @access  Private
+router.post('/2fa/disable', auth, denyImpersonation, twoFactorLimiter, [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').trim().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    const user = await User.findById(req.userId);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (await TwoFactor.isTwoFactorRequired(user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role and cannot be disabled'
+      });
+    }
+
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch || !TwoFactor.verifySecondFactor(user, req.body.code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid password or authentication code'
+      });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+    await recordAudit(req, 'auth.two_factor_disabled', { target: { type: 'user', id: user._id, label: user.email } });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/unlock
+// @desc    Unlock an account with the emailed token
+// @access  Public
+router.post('/unlock', [
+  body('token').notEmpty().withMessage('Unlock token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    const user = await User.findOne({
+      unlockToken: hashToken(req.body.token),
+      unlockTokenExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired unlock token'
+      });
+    }
+
+    await user.unlock();
+    await recordAudit(req, 'auth.account_unlocked', { actor: user, target: { type: 'user', id: user._id, label: user.email } });
+
+    res.json({
+      success: true,
+      message: 'Your account has been unlocked. You can sign in again.'
+    });
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/not-me
+// @desc    Disown a sign-in from a new-device alert: sign out everywhere and require a new password
+// @access  Public
+router.post('/not-me', [
+  body('token').notEmpty().withMessage('Token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({
+      loginAlertToken: hashToken(req.body.token),
+      loginAlertTokenExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired link'
+      });
+    }
+
+    // Forget the device so signing in from it again raises another alert
+    const disownedFingerprint = user.loginAlertFingerprint;
+    user.knownDevices = user.knownDevices.filter(device => device.fingerprint !== disownedFingerprint);
+    user.loginAlertToken = undefined;
+    user.loginAlertTokenExpires = undefined;
+    user.loginAlertFingerprint = undefined;
+
+    // The password can't be trusted any more; email a reset link for choosing a new one
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    user.resetPasswordToken = hashToken(resetToken);
+    user.resetPasswordExpires = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
+    user.passwordResetRequired = true;
+    await user.save();
+
+    await Session.revokeAllForUser(user._id, 'login-disowned');
+    await recordAudit(req, 'auth.login_disowned', { actor: user, target: { type: 'user', id: user._id, label: user.email } });
+
+    if (EmailService) {
+      try {
+        await EmailService.sendPasswordResetEmail(user, resetToken);
+      } catch (emailError) {
+        console.error('Failed to send password reset email:', emailError);
+      }
+    }
+
+    clearAuthCookies(res);
+    res.json({
+      success: true,
+      message: 'We signed you out on every device. Check your email for a link to choose a new password.'
+    });
+  } catch (error) {
+    console.error('Disown login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the devices the user is signed in on
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastSeenAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          ...session.toJSON(),
+          device: describeUserAgent(session.userAgent),
+          current: Boolean(req.sessionId && session._id.equals(req.sessionId))
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out one device
+// @access  Private
+router.delete('/sessions/:id', auth, denyImpersonation, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.userId,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('user-revoked');
+    await recordAudit(req, 'auth.session_revoked', {
+      target: { type: 'session', id: session._id, label: describeUserAgent(session.userAgent) }
+    });
+
+    res.json({
+      success: true,
+      message: 'Device signed out successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out every device except the current one
+// @access  Private
+router.delete('/sessions', auth, denyImpersonation, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.userId, 'user-revoked', req.sessionId);
+    await recordAudit(req, 'auth.sessions_revoked', { metadata: { revoked: result.modifiedCount } });
+
+    res.json({
+      success: true,
+      message: 'Signed out of all other devices',
+      data: { revoked: result.modifiedCount }
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/auth/security-activity
+// @desc    Recent sign-ins and security changes on the user's account
+// @access  Private
+router.get('/security-activity', auth, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const events = await AuditEvent.find({
+      action: { $in: SECURITY_ACTIONS },
+      $or: [
+        { actor: req.userId },
+        { 'target.type': 'user', 'target.id': req.userId }
+      ]
+    })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        events: events.map(event => ({
+          _id: event._id,
+          action: event.action,
+          changes: event.changes,
+          metadata: event.metadata,
+          ip: event.ip,
+          device: describeUserAgent(event.userAgent),
+          // Changes made to the account by someone else, e.g. an admin changing the role
+          byAnotherUser: Boolean(event.actor && !event.actor.equals(req.userId)),
+          createdAt: event.createdAt
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get security activity error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/auth/api-keys
+// @desc    List the user's API keys
+// @access  Private
+router.get('/api-keys', auth, async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ user: req.userId, revokedAt: null })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        apiKeys,
+        scopes: Object.keys(API_KEY_SCOPES)
+      }
+    });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/api-keys
+// @desc    Create an API key (the key itself is only returned once)
+// @access  Private
+router.post('/api-keys', auth, denyImpersonation, [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+  body('scopes').isArray({ min: 1 }).withMessage('Select at least one scope'),
+  body('scopes.*').isIn(Object.keys(API_KEY_SCOPES)).withMessage('Invalid scope'),
+  body('expiresInDays').optional({ nullable: true }).isInt({ min: 1, max: 365 }).withMessage('Expiry must be 1-365 days'),
+  body('rateLimit').optional().isInt({ min: 1, max: 1000 }).withMessage('Rate limit must be 1-1000 requests per minute')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const activeKeys = await ApiKey.countDocuments({ user: req.userId, revokedAt: null });
+    if (activeKeys >= MAX_API_KEYS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_API_KEYS} API keys. Revoke one to create another.`
+      });
+    }
+
+    const { name, scopes, expiresInDays, rateLimit: requestsPerMinute } = req.body;
+    const { key, prefix, keyHash } = ApiKey.generateKey();
+
+    const apiKey = await ApiKey.create({
+      user: req.userId,
+      name,
+      prefix,
+      keyHash,
+      scopes: [...new Set(scopes)],
+      rateLimit: requestsPerMinute,
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : undefined
+    });
+    await recordAudit(req, 'auth.api_key_created', {
+      target: { type: 'api-key', id: apiKey._id, label: apiKey.name },
+      metadata: { prefix: apiKey.prefix, scopes: apiKey.scopes, expiresAt: apiKey.expiresAt }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again.',
+      data: { apiKey, key }
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/api-keys/:id
+// @desc    Revoke an API key
+// @access  Private
+router.delete('/api-keys/:id', auth, denyImpersonation, async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, user: req.userId, revokedAt: null });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+    await recordAudit(req, 'auth.api_key_revoked', {
+      target: { type: 'api-key', id: apiKey._id, label: apiKey.name },
+      metadata: { prefix: apiKey.prefix }
+    });
+
+    res.json({
+      success: true,
+      message: 'API key revoked'
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/auth/export
+// @desc    Download a zip archive of everything stored about the user
+// @access  Private
+router.get('/export', auth, denyImpersonation, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+    const archive = await AccountData.buildAccountArchive(user);
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="nixicon-data-${date}.zip"`,
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(archive);
+  } catch (error) {
+    console.error('Export account data error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/account
+// @desc    Request account deletion (takes effect after a grace period)
+// @access  Private
+router.delete('/account', auth, denyImpersonation, twoFactorLimiter, [
+  body('password').optional().isString(),
+  body('confirm').optional().isString(),
+  body('code').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.userId);
+
+    if (user.deletionScheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account deletion has already been requested'
+      });
+    }
+
+    // Password accounts confirm with their password; social-only accounts type DELETE
+    const confirmed = user.password
+      ? await user.comparePassword(req.body.password || '')
+      : req.body.confirm === 'DELETE';
+    if (!confirmed) {
+      return res.status(400).json({
+        success: false,
+        message: user.password ? 'Password is incorrect' : 'Type DELETE to confirm'
+      });
+    }
+
+    if (user.twoFactor.enabled && !TwoFactor.verifySecondFactor(user, req.body.code || '')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const scheduledFor = await AccountData.scheduleDeletion(user);
+    await recordAudit(req, 'auth.account_deletion_scheduled', {
+      target: { type: 'user', id: user._id, label: user.email },
+      metadata: { deletionScheduledFor: scheduledFor }
+    });
+
+    res.json({
+      success: true,
+      message: `Your account will be deleted on ${scheduledFor.toDateString()}. To keep it, sign in before then and restore it (POST /api/auth/account/restore).`,
+      data: { deletionScheduledFor: scheduledFor }
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/account/restore
+// @desc    Cancel a pending account deletion
+// @access  Private
+router.post('/account/restore', auth, denyImpersonation, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+
+    if (!user.deletionScheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your account is not scheduled for deletion'
+      });
+    }
+
+    await AccountData.cancelDeletion(user);
+    await recordAudit(req, 'auth.account_restored', { target: { type: 'user', id: user._id, label: user.email } });
+
+    res.json({
+      success: true,
+      message: 'Account deletion cancelled. Welcome back!',
+      data: { user }
+    });
+  } catch (error) {
+    console.error('Restore account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 module.exports = router;
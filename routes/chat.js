@@ -1,7 +1,9 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Project = require('../models/Project');
-const { auth } = require('../middleware/auth');
+const { auth, requireVerified } = require('../middleware/auth');
+const { scopeFilter } = require('../utils/policy');
+const NotificationService = require('../utils/notifications');
 
 const router = express.Router();
 
@@ -16,10 +18,7 @@ router.get('/projects/:projectId/messages', auth, async (req, res) => {
     // Verify user has access to project
     const project = await Project.findOne({
       _id: projectId,
-      $or: [
-        { owner: req.userId },
-        { assignedDeveloper: req.userId }
-      ]
+      ...await scopeFilter(req.user, 'project:read')
     });
 
     if (!project) {
@@ -64,7 +63,7 @@ router.get('/projects/:projectId/messages', auth, async (req, res) => {
 // @route   POST /api/chat/projects/:projectId/messages
 // @desc    Send a message in project chat
 // @access  Private
-router.post('/projects/:projectId/messages', auth, [
+router.post('/projects/:projectId/messages', auth, requireVerified, [
   body('content').trim().isLength({ min: 1, max: 2000 }).withMessage('Message must be 1-2000 characters')
 ], async (req, res) => {
   try {
@@ -83,10 +82,7 @@ router.post('/projects/:projectId/messages', auth, [
     // Verify user has access to project
     const project = await Project.findOne({
       _id: projectId,
-      $or: [
-        { owner: req.userId },
-        { assignedDeveloper: req.userId }
-      ]
+      ...await scopeFilter(req.user, 'project:communicate')
     });
 
     if (!project) {
@@ -114,6 +110,12 @@ router.post('/projects/:projectId/messages', auth, [
       attachments
     });
 
+    await NotificationService.notifyProjectParticipants(project, 'new-message', {
+      subject: `New message on ${project.title}`,
+      text: `${req.user.name}: ${content}`,
+      data: { projectId: project._id }
+    }, { except: req.userId });
+
     res.json({
       success: true,
       message: 'Message sent successfully'
@@ -137,10 +139,7 @@ router.put('/projects/:projectId/messages/:messageId/read', auth, async (req, re
     // Verify user has access to project
     const project = await Project.findOne({
       _id: projectId,
-      $or: [
-        { owner: req.userId },
-        { assignedDeveloper: req.userId }
-      ]
+      ...await scopeFilter(req.user, 'project:read')
     });
 
     if (!project) {
@@ -191,14 +190,11 @@ router.put('/projects/:projectId/messages/:messageId/read', auth, async (req, re
 router.get('/conversations', auth, async (req, res) => {
   try {
     const projects = await Project.find({
-      $or: [
-        { owner: req.userId },
-        { assignedDeveloper: req.userId }
-      ],
+      ...await scopeFilter(req.user, 'project:read'),
       status: { $in: ['prototype', 'in-development', 'testing'] }
     })
-      .populate('owner assignedDeveloper', 'name email avatar')
-      .select('title status owner assignedDeveloper communication')
+      .populate('owner members.user', 'name email avatar')
+      .select('title status owner members communication')
       .sort({ updatedAt: -1 });
 
     // Get last message and unread count for each project
@@ -217,7 +213,7 @@ router.get('/conversations', auth, async (req, res) => {
         title: project.title,
         status: project.status,
         owner: project.owner,
-        assignedDeveloper: project.assignedDeveloper,
+        members: project.members,
         lastMessage: lastMessage ? {
           content: lastMessage.content,
           author: lastMessage.author,
@@ -243,7 +239,7 @@ router.get('/conversations', auth, async (req, res) => {
 // @route   POST /api/chat/projects/:projectId/typing
 // @desc    Send typing indicator
 // @access  Private
-router.post('/projects/:projectId/typing', auth, async (req, res) => {
+router.post('/projects/:projectId/typing', auth, requireVerified, async (req, res) => {
   try {
     const { projectId } = req.params;
     const { isTyping } = req.body;
@@ -251,10 +247,7 @@ router.post('/projects/:projectId/typing', auth, async (req, res) => {
     // Verify user has access to project
     const project = await Project.findOne({
       _id: projectId,
-      $or: [
-        { owner: req.userId },
-        { assignedDeveloper: req.userId }
-      ]
+      ...await scopeFilter(req.user, 'project:communicate')
     });
 
     if (!project) {
@@ -0,0 +1,47 @@
+const express = require('express');
+const fs = require('fs');
+const StorageService = require('../utils/storage');
+const ProjectFiles = require('../utils/projectFiles');
+
+const router = express.Router();
+
+// @route   GET /api/files/download
+// @desc    Serve a private project file from local storage through a signed URL
+//          (ProjectFiles.downloadUrl). Other storage providers sign URLs that point at the
+//          provider directly.
+// @access  Public (signed URL)
+router.get('/download', async (req, res) => {
+  try {
+    const { id, expires, filename, signature } = req.query;
+
+    if (!StorageService.verifySignedDownload({ id, expires, filename, signature })) {
+      return res.status(403).json({
+        success: false,
+        message: 'This download link is invalid or has expired'
+      });
+    }
+
+    const file = await ProjectFiles.findFileById(id);
+    const filePath = file && ProjectFiles.localFilePath(file);
+    if (!filePath || !fs.existsSync(filePath)) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    res.set('Cache-Control', 'private, no-store');
+    if (filename) {
+      res.set('Content-Disposition', StorageService.attachmentDisposition(filename));
+    }
+    res.sendFile(filePath);
+  } catch (error) {
+    console.error('File download error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,185 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const { auth, authorize } = require('../middleware/auth');
+const { verifyPurposeToken } = require('../utils/tokens');
+const { NOTIFICATION_CHANNELS, NOTIFICATION_EVENTS } = require('../config/notifications');
+
+const router = express.Router();
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// { [event]: { channels: [...], quietHours: { enabled, start, end } } }, every key optional
+const validateEventSettings = (events) => {
+  if (!events || typeof events !== 'object' || Array.isArray(events)) {
+    throw new Error('Events must be an object keyed by event type');
+  }
+
+  for (const [event, settings] of Object.entries(events)) {
+    if (!NOTIFICATION_EVENTS[event]) {
+      throw new Error(`Unknown notification event: ${event}`);
+    }
+    if (settings.channels !== undefined &&
+        (!Array.isArray(settings.channels) || settings.channels.some(channel => !NOTIFICATION_CHANNELS.includes(channel)))) {
+      throw new Error(`Channels for ${event} must be a list of: ${NOTIFICATION_CHANNELS.join(', ')}`);
+    }
+    const quietHours = settings.quietHours;
+    if (quietHours !== undefined) {
+      if (quietHours.enabled !== undefined && typeof quietHours.enabled !== 'boolean') {
+        throw new Error(`Quiet hours for ${event} must be turned on or off with true or false`);
+      }
+      if ((quietHours.start !== undefined && !TIME_PATTERN.test(quietHours.start)) ||
+          (quietHours.end !== undefined && !TIME_PATTERN.test(quietHours.end))) {
+        throw new Error(`Quiet hours for ${event} must use HH:MM times`);
+      }
+    }
+  }
+  return true;
+};
+
+const serializePreferences = (user) => ({
+  timezone: user.preferences.timezone,
+  channels: {
+    email: user.preferences.notifications.email,
+    push: user.preferences.notifications.push,
+    sms: user.preferences.notifications.sms
+  },
+  smsAvailable: Boolean(user.phone && user.phoneVerified),
+  events: Object.entries(NOTIFICATION_EVENTS).map(([type, definition]) => ({
+    type,
+    label: definition.label,
+    description: definition.description,
+    ...user.getNotificationSettings(type)
+  }))
+});
+
+// Turn email off for one event. Shared by the link in the email and the one-click header.
+const unsubscribe = async (token) => {
+  const decoded = verifyPurposeToken(token, 'unsubscribe');
+  if (!decoded || !NOTIFICATION_EVENTS[decoded.event]) return null;
+
+  const user = await User.findById(decoded.userId);
+  if (!user) return null;
+
+  const settings = user.getNotificationSettings(decoded.event);
+  user.preferences.notificationEvents.set(decoded.event, {
+    channels: settings.channels.filter(channel => channel !== 'email'),
+    quietHours: settings.quietHours
+  });
+  await user.save();
+
+  return { event: decoded.event, label: NOTIFICATION_EVENTS[decoded.event].label };
+};
+
+// @route   GET /api/notifications/preferences
+// @desc    Get notification preferences for every event type
+// @access  Private (notification:preferences)
+router.get('/preferences', auth, authorize('notification:preferences'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: { preferences: serializePreferences(req.user) }
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/notifications/preferences
+// @desc    Update channel switches, per-event settings and the quiet-hours time zone
+// @access  Private (notification:preferences)
+router.put('/preferences', auth, authorize('notification:preferences'), [
+  body('timezone').optional().custom(isValidTimeZone).withMessage('Unknown time zone'),
+  body('channels.email').optional().isBoolean().withMessage('Channel switches must be true or false'),
+  body('channels.push').optional().isBoolean().withMessage('Channel switches must be true or false'),
+  body('channels.sms').optional().isBoolean().withMessage('Channel switches must be true or false'),
+  body('events').optional().custom(validateEventSettings)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { timezone, channels = {}, events = {} } = req.body;
+    const user = await User.findById(req.userId);
+
+    if (timezone) user.preferences.timezone = timezone;
+    NOTIFICATION_CHANNELS.forEach(channel => {
+      if (channels[channel] !== undefined) {
+        user.preferences.notifications[channel] = Boolean(channels[channel]);
+      }
+    });
+
+    Object.entries(events).forEach(([event, settings]) => {
+      const current = user.getNotificationSettings(event);
+      user.preferences.notificationEvents.set(event, {
+        channels: settings.channels ? [...new Set(settings.channels)] : current.channels,
+        quietHours: { ...current.quietHours, ...settings.quietHours }
+      });
+    });
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: { preferences: serializePreferences(user) }
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/notifications/unsubscribe
+// @desc    Stop emails for one event type. Takes the token from the body (unsubscribe page)
+//          or the query string (RFC 8058 one-click POST from the mail client).
+// @access  Public
+router.post('/unsubscribe', async (req, res) => {
+  try {
+    const token = req.body.token || req.query.token;
+    const result = token ? await unsubscribe(token) : null;
+
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired unsubscribe link'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `You will no longer receive emails for ${result.label.toLowerCase()}.`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Unsubscribe error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
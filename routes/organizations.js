@@ -0,0 +1,455 @@
+const express = require('express');
+const crypto = require('crypto');
+const { body, validationResult } = require('express-validator');
+const Organization = require('../models/Organization');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const { auth, authorize } = require('../middleware/auth');
+const { can, scopeFilter } = require('../utils/policy');
+const { hashToken } = require('../utils/tokens');
+
+// Email service
+let EmailService;
+try {
+  EmailService = require('../utils/email');
+} catch (error) {
+  console.log('Email service not configured:', error.message);
+  EmailService = null;
+}
+
+const router = express.Router();
+
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// All organization routes require authentication
+router.use(auth);
+
+// Load an organization the current user can see and check they may perform `action` on it
+// (see the organization:* permissions in config/permissions.js). Sends the error response
+// and returns null when access is denied.
+const loadOrganization = async (req, res, action = 'organization:read') => {
+  const organization = await Organization.findOne({
+    _id: req.params.id,
+    ...await scopeFilter(req.user, 'organization:read')
+  });
+
+  if (!organization) {
+    res.status(404).json({
+      success: false,
+      message: 'Organization not found'
+    });
+    return null;
+  }
+
+  if (!await can(req.user, action, organization)) {
+    res.status(403).json({
+      success: false,
+      message: 'You do not have permission to do this in this organization'
+    });
+    return null;
+  }
+
+  return organization;
+};
+
+// @route   GET /api/organizations
+// @desc    Get organizations the user belongs to
+// @access  Private (organization:read)
+router.get('/', authorize('organization:read'), async (req, res) => {
+  try {
+    const organizations = await Organization.find({ 'members.user': req.userId })
+      .select('name owner members createdAt')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        organizations: organizations.map(org => ({
+          _id: org._id,
+          name: org.name,
+          owner: org.owner,
+          memberCount: org.members.length,
+          role: org.getMemberRole(req.userId),
+          createdAt: org.createdAt
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get organizations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/organizations
+// @desc    Create an organization (creator becomes owner)
+// @access  Private (organization:create)
+router.post('/', authorize('organization:create'), [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const organization = new Organization({
+      name: req.body.name,
+      owner: req.userId,
+      members: [{ user: req.userId, role: 'owner' }]
+    });
+
+    await organization.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Organization created successfully',
+      data: { organization }
+    });
+  } catch (error) {
+    console.error('Create organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/organizations/invitations/accept
+// @desc    Accept an emailed invitation
+// @access  Private (organization:read)
+router.post('/invitations/accept', authorize('organization:read'), [
+  body('token').notEmpty().withMessage('Invitation token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const tokenHash = hashToken(req.body.token);
+    const organization = await Organization.findOne({ 'invitations.tokenHash': tokenHash });
+    const invitation = organization && organization.invitations.find(inv => inv.tokenHash === tokenHash);
+
+    if (!invitation || invitation.expiresAt < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation'
+      });
+    }
+
+    // Invitations are addressed to an email, so only that account may accept
+    if (invitation.email !== req.user.email) {
+      return res.status(403).json({
+        success: false,
+        message: `This invitation was sent to ${invitation.email}. Sign in with that account to accept it.`
+      });
+    }
+
+    if (!organization.getMemberRole(req.userId)) {
+      organization.members.push({ user: req.userId, role: invitation.role });
+    }
+    organization.invitations.pull(invitation._id);
+    await organization.save();
+
+    res.json({
+      success: true,
+      message: `You have joined ${organization.name}`,
+      data: { organization }
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/organizations/:id
+// @desc    Get organization details and members
+// @access  Private (organization:read)
+router.get('/:id', authorize('organization:read'), async (req, res) => {
+  try {
+    const organization = await loadOrganization(req, res);
+    if (!organization) return;
+
+    await organization.populate('members.user', 'name email avatar');
+
+    res.json({
+      success: true,
+      data: { organization }
+    });
+  } catch (error) {
+    console.error('Get organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/organizations/:id
+// @desc    Update organization details
+// @access  Private (organization:update)
+router.put('/:id', authorize('organization:update'), [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const organization = await loadOrganization(req, res, 'organization:update');
+    if (!organization) return;
+
+    organization.name = req.body.name;
+    await organization.save();
+
+    res.json({
+      success: true,
+      message: 'Organization updated successfully',
+      data: { organization }
+    });
+  } catch (error) {
+    console.error('Update organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/organizations/:id
+// @desc    Delete organization (projects go back to their individual owners)
+// @access  Private (organization:delete)
+router.delete('/:id', authorize('organization:delete'), async (req, res) => {
+  try {
+    const organization = await loadOrganization(req, res, 'organization:delete');
+    if (!organization) return;
+
+    await Project.updateMany({ organization: organization._id }, { organization: null });
+    await Organization.findByIdAndDelete(organization._id);
+
+    res.json({
+      success: true,
+      message: 'Organization deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/organizations/:id/invitations
+// @desc    Invite someone by email
+// @access  Private (organization:manage-members)
+router.post('/:id/invitations', authorize('organization:manage-members'), [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+  body('role').optional().isIn(['admin', 'member', 'viewer']).withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const organization = await loadOrganization(req, res, 'organization:manage-members');
+    if (!organization) return;
+
+    const { email, role = 'member' } = req.body;
+
+    const existingUser = await User.findOne({ email }).select('_id');
+    if (existingUser && organization.getMemberRole(existingUser._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This person is already a member'
+      });
+    }
+
+    // Re-inviting replaces any pending invitation for the same email
+    organization.invitations = organization.invitations.filter(inv => inv.email !== email);
+
+    const inviteToken = crypto.randomBytes(32).toString('hex');
+    organization.invitations.push({
+      email,
+      role,
+      tokenHash: hashToken(inviteToken),
+      invitedBy: req.userId,
+      expiresAt: new Date(Date.now() + INVITATION_TTL_MS)
+    });
+    await organization.save();
+
+    if (EmailService) {
+      try {
+        await EmailService.sendOrganizationInviteEmail(email, organization, req.user, inviteToken);
+      } catch (emailError) {
+        console.error('Failed to send organization invite email:', emailError);
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${email}`,
+      data: { organization }
+    });
+  } catch (error) {
+    console.error('Invite member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/organizations/:id/invitations/:invitationId
+// @desc    Revoke a pending invitation
+// @access  Private (organization:manage-members)
+router.delete('/:id/invitations/:invitationId', authorize('organization:manage-members'), async (req, res) => {
+  try {
+    const organization = await loadOrganization(req, res, 'organization:manage-members');
+    if (!organization) return;
+
+    if (!organization.invitations.id(req.params.invitationId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    organization.invitations.pull(req.params.invitationId);
+    await organization.save();
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked'
+    });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/organizations/:id/members/:userId
+// @desc    Change a member's role
+// @access  Private (organization:manage-members)
+router.put('/:id/members/:userId', authorize('organization:manage-members'), [
+  body('role').isIn(['admin', 'member', 'viewer']).withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const organization = await loadOrganization(req, res, 'organization:manage-members');
+    if (!organization) return;
+
+    const member = organization.members.find(m => m.user.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    // Only the owner can promote to or demote from admin, and the owner's role is fixed
+    const actorRole = organization.getMemberRole(req.userId);
+    if (member.role === 'owner' ||
+        (actorRole !== 'owner' && (member.role === 'admin' || req.body.role === 'admin'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot change this member\'s role'
+      });
+    }
+
+    member.role = req.body.role;
+    await organization.save();
+
+    res.json({
+      success: true,
+      message: 'Member role updated',
+      data: { organization }
+    });
+  } catch (error) {
+    console.error('Update member role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/organizations/:id/members/:userId
+// @desc    Remove a member (or leave the organization)
+// @access  Private (organization:manage-members, or the member themselves)
+router.delete('/:id/members/:userId', authorize('organization:read'), async (req, res) => {
+  try {
+    const isSelf = req.params.userId === req.userId.toString();
+    const organization = await loadOrganization(req, res, isSelf ? 'organization:read' : 'organization:manage-members');
+    if (!organization) return;
+
+    const member = organization.members.find(m => m.user.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    const actorRole = organization.getMemberRole(req.userId);
+    if (member.role === 'owner' || (!isSelf && member.role === 'admin' && actorRole !== 'owner')) {
+      return res.status(403).json({
+        success: false,
+        message: member.role === 'owner'
+          ? 'The owner cannot leave the organization. Delete it instead.'
+          : 'You cannot remove this member'
+      });
+    }
+
+    organization.members.pull(member._id);
+    await organization.save();
+
+    res.json({
+      success: true,
+      message: isSelf ? 'You have left the organization' : 'Member removed'
+    });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
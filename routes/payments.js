@@ -3,14 +3,17 @@ const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Project = require('../models/Project');
-const { auth } = require('../middleware/auth');
+const { auth, authorize, denyImpersonation, requireVerified } = require('../middleware/auth');
+const { scopeFilter } = require('../utils/policy');
+const { recordAudit } = require('../utils/audit');
+const NotificationService = require('../utils/notifications');
 
 const router = express.Router();
 
 // @route   POST /api/payments/create-payment-intent
 // @desc    Create Stripe payment intent
 // @access  Private
-router.post('/create-payment-intent', auth, [
+router.post('/create-payment-intent', auth, denyImpersonation, authorize('payment:create'), requireVerified, [
   body('amount').isNumeric().withMessage('Amount must be a number'),
   body('projectId').isMongoId().withMessage('Valid project ID required'),
   body('currency').optional().isIn(['usd', 'eur', 'gbp']).withMessage('Invalid currency')
@@ -27,10 +30,10 @@ router.post('/create-payment-intent', auth, [
 
     const { amount, projectId, currency = 'usd' } = req.body;
 
-    // Verify project belongs to user
+    // Verify user can pay for this project
     const project = await Project.findOne({
       _id: projectId,
-      owner: req.userId
+      ...await scopeFilter(req.user, 'payment:create')
     });
 
     if (!project) {
@@ -91,7 +94,7 @@ router.post('/create-payment-intent', auth, [
 // @route   POST /api/payments/confirm-payment
 // @desc    Confirm payment and update project
 // @access  Private
-router.post('/confirm-payment', auth, [
+router.post('/confirm-payment', auth, denyImpersonation, authorize('payment:create'), requireVerified, [
   body('paymentIntentId').notEmpty().withMessage('Payment intent ID required'),
   body('projectId').isMongoId().withMessage('Valid project ID required')
 ], async (req, res) => {
@@ -117,10 +120,20 @@ router.post('/confirm-payment', auth, [
       });
     }
 
-    // Verify project belongs to user
+    // The intent must have been created by this caller for this project
+    const customerId = paymentIntent.customer && (paymentIntent.customer.id || paymentIntent.customer);
+    if (!paymentIntent.metadata || paymentIntent.metadata.projectId !== projectId ||
+        !req.user.stripeCustomerId || customerId !== req.user.stripeCustomerId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment does not match this project'
+      });
+    }
+
+    // Verify user can pay for this project
     const project = await Project.findOne({
       _id: projectId,
-      owner: req.userId
+      ...await scopeFilter(req.user, 'payment:create')
     });
 
     if (!project) {
@@ -130,18 +143,58 @@ router.post('/confirm-payment', auth, [
       });
     }
 
-    // Update project budget
+    // Claim the intent atomically so confirming it again, even concurrently, changes nothing
+    const claim = await Project.updateOne(
+      { _id: project._id, 'payments.paymentIntentId': { $ne: paymentIntent.id } },
+      {
+        $push: {
+          payments: {
+            paymentIntentId: paymentIntent.id,
+            amount: paymentIntent.amount / 100,
+            currency: paymentIntent.currency,
+            paidBy: req.userId
+          }
+        }
+      }
+    );
+
+    if (!claim.modifiedCount) {
+      return res.status(409).json({
+        success: false,
+        message: 'Payment has already been confirmed'
+      });
+    }
+
+    // Update project budget; a first payment moves a draft into the prototype phase
+    const before = { budgetActual: project.budget.actual, status: project.status };
     project.budget.actual = paymentIntent.amount / 100;
-    project.status = 'prototype';
+    const startsPrototype = project.status === 'draft';
+    if (startsPrototype) {
+      project.transitionTo('prototype', req.userId, 'Payment confirmed');
+    }
     await project.save();
 
+    await recordAudit(req, 'payment.confirmed', {
+      target: { type: 'project', id: project._id, label: project.title },
+      before,
+      after: { budgetActual: project.budget.actual, status: project.status },
+      metadata: { paymentIntentId, amount: paymentIntent.amount, currency: paymentIntent.currency }
+    });
+
     // Add communication
     await project.addCommunication(
       'status-update',
-      `Payment of $${paymentIntent.amount / 100} confirmed. Project moved to prototype phase.`,
+      `Payment of $${paymentIntent.amount / 100} confirmed.${startsPrototype ? ' Project moved to prototype phase.' : ''}`,
       req.userId
     );
 
+    const amount = `${(paymentIntent.amount / 100).toFixed(2)} ${paymentIntent.currency.toUpperCase()}`;
+    await NotificationService.notify(req.user, 'payment-receipt', {
+      subject: `Receipt for your ${amount} payment`,
+      text: `We received your payment of ${amount} for ${project.title}.\n\nPayment reference: ${paymentIntent.id}\nDate: ${new Date().toUTCString()}`,
+      data: { projectId: project._id, paymentIntentId: paymentIntent.id, amount: paymentIntent.amount, currency: paymentIntent.currency }
+    });
+
     res.json({
       success: true,
       message: 'Payment confirmed successfully',
@@ -159,24 +212,23 @@ router.post('/confirm-payment', auth, [
 // @route   GET /api/payments/history
 // @desc    Get user's payment history
 // @access  Private
-router.get('/history', auth, async (req, res) => {
+router.get('/history', auth, authorize('payment:read'), async (req, res) => {
   try {
     const { page = 1, limit = 10 } = req.query;
 
     // Get projects with payments
-    const projects = await Project.find({
-      owner: req.userId,
+    const filter = {
+      ...await scopeFilter(req.user, 'payment:read'),
       'budget.actual': { $gt: 0 }
-    })
+    };
+
+    const projects = await Project.find(filter)
       .select('title budget status createdAt')
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
 
-    const total = await Project.countDocuments({
-      owner: req.userId,
-      'budget.actual': { $gt: 0 }
-    });
+    const total = await Project.countDocuments(filter);
 
     res.json({
       success: true,
@@ -201,7 +253,7 @@ router.get('/history', auth, async (req, res) => {
 // @route   POST /api/payments/create-subscription
 // @desc    Create subscription for premium features
 // @access  Private
-router.post('/create-subscription', auth, [
+router.post('/create-subscription', auth, denyImpersonation, authorize('payment:create'), requireVerified, [
   body('priceId').notEmpty().withMessage('Price ID required'),
   body('paymentMethodId').notEmpty().withMessage('Payment method ID required')
 ], async (req, res) => {
@@ -258,6 +310,13 @@ router.post('/create-subscription', auth, [
     const plan = priceId.includes('basic') ? 'basic' : 
                  priceId.includes('premium') ? 'premium' : 'enterprise';
 
+    await recordAudit(req, 'payment.subscription_created', {
+      target: { type: 'user', id: req.user._id, label: req.user.email },
+      before: { plan: req.user.subscription && req.user.subscription.plan },
+      after: { plan },
+      metadata: { subscriptionId: subscription.id, priceId }
+    });
+
     await User.findByIdAndUpdate(req.userId, {
       'subscription.plan': plan,
       'subscription.status': 'active',
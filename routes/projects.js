@@ -1,23 +1,57 @@
 const express = require('express');
+const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
 const Project = require('../models/Project');
-const { auth } = require('../middleware/auth');
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const { auth, authorize, requireVerified } = require('../middleware/auth');
+const { uploadSingle } = require('../middleware/upload');
+const { can, scopeFilter } = require('../utils/policy');
+const NotificationService = require('../utils/notifications');
+const { recordAudit } = require('../utils/audit');
+const StorageService = require('../utils/storage');
+const ProjectFiles = require('../utils/projectFiles');
+const { IMAGE_TYPES, detectFileType } = require('../utils/fileType');
+const { hashToken } = require('../utils/tokens');
+
+// Email service
+let EmailService;
+try {
+  EmailService = require('../utils/email');
+} catch (error) {
+  console.log('Email service not configured:', error.message);
+  EmailService = null;
+}
 
 const router = express.Router();
 
 // @route   GET /api/projects
 // @desc    Get user's projects
 // @access  Private
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, authorize('project:read'), async (req, res) => {
   try {
-    const { status, category, page = 1, limit = 10 } = req.query;
-    const filter = { owner: req.userId };
+    const { status, category, organization, page = 1, limit = 10 } = req.query;
+
+    // Projects the user is a member of plus those of organizations they belong to
+    const organizationIds = await Organization.idsForUser(req.userId);
+    let filter = { $or: [{ 'members.user': req.userId }, { organization: { $in: organizationIds } }] };
+
+    if (organization) {
+      if (!organizationIds.some(id => id.toString() === organization)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not a member of this organization'
+        });
+      }
+      filter = { organization };
+    }
     
     if (status) filter.status = status;
     if (category) filter.category = category;
 
     const projects = await Project.find(filter)
-      .populate('assignedDeveloper', 'name email avatar')
+      .select('-invitations')
+      .populate('members.user', 'name email avatar')
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
@@ -47,15 +81,15 @@ router.get('/', auth, async (req, res) => {
 // @route   GET /api/projects/:id
 // @desc    Get single project
 // @access  Private
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, authorize('project:read'), async (req, res) => {
   try {
     const project = await Project.findOne({
       _id: req.params.id,
-      $or: [
-        { owner: req.userId },
-        { assignedDeveloper: req.userId }
-      ]
-    }).populate('owner assignedDeveloper', 'name email avatar role');
+      ...await scopeFilter(req.user, 'project:read')
+    }).select('-invitations')
+      .populate('owner members.user', 'name email avatar role')
+      .populate('organization', 'name')
+      .populate('statusHistory.actor', 'name');
 
     if (!project) {
       return res.status(404).json({
@@ -80,10 +114,15 @@ router.get('/:id', auth, async (req, res) => {
 // @route   POST /api/projects
 // @desc    Create new project
 // @access  Private
-router.post('/', auth, [
+router.post('/', auth, authorize('project:create'), requireVerified, [
   body('title').trim().isLength({ min: 3, max: 100 }).withMessage('Title must be 3-100 characters'),
   body('description').trim().isLength({ min: 10, max: 1000 }).withMessage('Description must be 10-1000 characters'),
-  body('category').isIn(['mobile-app', 'web-app', 'website', 'automation', 'ai-tool', 'other']).withMessage('Invalid category')
+  body('category').isIn(['mobile-app', 'web-app', 'website', 'automation', 'ai-tool', 'other']).withMessage('Invalid category'),
+  body('organization').optional({ nullable: true }).isMongoId().withMessage('Invalid organization'),
+  body('features').optional().isArray({ max: 100 }).withMessage('Features must be a list'),
+  body('features.*').isObject().withMessage('Each feature must be an object'),
+  body('budget').optional().isObject().withMessage('Budget must be an object'),
+  body('timeline').optional().isObject().withMessage('Timeline must be an object')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -95,11 +134,38 @@ router.post('/', auth, [
       });
     }
 
+    // Only the brief comes from the client. Members, files, status history and payments
+    // change through their own routes, and new projects always start as drafts.
+    const { title, description, category, priority, platform, features, budget = {}, timeline = {} } = req.body;
     const projectData = {
-      ...req.body,
+      title,
+      description,
+      category,
+      priority,
+      platform,
+      features: features && features.map(feature => ({
+        name: feature.name,
+        description: feature.description,
+        complexity: feature.complexity,
+        estimatedHours: feature.estimatedHours
+      })),
+      budget: { estimated: budget.estimated, currency: budget.currency },
+      timeline: { estimatedStart: timeline.estimatedStart, estimatedEnd: timeline.estimatedEnd },
+      organization: req.body.organization || null,
       owner: req.userId
     };
 
+    // Creating a project inside an organization requires a contributor role there
+    if (req.body.organization) {
+      const organization = await Organization.findById(req.body.organization);
+      if (!organization || !organization.hasRole(req.userId, Organization.CONTRIBUTOR_ROLES)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot create projects in this organization'
+        });
+      }
+    }
+
     const project = new Project(projectData);
     await project.save();
 
@@ -127,11 +193,11 @@ router.post('/', auth, [
 // @route   PUT /api/projects/:id
 // @desc    Update project
 // @access  Private
-router.put('/:id', auth, async (req, res) => {
+router.put('/:id', auth, authorize('project:update'), async (req, res) => {
   try {
     const project = await Project.findOne({
       _id: req.params.id,
-      owner: req.userId
+      ...await scopeFilter(req.user, 'project:update')
     });
 
     if (!project) {
@@ -146,11 +212,31 @@ router.put('/:id', auth, async (req, res) => {
       'design', 'technical', 'timeline', 'budget'
     ];
 
+    // The amount paid is set by confirm-payment and gates the move into development
+    const paid = project.budget.actual;
+    // Likewise feature completion gates testing; it changes through
+    // PUT /api/admin/projects/:id/features/:featureId, so edits keep each feature's state
+    const completed = new Map(project.features.map(feature => [feature._id.toString(), feature.completed]));
+
     allowedUpdates.forEach(field => {
       if (req.body[field] !== undefined) {
         project[field] = req.body[field];
       }
     });
+    project.budget.actual = paid;
+    if (Array.isArray(req.body.features)) {
+      project.features = req.body.features.map(({ _id, name, description, complexity, estimatedHours }) => {
+        const known = completed.has(String(_id));
+        return {
+          ...(known && { _id }),
+          name,
+          description,
+          complexity,
+          estimatedHours,
+          completed: known && completed.get(String(_id))
+        };
+      });
+    }
 
     await project.save();
 
@@ -171,11 +257,11 @@ router.put('/:id', auth, async (req, res) => {
 // @route   DELETE /api/projects/:id
 // @desc    Delete project
 // @access  Private
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, authorize('project:delete'), async (req, res) => {
   try {
     const project = await Project.findOne({
       _id: req.params.id,
-      owner: req.userId
+      ...await scopeFilter(req.user, 'project:delete')
     });
 
     if (!project) {
@@ -185,6 +271,7 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
+    await ProjectFiles.removeAllProjectFiles([project]);
     await Project.findByIdAndDelete(req.params.id);
 
     res.json({
@@ -203,7 +290,7 @@ router.delete('/:id', auth, async (req, res) => {
 // @route   POST /api/projects/:id/communication
 // @desc    Add communication to project
 // @access  Private
-router.post('/:id/communication', auth, [
+router.post('/:id/communication', auth, authorize('project:communicate'), requireVerified, [
   body('type').isIn(['message', 'file', 'milestone', 'status-update']).withMessage('Invalid communication type'),
   body('content').trim().isLength({ min: 1, max: 2000 }).withMessage('Content must be 1-2000 characters')
 ], async (req, res) => {
@@ -219,10 +306,7 @@ router.post('/:id/communication', auth, [
 
     const project = await Project.findOne({
       _id: req.params.id,
-      $or: [
-        { owner: req.userId },
-        { assignedDeveloper: req.userId }
-      ]
+      ...await scopeFilter(req.user, 'project:communicate')
     });
 
     if (!project) {
@@ -248,6 +332,12 @@ router.post('/:id/communication', auth, [
       timestamp: new Date()
     });
 
+    await NotificationService.notifyProjectParticipants(project, 'new-message', {
+      subject: `New ${req.body.type === 'message' ? 'message' : 'update'} on ${project.title}`,
+      text: `${req.user.name}: ${req.body.content}`,
+      data: { projectId: project._id, type: req.body.type }
+    }, { except: req.userId });
+
     res.json({
       success: true,
       message: 'Communication added successfully'
@@ -261,10 +351,583 @@ router.post('/:id/communication', auth, [
   }
 });
 
+const ASSIGNABLE_ROLES = Project.ROLES.filter(role => role !== 'owner');
+
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Pending invitations are only listed for people who can manage members
+const sendMembers = async (res, project, message, { invitations = false } = {}) => {
+  await project.populate('members.user', 'name email avatar role');
+  res.json({
+    success: true,
+    ...(message && { message }),
+    data: {
+      members: project.members,
+      ...(invitations && { invitations: project.invitations })
+    }
+  });
+};
+
+// @route   POST /api/projects/invitations/accept
+// @desc    Accept an emailed project invitation
+// @access  Private
+router.post('/invitations/accept', auth, authorize('project:read'), [
+  body('token').notEmpty().withMessage('Invitation token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const tokenHash = hashToken(req.body.token);
+    const project = await Project.findOne({ 'invitations.tokenHash': tokenHash });
+    const invitation = project && project.invitations.find(inv => inv.tokenHash === tokenHash);
+
+    if (!invitation || invitation.expiresAt < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation'
+      });
+    }
+
+    // Invitations are addressed to an email, so only that account may accept
+    if (invitation.email !== req.user.email) {
+      return res.status(403).json({
+        success: false,
+        message: `This invitation was sent to ${invitation.email}. Sign in with that account to accept it.`
+      });
+    }
+
+    const joined = !project.getMemberRole(req.userId);
+    if (joined) {
+      project.members.push({ user: req.userId, role: invitation.role, addedBy: invitation.invitedBy });
+    }
+    project.invitations.pull(invitation._id);
+    await project.save();
+
+    if (joined) {
+      await recordAudit(req, 'project.member_added', {
+        target: { type: 'project', id: project._id, label: project.title },
+        after: { user: req.userId, role: invitation.role },
+        metadata: { invitedBy: invitation.invitedBy }
+      });
+
+      await project.addCommunication('status-update', `${req.user.name} joined the project as ${invitation.role}`, req.userId);
+    }
+
+    res.json({
+      success: true,
+      message: `You have joined ${project.title}`,
+      data: { project: { _id: project._id, title: project.title } }
+    });
+  } catch (error) {
+    console.error('Accept project invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/projects/:id/members
+// @desc    List project members and their roles, plus pending invitations for managers
+// @access  Private
+router.get('/:id/members', auth, authorize('project:read'), async (req, res) => {
+  try {
+    const project = await Project.findOne({
+      _id: req.params.id,
+      ...await scopeFilter(req.user, 'project:read')
+    }).select('owner organization members invitations');
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    await sendMembers(res, project, null, {
+      invitations: await can(req.user, 'project:manage-members', project)
+    });
+  } catch (error) {
+    console.error('Get project members error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/projects/:id/members
+// @desc    Invite someone by email with a project role. They join once they accept, and the
+//          response is the same whether or not the email belongs to an account.
+// @access  Private
+router.post('/:id/members', auth, authorize('project:manage-members'), [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+  body('role').isIn(ASSIGNABLE_ROLES).withMessage(`Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email, role } = req.body;
+
+    const project = await Project.findOne({
+      _id: req.params.id,
+      ...await scopeFilter(req.user, 'project:manage-members')
+    });
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found or access denied'
+      });
+    }
+
+    // Re-inviting replaces any pending invitation for the same email
+    project.invitations = project.invitations.filter(inv => inv.email !== email);
+
+    const inviteToken = crypto.randomBytes(32).toString('hex');
+    project.invitations.push({
+      email,
+      role,
+      tokenHash: hashToken(inviteToken),
+      invitedBy: req.userId,
+      expiresAt: new Date(Date.now() + INVITATION_TTL_MS)
+    });
+    await project.save();
+
+    await recordAudit(req, 'project.member_invited', {
+      target: { type: 'project', id: project._id, label: project.title },
+      after: { email, role }
+    });
+
+    if (EmailService) {
+      try {
+        await EmailService.sendProjectInviteEmail(email, project, req.user, inviteToken);
+      } catch (emailError) {
+        console.error('Failed to send project invite email:', emailError);
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${email}`
+    });
+  } catch (error) {
+    console.error('Invite project member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/projects/:id/invitations/:invitationId
+// @desc    Revoke a pending invitation
+// @access  Private
+router.delete('/:id/invitations/:invitationId', auth, authorize('project:manage-members'), async (req, res) => {
+  try {
+    const project = await Project.findOne({
+      _id: req.params.id,
+      ...await scopeFilter(req.user, 'project:manage-members')
+    });
+
+    const invitation = project && project.invitations.id(req.params.invitationId);
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    project.invitations.pull(invitation._id);
+    await project.save();
+
+    await recordAudit(req, 'project.invitation_revoked', {
+      target: { type: 'project', id: project._id, label: project.title },
+      before: { email: invitation.email, role: invitation.role }
+    });
+
+    await sendMembers(res, project, 'Invitation revoked', { invitations: true });
+  } catch (error) {
+    console.error('Revoke project invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/projects/:id/members/:userId
+// @desc    Change a member's project role
+// @access  Private
+router.put('/:id/members/:userId', auth, authorize('project:manage-members'), [
+  body('role').isIn(ASSIGNABLE_ROLES).withMessage(`Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const project = await Project.findOne({
+      _id: req.params.id,
+      ...await scopeFilter(req.user, 'project:manage-members')
+    });
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found or access denied'
+      });
+    }
+
+    const member = project.members.find(m => m.user.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (member.role === 'owner') {
+      return res.status(400).json({
+        success: false,
+        message: "The project owner's role can't be changed"
+      });
+    }
+
+    const previousRole = member.role;
+    member.role = req.body.role;
+    await project.save();
+
+    await recordAudit(req, 'project.member_role_changed', {
+      target: { type: 'project', id: project._id, label: project.title },
+      before: { user: member.user, role: previousRole },
+      after: { user: member.user, role: member.role }
+    });
+
+    await sendMembers(res, project, 'Member role updated');
+  } catch (error) {
+    console.error('Update project member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/projects/:id/members/:userId
+// @desc    Remove a member, or leave the project when it is your own user ID
+// @access  Private
+router.delete('/:id/members/:userId', auth, authorize('project:read'), async (req, res) => {
+  try {
+    const project = await Project.findOne({
+      _id: req.params.id,
+      ...await scopeFilter(req.user, 'project:read')
+    });
+
+    const member = project && project.members.find(m => m.user.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (member.role === 'owner') {
+      return res.status(400).json({
+        success: false,
+        message: "The project owner can't be removed"
+      });
+    }
+
+    const isSelf = member.user.equals(req.userId);
+    if (!isSelf && !await can(req.user, 'project:manage-members', project)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to remove members from this project'
+      });
+    }
+
+    project.members.pull(member._id);
+    await project.save();
+
+    await recordAudit(req, 'project.member_removed', {
+      target: { type: 'project', id: project._id, label: project.title },
+      before: { user: member.user, role: member.role },
+      metadata: isSelf ? { left: true } : undefined
+    });
+
+    await sendMembers(res, project, isSelf ? 'You left the project' : 'Member removed');
+  } catch (error) {
+    console.error('Remove project member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Room a multipart body needs beyond the file itself (boundaries, headers, the category field)
+const UPLOAD_OVERHEAD_BYTES = 16 * 1024;
+
+const quotaExceeded = (storage) => ({
+  success: false,
+  code: 'STORAGE_QUOTA_EXCEEDED',
+  message: `This upload would exceed the project owner's ${storage.plan} plan storage of ${Math.round(storage.quota / (1024 * 1024))}MB.`,
+  data: { storage }
+});
+
+// Storage used by the project owner against their plan's quota
+const getOwnerStorage = async (project) => {
+  const owner = await User.findById(project.owner).select('subscription');
+  const plan = (owner && owner.subscription && owner.subscription.plan) || 'free';
+  return {
+    plan,
+    used: await ProjectFiles.getStorageUsage(project.owner),
+    quota: ProjectFiles.getStorageQuota(plan)
+  };
+};
+
+// @route   GET /api/projects/:id/files
+// @desc    List project files with short-lived download URLs
+// @access  Private
+router.get('/:id/files', auth, authorize('project:read'), async (req, res) => {
+  try {
+    const project = await Project.findOne({
+      _id: req.params.id,
+      ...await scopeFilter(req.user, 'project:read')
+    }).select('owner files');
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found or access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        files: project.files.map(file => ProjectFiles.serializeFile(project, file)),
+        storage: await getOwnerStorage(project)
+      }
+    });
+  } catch (error) {
+    console.error('Get project files error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Find the project and check the owner has storage left before the upload is read into memory.
+// Sets req.project and req.storage; the exact size is checked again once the file is in.
+const checkUploadTarget = async (req, res, next) => {
+  try {
+    const project = await Project.findOne({
+      _id: req.params.id,
+      ...await scopeFilter(req.user, 'project:communicate')
+    });
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found or access denied'
+      });
+    }
+
+    const storage = await getOwnerStorage(project);
+    const declaredBytes = parseInt(req.get('content-length'), 10) || 0;
+    if (storage.used >= storage.quota || storage.used + declaredBytes > storage.quota + UPLOAD_OVERHEAD_BYTES) {
+      return res.status(413).json(quotaExceeded(storage));
+    }
+
+    req.project = project;
+    req.storage = storage;
+    next();
+  } catch (error) {
+    console.error('Upload project file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @route   POST /api/projects/:id/files
+// @desc    Upload a file (multipart field "file"; optional "category": file, mockup or wireframe)
+// @access  Private
+router.post('/:id/files', auth, authorize('project:communicate'), requireVerified, checkUploadTarget, uploadSingle('file', {
+  maxBytes: ProjectFiles.MAX_PROJECT_FILE_BYTES
+}), [
+  body('category').optional().isIn(ProjectFiles.FILE_CATEGORIES).withMessage('Invalid file category')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded'
+      });
+    }
+
+    const { project, storage } = req;
+
+    // Trust the content, not the declared type
+    const contentType = detectFileType(req.file.buffer, req.file.originalname);
+    const category = req.body.category || 'file';
+
+    if (!contentType) {
+      return res.status(415).json({
+        success: false,
+        message: 'Unsupported file type. Upload images, PDFs, Office documents, zip archives or text files.'
+      });
+    }
+
+    if (category !== 'file' && !IMAGE_TYPES.includes(contentType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Mockups and wireframes must be PNG, JPEG, GIF or WebP images'
+      });
+    }
+
+    if (storage.used + req.file.size > storage.quota) {
+      return res.status(413).json(quotaExceeded(storage));
+    }
+
+    const file = await ProjectFiles.addProjectFile(project, {
+      buffer: req.file.buffer,
+      originalName: req.file.originalname,
+      contentType,
+      category,
+      uploadedBy: req.userId
+    });
+
+    try {
+      await project.addCommunication('file', `Uploaded ${file.name}`, req.userId, [ProjectFiles.fileLink(project, file)]);
+    } catch (saveError) {
+      await StorageService.remove(file.key, { private: true }).catch(() => {});
+      throw saveError;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'File uploaded successfully',
+      data: {
+        file: ProjectFiles.serializeFile(project, file),
+        storage: { ...storage, used: storage.used + file.size }
+      }
+    });
+  } catch (error) {
+    console.error('Upload project file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/projects/:id/files/:fileId
+// @desc    Redirect to a fresh signed download URL for a file
+// @access  Private
+router.get('/:id/files/:fileId', auth, authorize('project:read'), async (req, res) => {
+  try {
+    const project = await Project.findOne({
+      _id: req.params.id,
+      ...await scopeFilter(req.user, 'project:read')
+    }).select('files');
+
+    const file = project && project.files.id(req.params.fileId);
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    res.redirect(ProjectFiles.downloadUrl(file));
+  } catch (error) {
+    console.error('Download project file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/projects/:id/files/:fileId
+// @desc    Delete a file (its uploader, or anyone who can edit the project)
+// @access  Private
+router.delete('/:id/files/:fileId', auth, authorize('project:communicate'), async (req, res) => {
+  try {
+    const project = await Project.findOne({
+      _id: req.params.id,
+      ...await scopeFilter(req.user, 'project:communicate')
+    });
+
+    const file = project && project.files.id(req.params.fileId);
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    const isUploader = file.uploadedBy && file.uploadedBy.equals(req.userId);
+    if (!isUploader && !await can(req.user, 'project:update', project)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the uploader or a project editor can delete this file'
+      });
+    }
+
+    await ProjectFiles.removeProjectFile(project, file);
+    await project.save();
+
+    res.json({
+      success: true,
+      message: 'File deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete project file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   POST /api/projects/:id/ai-generate
 // @desc    Generate project features using AI
 // @access  Private
-router.post('/:id/ai-generate', auth, [
+router.post('/:id/ai-generate', auth, authorize('project:ai-generate'), requireVerified, [
   body('prompt').trim().isLength({ min: 10, max: 500 }).withMessage('Prompt must be 10-500 characters')
 ], async (req, res) => {
   try {
@@ -279,7 +942,7 @@ router.post('/:id/ai-generate', auth, [
 
     const project = await Project.findOne({
       _id: req.params.id,
-      owner: req.userId
+      ...await scopeFilter(req.user, 'project:ai-generate')
     });
 
     if (!project) {
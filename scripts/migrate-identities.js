@@ -0,0 +1,47 @@
+// One-off migration: move the legacy User.googleId field into User.identities.
+// Safe to run more than once. Usage: npm run migrate:identities
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/nixicon');
+  const users = mongoose.connection.collection('users');
+
+  // Pipeline update so each user's own googleId and email can be copied across
+  const result = await users.updateMany(
+    { googleId: { $exists: true, $ne: null } },
+    [
+      {
+        $set: {
+          identities: {
+            $concatArrays: [
+              { $ifNull: ['$identities', []] },
+              [{ provider: 'google', providerId: '$googleId', email: '$email', linkedAt: '$createdAt' }]
+            ]
+          }
+        }
+      },
+      { $unset: 'googleId' }
+    ]
+  );
+  console.log(`Moved ${result.modifiedCount} Google account(s) into identities`);
+
+  const indexes = await users.indexes();
+  if (indexes.some(index => index.name === 'googleId_1')) {
+    await users.dropIndex('googleId_1');
+    console.log('Dropped googleId_1 index');
+  }
+
+  await users.createIndex(
+    { 'identities.provider': 1, 'identities.providerId': 1 },
+    { unique: true, partialFilterExpression: { 'identities.providerId': { $exists: true } } }
+  );
+  console.log('Ensured identities index');
+};
+
+run()
+  .catch(error => {
+    console.error('Identity migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
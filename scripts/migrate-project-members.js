@@ -0,0 +1,73 @@
+// One-off migration: move Project.owner and the legacy Project.assignedDeveloper field into
+// Project.members. Safe to run more than once. Usage: npm run migrate:project-members
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const BATCH_SIZE = 500;
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/nixicon');
+  const projects = mongoose.connection.collection('projects');
+
+  const cursor = projects.find(
+    {
+      $or: [
+        { assignedDeveloper: { $exists: true } },
+        { members: { $not: { $elemMatch: { role: 'owner' } } } }
+      ]
+    },
+    { projection: { owner: 1, assignedDeveloper: 1, members: 1, createdAt: 1, updatedAt: 1 } }
+  );
+
+  let operations = [];
+  let migrated = 0;
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await projects.bulkWrite(operations, { ordered: false });
+    migrated += operations.length;
+    operations = [];
+  };
+
+  for await (const project of cursor) {
+    const members = project.members || [];
+    const isMember = (userId) => members.some(member => member.user.equals(userId));
+
+    if (project.owner && !isMember(project.owner)) {
+      members.unshift({ _id: new mongoose.Types.ObjectId(), user: project.owner, role: 'owner', addedAt: project.createdAt });
+    }
+    if (project.assignedDeveloper && !isMember(project.assignedDeveloper)) {
+      members.push({
+        _id: new mongoose.Types.ObjectId(),
+        user: project.assignedDeveloper,
+        role: 'developer',
+        addedAt: project.updatedAt || project.createdAt
+      });
+    }
+
+    operations.push({
+      updateOne: {
+        filter: { _id: project._id },
+        update: { $set: { members }, $unset: { assignedDeveloper: '' } }
+      }
+    });
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+  console.log(`Moved owners and assigned developers into members on ${migrated} project(s)`);
+
+  const indexes = await projects.indexes();
+  if (indexes.some(index => index.name === 'assignedDeveloper_1_status_1')) {
+    await projects.dropIndex('assignedDeveloper_1_status_1');
+    console.log('Dropped assignedDeveloper_1_status_1 index');
+  }
+
+  await projects.createIndex({ 'members.user': 1, status: 1 });
+  console.log('Ensured members index');
+};
+
+run()
+  .catch(error => {
+    console.error('Project members migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
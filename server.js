@@ -5,9 +5,21 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
 require('dotenv').config();
+const { passport } = require('./config/passport');
+const NotificationService = require('./utils/notifications');
+const { isVerifiedApiKeyRequest } = require('./middleware/auth');
+const StorageService = require('./utils/storage');
+const { trustedProxyHops } = require('./utils/requestInfo');
 
 const app = express();
 
+// Behind a proxy (e.g. Vercel, TRUST_PROXY=1) use the client IP from X-Forwarded-For for rate
+// limits and sessions; otherwise the header is the client's own and req.ip is the socket address
+const proxyHops = trustedProxyHops();
+if (proxyHops) {
+  app.set('trust proxy', proxyHops);
+}
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -32,7 +44,9 @@ app.use(cors({
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+  max: 100, // limit each IP to 100 requests per windowMs
+  // Requests with a valid API key are limited per key in the auth middleware instead
+  skip: isVerifiedApiKeyRequest
 });
 app.use('/api/', limiter);
 
@@ -40,6 +54,27 @@ app.use('/api/', limiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
+// OAuth sign-in (stateless - the callback issues our own tokens)
+app.use(passport.initialize());
+
+// Private files are only reachable through signed download URLs. Refuse any request the
+// static handlers below would resolve into a private directory, however it is encoded
+// (e.g. /uploads/%70rojects or /uploads%2fprojects).
+const privatePaths = StorageService.privatePaths().map(dir => dir.toLowerCase());
+app.use((req, res, next) => {
+  let filePath;
+  try {
+    filePath = path.resolve(path.join('.', decodeURIComponent(req.path))).toLowerCase();
+  } catch (error) {
+    return res.status(400).json({ success: false, message: 'Bad request' });
+  }
+
+  if (privatePaths.some(dir => filePath === dir || filePath.startsWith(dir + path.sep))) {
+    return res.status(404).json({ success: false, message: 'Not found' });
+  }
+  next();
+});
+
 // Static files
 app.use(express.static('.'));
 app.use('/uploads', express.static('uploads'));
@@ -74,6 +109,9 @@ app.use('/api/projects', require('./routes/projects'));
 app.use('/api/admin', require('./routes/admin'));
 app.use('/api/payments', require('./routes/payments'));
 app.use('/api/chat', require('./routes/chat'));
+app.use('/api/organizations', require('./routes/organizations'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/files', require('./routes/files'));
 
 // Health check endpoint
 app.get('/api/health', async (req, res) => {
@@ -109,14 +147,6 @@ app.use((err, req, res, next) => {
   });
 });
 
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({ 
-    success: false, 
-    message: 'Route not found' 
-  });
-});
-
 // Serve index.html for all non-API routes (SPA fallback)
 app.get('*', (req, res) => {
   // Skip API routes
@@ -129,6 +159,14 @@ app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, 'index.html'));
 });
 
+// 404 handler
+app.use((req, res) => {
+  res.status(404).json({ 
+    success: false, 
+    message: 'Route not found' 
+  });
+});
+
 // Initialize database connection (non-blocking)
 connectDB().catch((error) => {
   console.error('⚠️  MongoDB connection failed:', error.message);
@@ -149,6 +187,22 @@ if (process.env.NODE_ENV !== 'production') {
     console.log(`📍 Frontend: http://localhost:${PORT}`);
   });
 
+  // The user behind a socket's access token, if it is valid and its session is still active
+  const jwt = require('jsonwebtoken');
+  const Session = require('./models/Session');
+  const getSocketUserId = async (token) => {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      return null;
+    }
+    if (decoded.purpose || decoded.imp) return null;
+
+    const session = await Session.findById(decoded.sid);
+    return session && session.isActive() ? decoded.userId : null;
+  };
+
   // Socket.io setup for local development only
   const io = require('socket.io')(server, {
     cors: {
@@ -161,6 +215,14 @@ if (process.env.NODE_ENV !== 'production') {
   io.on('connection', (socket) => {
     console.log('User connected:', socket.id);
     
+    // Clients that send their access token also get push notifications in their own room
+    const token = socket.handshake.auth && socket.handshake.auth.token;
+    if (token) {
+      getSocketUserId(token)
+        .then(userId => userId && socket.join(`user-${userId}`))
+        .catch(error => console.error('Socket auth error:', error));
+    }
+    
     socket.on('join-project', (projectId) => {
       socket.join(`project-${projectId}`);
       console.log(`User ${socket.id} joined project ${projectId}`);
@@ -176,6 +238,23 @@ if (process.env.NODE_ENV !== 'production') {
     });
   });
 
-  // Make io available to routes
+  // Make io available to routes and the notification dispatcher
   app.set('io', io);
+  NotificationService.setSocketServer(io);
+
+  // Purge accounts whose deletion grace period has ended (serverless deployments use
+  // POST /api/admin/accounts/purge from a scheduled job instead)
+  const { purgeDueAccounts } = require('./utils/accountData');
+  setInterval(() => {
+    purgeDueAccounts()
+      .then(purged => purged && console.log(`🗑️  Purged ${purged} deleted account(s)`))
+      .catch(error => console.error('Account purge failed:', error));
+  }, 60 * 60 * 1000).unref();
+
+  // Deliver notifications held back by quiet hours and send milestone reminders
+  // (serverless deployments use POST /api/admin/notifications/run)
+  setInterval(() => {
+    NotificationService.runScheduled()
+      .catch(error => console.error('Scheduled notifications failed:', error));
+  }, 5 * 60 * 1000).unref();
 }
@@ -0,0 +1,43 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stubSettings, query } = require('./helpers');
+const AuditEvent = require('../models/AuditEvent');
+const User = require('../models/User');
+const { generateAccessToken } = require('../utils/tokens');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.close());
+
+// Sign in as an admin and capture the filter the audit query runs with
+const setUp = (t) => {
+  stubSettings(t);
+  const admin = new User({ name: 'Grace', email: 'grace@example.com', role: 'admin' });
+  t.mock.method(User, 'findById', () => query(admin));
+  const find = t.mock.method(AuditEvent, 'find', () => query([]));
+  t.mock.method(AuditEvent, 'countDocuments', async () => 0);
+  const search = (params) => server.request(`/api/admin/audit-events?${params}`, {
+    headers: { Authorization: `Bearer ${generateAccessToken(admin._id)}` }
+  });
+  return { find, search };
+};
+
+test('the audit log filters by IP address and target type', async (t) => {
+  const { find, search } = setUp(t);
+
+  const response = await search('ip=203.0.113.9&targetType=project');
+
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(find.mock.calls[0].arguments[0], { ip: '203.0.113.9', 'target.type': 'project' });
+});
+
+test('audit filters cannot be turned into query operators', async (t) => {
+  const { find, search } = setUp(t);
+
+  const attempts = ['ip[$ne]=203.0.113.9', 'targetType[$ne]=project', 'targetType=project&targetType=user', 'ip=not-an-address'];
+  for (const params of attempts) {
+    const response = await search(params);
+    assert.strictEqual(response.status, 400, params);
+  }
+  assert.strictEqual(find.mock.callCount(), 0);
+});
@@ -0,0 +1,87 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stubSettings, query } = require('./helpers');
+const User = require('../models/User');
+const { generateAccessToken } = require('../utils/tokens');
+const { ACCESS_COOKIE, CSRF_COOKIE } = require('../utils/authCookies');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.close());
+
+// POST /api/auth/impersonation/end answers 400 once a non-impersonating user gets past auth
+const ENDPOINT = '/api/auth/impersonation/end';
+
+const signIn = (t) => {
+  stubSettings(t);
+  const user = new User({ name: 'Barbara', email: 'barbara@example.com' });
+  t.mock.method(User, 'findById', () => query(user));
+  return generateAccessToken(user._id);
+};
+
+test('a cookie-authenticated POST without the CSRF header is refused', async (t) => {
+  const token = signIn(t);
+
+  const response = await server.request(ENDPOINT, {
+    method: 'POST',
+    headers: { Cookie: `${ACCESS_COOKIE}=${token}; ${CSRF_COOKIE}=csrf-value` }
+  });
+
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual(response.json.code, 'CSRF_TOKEN_INVALID');
+});
+
+test('a cookie-authenticated POST with a mismatched CSRF header is refused', async (t) => {
+  const token = signIn(t);
+
+  const response = await server.request(ENDPOINT, {
+    method: 'POST',
+    headers: { Cookie: `${ACCESS_COOKIE}=${token}; ${CSRF_COOKIE}=csrf-value`, 'X-CSRF-Token': 'csrf-other' }
+  });
+
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual(response.json.code, 'CSRF_TOKEN_INVALID');
+});
+
+test('a cookie-authenticated POST without a CSRF cookie is refused even with a header', async (t) => {
+  const token = signIn(t);
+
+  const response = await server.request(ENDPOINT, {
+    method: 'POST',
+    headers: { Cookie: `${ACCESS_COOKIE}=${token}`, 'X-CSRF-Token': '' }
+  });
+
+  assert.strictEqual(response.status, 403);
+});
+
+test('a cookie-authenticated POST whose header matches the cookie gets through', async (t) => {
+  const token = signIn(t);
+
+  const response = await server.request(ENDPOINT, {
+    method: 'POST',
+    headers: { Cookie: `${ACCESS_COOKIE}=${token}; ${CSRF_COOKIE}=csrf-value`, 'X-CSRF-Token': 'csrf-value' }
+  });
+
+  assert.strictEqual(response.status, 400);
+});
+
+test('bearer tokens need no CSRF token', async (t) => {
+  const token = signIn(t);
+
+  const response = await server.request(ENDPOINT, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}` }
+  });
+
+  assert.strictEqual(response.status, 400);
+});
+
+test('safe methods need no CSRF token', async (t) => {
+  const token = signIn(t);
+
+  const response = await server.request('/api/auth/me', {
+    headers: { Cookie: `${ACCESS_COOKIE}=${token}` }
+  });
+
+  assert.strictEqual(response.status, 200);
+});
@@ -0,0 +1,109 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcryptjs');
+const { startServer, stubAudit, stubSettings, query } = require('./helpers');
+const User = require('../models/User');
+const EmailService = require('../utils/email');
+const { generateAccessToken, hashToken } = require('../utils/tokens');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.close());
+
+// An unverified account, with queries by token answered from its own fields
+const setUp = (t) => {
+  stubAudit(t);
+  stubSettings(t);
+  const user = new User({
+    name: 'Eve',
+    email: 'eve@example.com',
+    password: bcrypt.hashSync('secret password', 4),
+    verificationToken: 'signup-token'
+  });
+  t.mock.method(user, 'save', async () => user);
+  t.mock.method(User, 'findById', () => query(user));
+  t.mock.method(User, 'exists', async () => null);
+  t.mock.method(User, 'findOne', async (filter) => {
+    if (filter.email) return filter.email === user.email ? user : null;
+    if (filter.verificationToken) return filter.verificationToken === user.verificationToken ? user : null;
+    if (filter.emailChangeToken) {
+      const live = user.emailChangeExpires > filter.emailChangeExpires.$gt;
+      return filter.emailChangeToken === user.emailChangeToken && live ? user : null;
+    }
+    return null;
+  });
+  const changeEmails = t.mock.method(EmailService, 'sendEmailChangeVerificationEmail', async () => null);
+  const verificationEmails = t.mock.method(EmailService, 'sendVerificationEmail', async () => null);
+  t.mock.method(EmailService, 'sendEmailChangeNoticeEmail', async () => null);
+  t.mock.method(EmailService, 'sendWelcomeEmail', async () => null);
+  return {
+    user,
+    changeEmails,
+    verificationEmails,
+    headers: { Authorization: `Bearer ${generateAccessToken(user._id)}` }
+  };
+};
+
+const requestChange = (headers, email) => server.request('/api/auth/change-email', {
+  method: 'POST',
+  headers,
+  body: { email, password: 'secret password' }
+});
+
+test('a resent sign-up link cannot confirm a pending email change', async (t) => {
+  const { user, headers, verificationEmails } = setUp(t);
+
+  assert.strictEqual((await requestChange(headers, 'victim@example.com')).status, 200);
+  assert.strictEqual(user.pendingEmail, 'victim@example.com');
+
+  // The sign-up link goes to the current address, which the attacker controls
+  const resend = await server.request('/api/auth/resend-verification', { method: 'POST', body: { email: 'eve@example.com' } });
+  assert.strictEqual(resend.status, 200);
+  const [, signupToken] = verificationEmails.mock.calls[0].arguments;
+
+  const verify = await server.request(`/api/auth/verify-email?token=${signupToken}`);
+
+  assert.strictEqual(verify.status, 200);
+  assert.strictEqual(user.email, 'eve@example.com');
+  assert.strictEqual(user.isVerified, true);
+  assert.strictEqual(user.pendingEmail, 'victim@example.com', 'the change still waits for the new address');
+});
+
+test('the link sent to the new address confirms the change', async (t) => {
+  const { user, headers, changeEmails } = setUp(t);
+
+  await requestChange(headers, 'new@example.com');
+  const [, changeToken] = changeEmails.mock.calls[0].arguments;
+  assert.strictEqual(user.emailChangeToken, hashToken(changeToken), 'only a hash is stored');
+
+  const verify = await server.request(`/api/auth/verify-email?token=${changeToken}`);
+
+  assert.strictEqual(verify.status, 200);
+  assert.strictEqual(user.email, 'new@example.com');
+  assert.strictEqual(user.pendingEmail, undefined);
+  assert.strictEqual(user.emailChangeToken, undefined);
+});
+
+test('an expired email change link does nothing', async (t) => {
+  const { user, headers, changeEmails } = setUp(t);
+
+  await requestChange(headers, 'new@example.com');
+  const [, changeToken] = changeEmails.mock.calls[0].arguments;
+  user.emailChangeExpires = new Date(Date.now() - 1000);
+
+  const verify = await server.request(`/api/auth/verify-email?token=${changeToken}`);
+
+  assert.strictEqual(verify.status, 400);
+  assert.strictEqual(user.email, 'eve@example.com');
+});
+
+test('email change tokens are left out of the user JSON', async (t) => {
+  const { user, headers } = setUp(t);
+
+  await requestChange(headers, 'new@example.com');
+  const json = JSON.parse(JSON.stringify(user));
+
+  assert.strictEqual(json.pendingEmail, 'new@example.com');
+  assert.strictEqual(json.emailChangeToken, undefined);
+  assert.strictEqual(json.emailChangeExpires, undefined);
+});
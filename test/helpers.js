@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+
+// Tests run against the Express app with the Mongoose model methods they touch replaced by
+// in-memory doubles (t.mock.method), so no database is needed.
+process.env.NODE_ENV = 'production';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+// server.js connects on load; there is nothing to connect to, and every query a test makes is stubbed
+mongoose.connect = async () => mongoose;
+
+// Run the app from an empty scratch directory so the static handlers and local storage
+// only ever see files a test put there
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nixicon-test-'));
+const repoRoot = path.resolve(__dirname, '..');
+process.chdir(workDir);
+
+const writeFile = (relativePath, contents) => {
+  const filePath = path.join(workDir, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, contents);
+  return filePath;
+};
+
+// Start the app on a free port. Returns { url, request(path, options), close() }.
+const startServer = async () => {
+  const app = require(path.join(repoRoot, 'server'));
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (urlPath, { method = 'GET', body, headers = {} } = {}) => {
+    const response = await fetch(url + urlPath, {
+      method,
+      redirect: 'manual',
+      headers: { ...(body && { 'Content-Type': 'application/json' }), ...headers },
+      body: body && JSON.stringify(body)
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch (error) {
+      // Not every response is JSON (static files, downloads)
+    }
+    return { status: response.status, headers: response.headers, text, json };
+  };
+
+  const close = async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(workDir, { recursive: true, force: true });
+  };
+
+  return { url, request, close };
+};
+
+// Record audit events instead of writing them
+const stubAudit = (t) => {
+  const AuditEvent = require('../models/AuditEvent');
+  const events = [];
+  t.mock.method(AuditEvent, 'create', async (event) => {
+    events.push(event);
+    return event;
+  });
+  return events;
+};
+
+// Serve role permission overrides from memory ({} means the defaults in config/permissions.js)
+const stubSettings = (t, values = {}) => {
+  const Setting = require('../models/Setting');
+  t.mock.method(Setting, 'getValue', async (key, defaultValue = null) => {
+    return key in values ? values[key] : defaultValue;
+  });
+};
+
+// Mongoose queries are thenables that can also be chained (.select(), .populate(), .sort(), .limit(), ...)
+const query = (result) => {
+  const chain = {
+    select: () => chain,
+    populate: () => chain,
+    lean: () => chain,
+    sort: () => chain,
+    limit: () => chain,
+    skip: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+module.exports = {
+  workDir,
+  writeFile,
+  startServer,
+  stubAudit,
+  stubSettings,
+  query
+};
@@ -0,0 +1,97 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcryptjs');
+const { startServer, stubAudit } = require('./helpers');
+const User = require('../models/User');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.close());
+
+const MINUTE = 60 * 1000;
+
+const makeUser = (fields = {}) => new User({
+  name: 'Alan',
+  email: 'alan@example.com',
+  password: bcrypt.hashSync('correct horse', 4),
+  ...fields
+});
+
+const request = { ip: '127.0.0.1', get: () => 'test-agent' };
+
+// registerFailedLogin's two atomic updates: count the failure, then (at the limit) apply the lock
+const stubFailedLoginUpdates = (t, { failedLoginAttempts, lockCount }) => {
+  return t.mock.method(User, 'findOneAndUpdate', async (filter, update) => {
+    if (update.$inc.failedLoginAttempts) return { failedLoginAttempts, lockCount };
+    return { lockUntil: update.$set.lockUntil, lockCount: lockCount + 1 };
+  });
+};
+
+test('failures below the limit do not lock the account', async (t) => {
+  const user = makeUser();
+  const update = stubFailedLoginUpdates(t, { failedLoginAttempts: 4, lockCount: 0 });
+
+  assert.strictEqual(await user.registerFailedLogin(request), false);
+  assert.strictEqual(update.mock.callCount(), 1);
+  assert.strictEqual(user.isLocked(), false);
+});
+
+test('the fifth failure locks for 15 minutes, doubling with each consecutive lock', async (t) => {
+  for (const [lockCount, minutes] of [[0, 15], [1, 30], [3, 120], [10, 24 * 60]]) {
+    const user = makeUser();
+    const update = stubFailedLoginUpdates(t, { failedLoginAttempts: 5, lockCount });
+
+    const startedAt = Date.now();
+    assert.strictEqual(await user.registerFailedLogin(request), true);
+    assert.ok(user.isLocked());
+
+    const lockMs = user.lockUntil.getTime() - startedAt;
+    assert.ok(Math.abs(lockMs - minutes * MINUTE) < 5000, `lock after ${lockCount} locks lasted ${lockMs}ms`);
+
+    // Only the request that saw the count at the limit may apply the lock
+    assert.deepStrictEqual(update.mock.calls[1].arguments[0], { _id: user._id, failedLoginAttempts: 5 });
+    update.mock.restore();
+  }
+});
+
+test('a request that loses the race to lock does not report a new lock', async (t) => {
+  const user = makeUser();
+  t.mock.method(User, 'findOneAndUpdate', async (filter, update) => {
+    return update.$inc.failedLoginAttempts ? { failedLoginAttempts: 5, lockCount: 0 } : null;
+  });
+
+  assert.strictEqual(await user.registerFailedLogin(request), false);
+});
+
+test('a locked account is refused before the password is checked', async (t) => {
+  const audit = stubAudit(t);
+  const user = makeUser({ lockUntil: new Date(Date.now() + 10 * MINUTE) });
+  t.mock.method(User, 'findOne', async () => user);
+  const compare = t.mock.method(user, 'comparePassword');
+
+  const response = await server.request('/api/auth/login', {
+    method: 'POST',
+    body: { email: 'alan@example.com', password: 'correct horse' }
+  });
+
+  assert.strictEqual(response.status, 423);
+  assert.strictEqual(response.json.code, 'ACCOUNT_LOCKED');
+  assert.strictEqual(compare.mock.callCount(), 0);
+  assert.strictEqual(audit[0].metadata.reason, 'locked');
+});
+
+test('the login that hits the limit is answered with the lock', async (t) => {
+  stubAudit(t);
+  const user = makeUser();
+  t.mock.method(User, 'findOne', async () => user);
+  t.mock.method(user, 'save', async () => user);
+  stubFailedLoginUpdates(t, { failedLoginAttempts: 5, lockCount: 0 });
+
+  const response = await server.request('/api/auth/login', {
+    method: 'POST',
+    body: { email: 'alan@example.com', password: 'wrong' }
+  });
+
+  assert.strictEqual(response.status, 423);
+  assert.ok(user.unlockToken, 'an unlock link is issued');
+});
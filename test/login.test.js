@@ -0,0 +1,157 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stubAudit, stubSettings } = require('./helpers');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { hashToken } = require('../utils/tokens');
+const { getDeviceFingerprint } = require('../utils/requestInfo');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.close());
+
+// Every sign-in method ends in the same step (completeLogin in routes/auth.js); these tests
+// drive it through the magic link and phone code routes.
+
+const stubUser = (t, fields = {}) => {
+  stubSettings(t);
+  const user = new User({
+    name: 'Katherine',
+    email: 'katherine@example.com',
+    phone: '+254700000000',
+    phoneVerified: true,
+    magicLinkToken: hashToken('link-token'),
+    magicLinkExpires: new Date(Date.now() + 60 * 1000),
+    magicLinkDeviceHash: hashToken('device-1'),
+    ...fields
+  });
+  t.mock.method(User, 'findOne', async () => user);
+  t.mock.method(user, 'save', async () => user);
+  const sessions = t.mock.method(Session, 'create', async (sessionFields) => new Session(sessionFields));
+  return { user, sessions };
+};
+
+const magicLinkLogin = () => server.request('/api/auth/magic-link/verify', {
+  method: 'POST',
+  body: { token: 'link-token', deviceId: 'device-1' }
+});
+
+test('a magic link signs in an account in good standing', async (t) => {
+  const audit = stubAudit(t);
+  const { sessions } = stubUser(t);
+
+  const response = await magicLinkLogin();
+
+  assert.strictEqual(response.status, 200);
+  assert.ok(response.json.data.token);
+  assert.strictEqual(sessions.mock.callCount(), 1);
+  assert.deepStrictEqual(audit.map(event => event.action), ['auth.login']);
+  assert.strictEqual(audit[0].metadata.method, 'magic-link');
+});
+
+test('a magic link does not sign in to a locked account', async (t) => {
+  const audit = stubAudit(t);
+  const { sessions } = stubUser(t, { lockUntil: new Date(Date.now() + 60 * 1000) });
+
+  const response = await magicLinkLogin();
+
+  assert.strictEqual(response.status, 423);
+  assert.strictEqual(response.json.code, 'ACCOUNT_LOCKED');
+  assert.strictEqual(sessions.mock.callCount(), 0);
+  assert.strictEqual(audit[0].metadata.reason, 'locked');
+});
+
+test('a magic link does not sign in while a password reset is required', async (t) => {
+  const audit = stubAudit(t);
+  const { sessions } = stubUser(t, { passwordResetRequired: true });
+
+  const response = await magicLinkLogin();
+
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual(response.json.code, 'PASSWORD_RESET_REQUIRED');
+  assert.strictEqual(sessions.mock.callCount(), 0);
+  assert.strictEqual(audit[0].metadata.reason, 'password-reset-required');
+});
+
+test('a magic link still asks for the second factor', async (t) => {
+  stubAudit(t);
+  const { sessions } = stubUser(t, { twoFactor: { enabled: true, secret: 'JBSWY3DPEHPK3PXP' } });
+
+  const response = await magicLinkLogin();
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.json.data.twoFactorRequired, true);
+  assert.ok(response.json.data.challengeToken);
+  assert.strictEqual(response.json.data.token, undefined);
+  assert.strictEqual(sessions.mock.callCount(), 0);
+});
+
+test('a magic link from an unfamiliar device sends a new-device alert', async (t) => {
+  const audit = stubAudit(t);
+  const { user } = stubUser(t, {
+    knownDevices: [{ fingerprint: 'some-other-device', label: 'Firefox on Linux', lastSeenAt: new Date() }]
+  });
+
+  const response = await magicLinkLogin();
+
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(audit.map(event => event.action), ['auth.new_device_login', 'auth.login']);
+  assert.ok(user.loginAlertToken);
+});
+
+test('a phone code does not sign in while a password reset is required', async (t) => {
+  const audit = stubAudit(t);
+  const { user, sessions } = stubUser(t, { passwordResetRequired: true });
+  const code = await user.createPhoneOtp('login', user.phone);
+
+  const response = await server.request('/api/auth/phone/login', {
+    method: 'POST',
+    body: { phone: user.phone, code }
+  });
+
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual(response.json.code, 'PASSWORD_RESET_REQUIRED');
+  assert.strictEqual(sessions.mock.callCount(), 0);
+  assert.strictEqual(audit[0].metadata.method, 'phone');
+});
+
+test('a phone code signs in and records the login', async (t) => {
+  const audit = stubAudit(t);
+  const { user, sessions } = stubUser(t);
+  const code = await user.createPhoneOtp('login', user.phone);
+
+  const response = await server.request('/api/auth/phone/login', {
+    method: 'POST',
+    body: { phone: user.phone, code }
+  });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(sessions.mock.callCount(), 1);
+  assert.deepStrictEqual(audit.map(event => event.action), ['auth.login']);
+});
+
+test('geo headers only count when a trusted proxy set them', async (t) => {
+  const deviceId = 'browser-1234567890';
+  const fingerprint = getDeviceFingerprint({ get: (name) => (name === 'x-device-id' ? deviceId : undefined) });
+  const login = () => server.request('/api/auth/magic-link/verify', {
+    method: 'POST',
+    headers: { 'X-Device-Id': deviceId, 'CF-IPCountry': 'NG' },
+    body: { token: 'link-token', deviceId: 'device-1' }
+  });
+  const knownDevices = [{ fingerprint, label: 'Chrome on Android', country: 'KE', lastSeenAt: new Date() }];
+
+  const audit = stubAudit(t);
+  const { sessions } = stubUser(t, { knownDevices });
+  assert.strictEqual((await login()).status, 200);
+  assert.strictEqual(sessions.mock.calls[0].arguments[0].location.country, null);
+  assert.deepStrictEqual(audit.map(event => event.action), ['auth.login']);
+
+  t.mock.restoreAll();
+  process.env.TRUST_PROXY = '1';
+  t.after(() => { delete process.env.TRUST_PROXY; });
+  const trustedAudit = stubAudit(t);
+  const trusted = stubUser(t, { knownDevices });
+  assert.strictEqual((await login()).status, 200);
+  assert.strictEqual(trusted.sessions.mock.calls[0].arguments[0].location.country, 'NG');
+  assert.deepStrictEqual(trustedAudit.map(event => event.action), ['auth.new_device_login', 'auth.login']);
+});
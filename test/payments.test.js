@@ -0,0 +1,90 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stubAudit, stubSettings, query } = require('./helpers');
+const Organization = require('../models/Organization');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const NotificationService = require('../utils/notifications');
+const { generateAccessToken } = require('../utils/tokens');
+
+// Every Stripe client shares its resource methods through the prototype
+const PaymentIntents = Object.getPrototypeOf(require('stripe')('sk_test_placeholder').paymentIntents);
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.close());
+
+const makeProject = (owner) => new Project({
+  title: 'Shop',
+  description: 'An online shop',
+  owner: owner._id,
+  members: [{ user: owner._id, role: 'owner' }]
+});
+
+const succeededIntent = (project, fields = {}) => ({
+  id: 'pi_123',
+  status: 'succeeded',
+  amount: 50000,
+  currency: 'usd',
+  customer: 'cus_owner',
+  metadata: { projectId: project._id.toString() },
+  ...fields
+});
+
+// The paying owner, the intent Stripe returns, and a project whose claimed intents live in memory
+const setUp = (t, intent) => {
+  stubAudit(t);
+  stubSettings(t);
+  const owner = new User({ name: 'Ada', email: 'ada@example.com', isVerified: true, stripeCustomerId: 'cus_owner' });
+  const project = makeProject(owner);
+  const claimed = new Set();
+  t.mock.method(Organization, 'idsForUser', async () => []);
+  t.mock.method(User, 'findById', () => query(owner));
+  t.mock.method(Project, 'findOne', async () => project);
+  t.mock.method(Project, 'updateOne', async (filter, update) => {
+    const id = update.$push.payments.paymentIntentId;
+    if (claimed.has(id)) return { modifiedCount: 0 };
+    claimed.add(id);
+    return { modifiedCount: 1 };
+  });
+  t.mock.method(PaymentIntents, 'retrieve', async () => intent(project));
+  t.mock.method(NotificationService, 'notify', async () => {});
+  const save = t.mock.method(project, 'save', async () => project);
+  const confirm = () => server.request('/api/payments/confirm-payment', {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${generateAccessToken(owner._id)}` },
+    body: { paymentIntentId: 'pi_123', projectId: project._id.toString() }
+  });
+  return { project, save, confirm };
+};
+
+test('a succeeded intent for the project pays for it once', async (t) => {
+  const { project, confirm } = setUp(t, succeededIntent);
+
+  const first = await confirm();
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(project.budget.actual, 500);
+  assert.strictEqual(project.status, 'prototype');
+
+  const again = await confirm();
+  assert.strictEqual(again.status, 409);
+});
+
+test('an intent created for another project is refused', async (t) => {
+  const { project, save, confirm } = setUp(t, () => succeededIntent({ _id: '507f1f77bcf86cd799439099' }));
+
+  const response = await confirm();
+
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(project.budget.actual, undefined);
+  assert.strictEqual(save.mock.callCount(), 0);
+});
+
+test('an intent paid by another customer is refused', async (t) => {
+  const { project, confirm } = setUp(t, (project) => succeededIntent(project, { customer: 'cus_someone_else' }));
+
+  const response = await confirm();
+
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(project.status, 'draft');
+});
@@ -0,0 +1,180 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stubSettings, query } = require('./helpers');
+const Organization = require('../models/Organization');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const { can, scopeFilter } = require('../utils/policy');
+const { generateAccessToken } = require('../utils/tokens');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.close());
+
+const makeUser = (role = 'user') => new User({ name: 'Dorothy', email: `${role}@example.com`, role });
+
+const makeProject = (members = [], fields = {}) => new Project({
+  title: 'Shop',
+  description: 'An online shop',
+  owner: members.length ? members[0].user : makeUser()._id,
+  members,
+  ...fields
+});
+
+const makeOrganization = (members) => new Organization({ name: 'Studio', owner: members[0].user, members });
+
+test('project members may do what their project role allows', async (t) => {
+  stubSettings(t);
+  const viewer = makeUser();
+  const manager = makeUser();
+  const project = makeProject([{ user: manager._id, role: 'manager' }, { user: viewer._id, role: 'viewer' }]);
+
+  assert.strictEqual(await can(viewer, 'project:read', project), true);
+  assert.strictEqual(await can(viewer, 'project:update', project), false);
+  assert.strictEqual(await can(manager, 'project:update', project), true);
+  assert.strictEqual(await can(manager, 'project:delete', project), false);
+});
+
+test('people unrelated to a project get nothing from their role alone', async (t) => {
+  stubSettings(t);
+  const stranger = makeUser();
+  const project = makeProject([{ user: makeUser()._id, role: 'owner' }]);
+
+  assert.strictEqual(await can(stranger, 'project:read', project), false);
+  assert.strictEqual(await can(stranger, 'project:read'), true, 'the role still grants the action in general');
+});
+
+test('organization roles reach the organization\'s projects', async (t) => {
+  stubSettings(t);
+  const orgViewer = makeUser();
+  const orgMember = makeUser();
+  const organization = makeOrganization([
+    { user: makeUser()._id, role: 'owner' },
+    { user: orgViewer._id, role: 'viewer' },
+    { user: orgMember._id, role: 'member' }
+  ]);
+  t.mock.method(Organization, 'findById', async () => organization);
+  const project = makeProject([], { organization: organization._id });
+
+  assert.strictEqual(await can(orgViewer, 'project:read', project), true);
+  assert.strictEqual(await can(orgViewer, 'project:update', project), false);
+  assert.strictEqual(await can(orgMember, 'project:update', project), true);
+});
+
+test('the :any form of an action covers every resource', async (t) => {
+  stubSettings(t);
+  const projectManager = makeUser('project-manager');
+  const project = makeProject([{ user: makeUser()._id, role: 'owner' }]);
+
+  assert.strictEqual(await can(projectManager, 'project:read', project), true);
+  assert.strictEqual(await can(projectManager, 'project:update', project), false);
+  assert.deepStrictEqual(await scopeFilter(projectManager, 'project:read'), {});
+});
+
+test('admins hold every permission whatever the overrides say', async (t) => {
+  stubSettings(t, { rolePermissions: { admin: [] } });
+  const admin = makeUser('admin');
+
+  assert.strictEqual(await can(admin, 'settings:manage'), true);
+  assert.strictEqual(await can(admin, 'project:delete', makeProject()), true);
+});
+
+test('saved role permissions replace the defaults', async (t) => {
+  stubSettings(t, { rolePermissions: { user: ['project:read'] } });
+  const user = makeUser();
+  const project = makeProject([{ user: user._id, role: 'owner' }]);
+
+  assert.strictEqual(await can(user, 'project:read', project), true);
+  assert.strictEqual(await can(user, 'project:delete', project), false);
+  assert.strictEqual(await can(user, 'organization:create'), false);
+});
+
+test('API keys narrow the owner\'s permissions to the key\'s scopes', async (t) => {
+  stubSettings(t);
+  const user = makeUser();
+  user.$locals.apiKey = { scopes: ['projects:read'] };
+  const project = makeProject([{ user: user._id, role: 'owner' }]);
+
+  assert.strictEqual(await can(user, 'project:read', project), true);
+  assert.strictEqual(await can(user, 'project:update', project), false);
+  assert.strictEqual(await can(user, 'organization:create'), false);
+});
+
+test('scope filters select projects through membership and organizations', async (t) => {
+  stubSettings(t);
+  const user = makeUser();
+  const organizationId = makeOrganization([{ user: user._id, role: 'owner' }])._id;
+  const idsForUser = t.mock.method(Organization, 'idsForUser', async () => [organizationId]);
+
+  const filter = await scopeFilter(user, 'project:update');
+
+  assert.deepStrictEqual(filter, {
+    $or: [
+      { members: { $elemMatch: { user: user._id, role: { $in: Project.EDITOR_ROLES } } } },
+      { organization: { $in: [organizationId] } }
+    ]
+  });
+  assert.deepStrictEqual(idsForUser.mock.calls[0].arguments[1], Organization.CONTRIBUTOR_ROLES);
+});
+
+test('scope filters match nothing without the permission', async (t) => {
+  stubSettings(t);
+  const stakeholder = makeUser('stakeholder');
+
+  assert.deepStrictEqual(await scopeFilter(stakeholder, 'project:update'), { _id: null });
+});
+
+test('unknown actions are a programming error', async (t) => {
+  stubSettings(t);
+
+  await assert.rejects(() => can(makeUser(), 'project:teleport'), /Unknown permission action/);
+});
+
+// Through the routes
+
+const signIn = (t, user, overrides) => {
+  stubSettings(t, overrides);
+  t.mock.method(User, 'findById', () => query(user));
+  return { Authorization: `Bearer ${generateAccessToken(user._id)}` };
+};
+
+test('routes refuse actions the role does not grant', async (t) => {
+  const headers = signIn(t, makeUser('stakeholder'));
+
+  const response = await server.request('/api/projects', {
+    method: 'POST',
+    headers,
+    body: { title: 'Shop', description: 'An online shop', category: 'website' }
+  });
+
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual(response.json.code, 'PERMISSION_DENIED');
+});
+
+test('organization routes check the member\'s organization role', async (t) => {
+  const member = makeUser();
+  const headers = signIn(t, member);
+  const organization = makeOrganization([{ user: makeUser()._id, role: 'owner' }, { user: member._id, role: 'member' }]);
+  t.mock.method(Organization, 'idsForUser', async () => [organization._id]);
+  t.mock.method(Organization, 'findOne', async () => organization);
+  const save = t.mock.method(organization, 'save', async () => organization);
+
+  const rename = await server.request(`/api/organizations/${organization._id}`, { method: 'PUT', headers, body: { name: 'Renamed' } });
+
+  assert.strictEqual(rename.status, 403);
+  assert.strictEqual(save.mock.callCount(), 0);
+});
+
+test('organization routes follow saved role permissions', async (t) => {
+  const owner = makeUser();
+  const headers = signIn(t, owner, { rolePermissions: { user: ['organization:read'] } });
+  const organization = makeOrganization([{ user: owner._id, role: 'owner' }]);
+  t.mock.method(Organization, 'findOne', async () => organization);
+
+  const rename = await server.request(`/api/organizations/${organization._id}`, { method: 'PUT', headers, body: { name: 'Renamed' } });
+  const preferences = await server.request('/api/notifications/preferences', { headers });
+
+  assert.strictEqual(rename.status, 403);
+  assert.strictEqual(rename.json.code, 'PERMISSION_DENIED');
+  assert.strictEqual(preferences.status, 403);
+});
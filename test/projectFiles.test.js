@@ -0,0 +1,205 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer, writeFile, workDir, stubSettings, query } = require('./helpers');
+const Organization = require('../models/Organization');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const StorageService = require('../utils/storage');
+const ProjectFiles = require('../utils/projectFiles');
+const { generateAccessToken } = require('../utils/tokens');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.close());
+
+const makeProject = () => new Project({ title: 'Shop', description: 'An online shop', owner: '507f1f77bcf86cd799439011' });
+
+const upload = async (project, contents = 'quarterly numbers') => ProjectFiles.addProjectFile(project, {
+  buffer: Buffer.from(contents),
+  originalName: 'report.txt',
+  contentType: 'text/plain',
+  category: 'file',
+  uploadedBy: project.owner
+});
+
+const signedParams = (file) => Object.fromEntries(new URL(ProjectFiles.downloadUrl(file), 'http://localhost').searchParams);
+
+test('uploads are stored under the private root, outside the public upload directory', async () => {
+  const project = makeProject();
+  const file = await upload(project);
+
+  const stored = ProjectFiles.localFilePath(file);
+  assert.ok(stored.startsWith(path.join(workDir, 'storage') + path.sep));
+  assert.strictEqual(fs.readFileSync(stored, 'utf8'), 'quarterly numbers');
+  assert.strictEqual(fs.existsSync(path.join(workDir, 'uploads', file.key)), false);
+});
+
+test('signed download URLs carry the file id, never the storage key', async () => {
+  const project = makeProject();
+  const file = await upload(project);
+
+  const url = ProjectFiles.downloadUrl(file);
+  const params = signedParams(file);
+
+  assert.ok(url.startsWith('/api/files/download?'));
+  assert.strictEqual(params.id, file._id.toString());
+  assert.ok(!url.includes(encodeURIComponent(file.key)) && !url.includes(file.key));
+  assert.strictEqual(StorageService.verifySignedDownload(params), true);
+});
+
+test('changing any signed field or letting the link expire breaks the signature', async () => {
+  const project = makeProject();
+  const file = await upload(project);
+  const params = signedParams(file);
+  const other = await upload(project, 'someone else\'s file');
+
+  assert.strictEqual(StorageService.verifySignedDownload({ ...params, id: other._id.toString() }), false);
+  assert.strictEqual(StorageService.verifySignedDownload({ ...params, filename: 'other.txt' }), false);
+  assert.strictEqual(StorageService.verifySignedDownload({ ...params, expires: String(Number(params.expires) + 60) }), false);
+  assert.strictEqual(StorageService.verifySignedDownload({ ...params, signature: undefined }), false);
+
+  const expired = Math.floor(Date.now() / 1000) - 1;
+  const expiredUrl = StorageService.signedUrl(file.key, { id: params.id, filename: params.filename, expiresIn: -1 });
+  const expiredParams = Object.fromEntries(new URL(expiredUrl, 'http://localhost').searchParams);
+  assert.ok(Number(expiredParams.expires) <= expired);
+  assert.strictEqual(StorageService.verifySignedDownload(expiredParams), false);
+});
+
+test('storage keys are left out of project JSON', async () => {
+  const project = makeProject();
+  const file = await upload(project);
+
+  const json = JSON.parse(JSON.stringify(project));
+  assert.strictEqual(json.files[0]._id, file._id.toString());
+  assert.strictEqual(json.files[0].key, undefined);
+  assert.strictEqual(ProjectFiles.serializeFile(project, file).key, undefined);
+});
+
+test('a signed link downloads the file under its name', async (t) => {
+  const project = makeProject();
+  const file = await upload(project);
+  t.mock.method(Project, 'findOne', () => ({ select: async () => project }));
+
+  const response = await server.request(ProjectFiles.downloadUrl(file));
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.text, 'quarterly numbers');
+  assert.match(response.headers.get('content-disposition'), /attachment; filename\*=UTF-8''report\.txt/);
+  assert.strictEqual(response.headers.get('cache-control'), 'private, no-store');
+});
+
+test('a tampered link is refused without looking the file up', async (t) => {
+  const project = makeProject();
+  const file = await upload(project);
+  const findOne = t.mock.method(Project, 'findOne', () => ({ select: async () => project }));
+  const params = new URLSearchParams({ ...signedParams(file), filename: 'renamed.txt' });
+
+  const response = await server.request(`/api/files/download?${params}`);
+
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual(findOne.mock.callCount(), 0);
+});
+
+test('a link to a file that was deleted finds nothing', async (t) => {
+  const project = makeProject();
+  const file = await upload(project);
+  t.mock.method(Project, 'findOne', () => ({ select: async () => null }));
+
+  const response = await server.request(ProjectFiles.downloadUrl(file));
+
+  assert.strictEqual(response.status, 404);
+});
+
+test('private directories are never served as static files, however the path is written', async () => {
+  writeFile('uploads/projects/legacy/secret.txt', 'legacy secret');
+  writeFile('storage/projects/current/secret.txt', 'current secret');
+  writeFile('uploads/avatars/me/avatar.txt', 'avatar');
+
+  const blocked = [
+    '/uploads/projects/legacy/secret.txt',
+    '/uploads/%70rojects/legacy/secret.txt',
+    '/uploads%2fprojects/legacy/secret.txt',
+    '/uploads/avatars/../projects/legacy/secret.txt',
+    '/uploads/avatars/%2e%2e/projects/legacy/secret.txt',
+    '/UPLOADS/Projects/legacy/secret.txt',
+    '/storage/projects/current/secret.txt',
+    '/%73torage/projects/current/secret.txt',
+    '/storage'
+  ];
+  for (const urlPath of blocked) {
+    const response = await server.request(urlPath);
+    assert.strictEqual(response.status, 404, urlPath);
+    assert.ok(!response.text.includes('secret'), urlPath);
+  }
+
+  const malformed = await server.request('/uploads/%E0%A4%A/projects');
+  assert.strictEqual(malformed.status, 400);
+
+  const avatar = await server.request('/uploads/avatars/me/avatar.txt');
+  assert.strictEqual(avatar.status, 200);
+  assert.strictEqual(avatar.text, 'avatar');
+});
+
+// POST /api/projects/:id/files as the project's owner, with `used` bytes already stored
+const setUpUpload = (t, { used = 0, found = true } = {}) => {
+  stubSettings(t);
+  const owner = new User({ name: 'Ada', email: 'ada@example.com', isVerified: true });
+  const project = new Project({ title: 'Shop', description: 'An online shop', owner: owner._id, members: [{ user: owner._id, role: 'owner' }] });
+  t.mock.method(Organization, 'idsForUser', async () => []);
+  t.mock.method(User, 'findById', () => query(owner));
+  t.mock.method(Project, 'findOne', async () => (found ? project : null));
+  t.mock.method(project, 'save', async () => project);
+  t.mock.method(ProjectFiles, 'getStorageUsage', async () => used);
+  const added = t.mock.method(ProjectFiles, 'addProjectFile');
+  const send = (contents = 'meeting notes') => {
+    const form = new FormData();
+    form.append('file', new Blob([contents], { type: 'text/plain' }), 'notes.txt');
+    return fetch(`${server.url}/api/projects/${project._id}/files`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${generateAccessToken(owner._id)}` },
+      body: form
+    }).then(async response => ({ status: response.status, json: await response.json() }));
+  };
+  return { project, added, send };
+};
+
+test('uploads within the quota are stored on the project', async (t) => {
+  const { project, added, send } = setUpUpload(t);
+
+  const response = await send();
+
+  assert.strictEqual(response.status, 201);
+  assert.strictEqual(added.mock.callCount(), 1);
+  assert.strictEqual(project.files[0].name, 'notes.txt');
+});
+
+test('a full quota refuses the upload before reading it', async (t) => {
+  const { added, send } = setUpUpload(t, { used: ProjectFiles.PLAN_STORAGE_QUOTAS.free });
+
+  const response = await send();
+
+  assert.strictEqual(response.status, 413);
+  assert.strictEqual(response.json.code, 'STORAGE_QUOTA_EXCEEDED');
+  assert.strictEqual(added.mock.callCount(), 0);
+});
+
+test('a body larger than the space left is refused from its declared length', async (t) => {
+  const { added, send } = setUpUpload(t, { used: ProjectFiles.PLAN_STORAGE_QUOTAS.free - 1024 * 1024 });
+
+  const response = await send('x'.repeat(2 * 1024 * 1024));
+
+  assert.strictEqual(response.status, 413);
+  assert.strictEqual(response.json.code, 'STORAGE_QUOTA_EXCEEDED');
+  assert.strictEqual(added.mock.callCount(), 0);
+});
+
+test('people outside the project cannot upload', async (t) => {
+  const { added, send } = setUpUpload(t, { found: false });
+
+  const response = await send();
+
+  assert.strictEqual(response.status, 404);
+  assert.strictEqual(added.mock.callCount(), 0);
+});
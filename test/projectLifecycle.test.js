@@ -0,0 +1,214 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stubAudit, stubSettings, query } = require('./helpers');
+const Organization = require('../models/Organization');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const NotificationService = require('../utils/notifications');
+const { generateAccessToken } = require('../utils/tokens');
+
+let server;
+before(async () => {
+  server = await startServer();
+  // Socket.io only runs with the long-lived server; routes just emit to it
+  require('../server').set('io', { to: () => ({ emit: () => {} }) });
+});
+after(() => server.close());
+
+const OWNER_ID = '507f1f77bcf86cd799439011';
+const ACTOR_ID = '507f1f77bcf86cd799439012';
+
+const makeProject = (fields = {}) => new Project({
+  title: 'Shop',
+  description: 'An online shop',
+  owner: OWNER_ID,
+  ...fields
+});
+
+test('projects only move along the listed transitions', () => {
+  for (const [from, allowed] of Object.entries(Project.STATUS_TRANSITIONS)) {
+    for (const to of Project.STATUSES) {
+      const project = makeProject({ status: from, budget: { actual: 100 } });
+      const problem = project.checkTransition(to);
+      if (allowed.includes(to)) {
+        assert.strictEqual(problem, null, `${from} -> ${to}`);
+      } else {
+        assert.strictEqual(problem.code, 'INVALID_STATUS_TRANSITION', `${from} -> ${to}`);
+      }
+    }
+  }
+});
+
+test('development waits for payment', () => {
+  const project = makeProject({ status: 'prototype' });
+
+  assert.strictEqual(project.checkTransition('in-development').code, 'STATUS_GUARD_FAILED');
+
+  project.budget.actual = 500;
+  assert.strictEqual(project.checkTransition('in-development'), null);
+});
+
+test('testing waits for every feature to be completed', () => {
+  const project = makeProject({
+    status: 'in-development',
+    features: [{ name: 'Cart', completed: true }, { name: 'Checkout', completed: false }]
+  });
+
+  assert.strictEqual(project.checkTransition('testing').code, 'STATUS_GUARD_FAILED');
+
+  project.features[1].completed = true;
+  assert.strictEqual(project.checkTransition('testing'), null);
+});
+
+test('each status change is recorded in the history and stamps the timeline', () => {
+  const project = makeProject({ status: 'prototype', budget: { actual: 500 } });
+
+  project.transitionTo('in-development', ACTOR_ID, 'Kick-off');
+  project.transitionTo('testing', ACTOR_ID);
+  project.transitionTo('deployed', ACTOR_ID);
+
+  assert.deepStrictEqual(
+    project.statusHistory.map(entry => [entry.from, entry.to]),
+    [['prototype', 'in-development'], ['in-development', 'testing'], ['testing', 'deployed']]
+  );
+  assert.strictEqual(project.statusHistory[0].notes, 'Kick-off');
+  assert.strictEqual(project.statusHistory[0].actor.toString(), ACTOR_ID);
+  assert.ok(project.timeline.actualStart);
+  assert.ok(project.timeline.actualEnd);
+});
+
+test('refused changes throw and leave the project as it was', () => {
+  const project = makeProject({ status: 'draft' });
+
+  assert.throws(() => project.transitionTo('deployed', ACTOR_ID), /can't move to deployed/);
+  assert.strictEqual(project.status, 'draft');
+  assert.strictEqual(project.statusHistory.length, 0);
+});
+
+// PUT /api/admin/projects/:id/status as a developer on the project
+const setUp = (t, project) => {
+  const events = stubAudit(t);
+  stubSettings(t);
+  const developer = new User({ name: 'Linus', email: 'linus@example.com', role: 'developer' });
+  project.members.push({ user: developer._id, role: 'developer' });
+  t.mock.method(Organization, 'idsForUser', async () => []);
+  t.mock.method(User, 'findById', () => query(developer));
+  t.mock.method(Project, 'findOne', async () => project);
+  const save = t.mock.method(project, 'save', async () => project);
+  const notify = t.mock.method(NotificationService, 'notifyProjectParticipants', async () => {});
+  return { headers: { Authorization: `Bearer ${generateAccessToken(developer._id)}` }, save, notify, events };
+};
+
+test('the status endpoint refuses a transition that is not allowed', async (t) => {
+  const project = makeProject({ status: 'draft' });
+  const { headers, save } = setUp(t, project);
+
+  const response = await server.request(`/api/admin/projects/${project._id}/status`, {
+    method: 'PUT',
+    headers,
+    body: { status: 'deployed' }
+  });
+
+  assert.strictEqual(response.status, 409);
+  assert.strictEqual(response.json.code, 'INVALID_STATUS_TRANSITION');
+  assert.deepStrictEqual(response.json.data.allowed, ['prototype', 'cancelled']);
+  assert.strictEqual(project.status, 'draft');
+  assert.strictEqual(save.mock.callCount(), 0);
+});
+
+test('the status endpoint reports unmet guards', async (t) => {
+  const project = makeProject({ status: 'prototype' });
+  const { headers } = setUp(t, project);
+
+  const response = await server.request(`/api/admin/projects/${project._id}/status`, {
+    method: 'PUT',
+    headers,
+    body: { status: 'in-development' }
+  });
+
+  assert.strictEqual(response.status, 409);
+  assert.strictEqual(response.json.code, 'STATUS_GUARD_FAILED');
+});
+
+test('the status endpoint records an allowed change', async (t) => {
+  const project = makeProject({ status: 'prototype', budget: { actual: 500 } });
+  const { headers, notify } = setUp(t, project);
+
+  const response = await server.request(`/api/admin/projects/${project._id}/status`, {
+    method: 'PUT',
+    headers,
+    body: { status: 'in-development', notes: 'Starting sprint 1' }
+  });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(project.status, 'in-development');
+  assert.deepStrictEqual(response.json.data.project.statusHistory.map(entry => [entry.from, entry.to, entry.notes]), [
+    ['prototype', 'in-development', 'Starting sprint 1']
+  ]);
+  assert.strictEqual(notify.mock.callCount(), 1);
+});
+
+test('editing a project cannot change what has been paid', async (t) => {
+  const project = makeProject({ status: 'prototype', budget: { estimated: 1000, actual: 0 } });
+  const owner = new User({ _id: OWNER_ID, name: 'Margaret', email: 'margaret@example.com' });
+  project.members.push({ user: owner._id, role: 'owner' });
+  const { save } = setUp(t, project);
+  User.findById.mock.mockImplementation(() => query(owner));
+
+  const response = await server.request(`/api/projects/${project._id}`, {
+    method: 'PUT',
+    headers: { Authorization: `Bearer ${generateAccessToken(owner._id)}` },
+    body: { budget: { estimated: 2000, actual: 2000 } }
+  });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(save.mock.callCount(), 1);
+  assert.strictEqual(project.budget.estimated, 2000);
+  assert.strictEqual(project.budget.actual, 0);
+});
+
+test('editing a project keeps each feature\'s completion', async (t) => {
+  const project = makeProject({
+    status: 'in-development',
+    features: [{ name: 'Cart', completed: true }, { name: 'Checkout', completed: false }]
+  });
+  const owner = new User({ _id: OWNER_ID, name: 'Margaret', email: 'margaret@example.com' });
+  project.members.push({ user: owner._id, role: 'owner' });
+  setUp(t, project);
+  User.findById.mock.mockImplementation(() => query(owner));
+  const [cart, checkout] = project.features.map(feature => feature._id.toString());
+
+  const response = await server.request(`/api/projects/${project._id}`, {
+    method: 'PUT',
+    headers: { Authorization: `Bearer ${generateAccessToken(owner._id)}` },
+    body: {
+      features: [
+        { _id: cart, name: 'Basket', completed: false },
+        { _id: checkout, name: 'Checkout', completed: true },
+        { name: 'Wishlist', completed: true }
+      ]
+    }
+  });
+
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(project.features.map(feature => [feature.name, feature.completed]), [
+    ['Basket', true], ['Checkout', false], ['Wishlist', false]
+  ]);
+  assert.strictEqual(project.checkTransition('testing').code, 'STATUS_GUARD_FAILED');
+});
+
+test('delivery members complete features through their own endpoint', async (t) => {
+  const project = makeProject({ status: 'in-development', features: [{ name: 'Cart' }] });
+  const { headers, events } = setUp(t, project);
+
+  const response = await server.request(`/api/admin/projects/${project._id}/features/${project.features[0]._id}`, {
+    method: 'PUT',
+    headers,
+    body: { completed: true }
+  });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(project.features[0].completed, true);
+  assert.strictEqual(events[0].action, 'admin.project_feature_updated');
+  assert.strictEqual(project.checkTransition('testing'), null);
+});
@@ -0,0 +1,183 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stubAudit, stubSettings, query } = require('./helpers');
+const Organization = require('../models/Organization');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const EmailService = require('../utils/email');
+const { generateAccessToken, hashToken } = require('../utils/tokens');
+
+let server;
+before(async () => {
+  server = await startServer();
+  // Socket.io only runs with the long-lived server; routes just emit to it
+  require('../server').set('io', { to: () => ({ emit: () => {} }) });
+});
+after(() => server.close());
+
+const makeUser = (email, role = 'user') => new User({ name: email.split('@')[0], email, role });
+
+// Sign `user` in and serve `project` to the routes
+const setUp = (t, user, project) => {
+  stubAudit(t);
+  stubSettings(t);
+  t.mock.method(Organization, 'idsForUser', async () => []);
+  t.mock.method(User, 'findById', () => query(user));
+  t.mock.method(Project, 'findOne', async () => project);
+  t.mock.method(Project, 'findById', async () => project);
+  t.mock.method(project, 'save', async () => project);
+  t.mock.method(project, 'populate', async () => project);
+  return { Authorization: `Bearer ${generateAccessToken(user._id)}` };
+};
+
+const makeProject = (owner, members = []) => new Project({
+  title: 'Shop',
+  description: 'An online shop',
+  owner: owner._id,
+  members: [{ user: owner._id, role: 'owner' }, ...members]
+});
+
+test('inviting answers the same way whether or not the email has an account', async (t) => {
+  const owner = makeUser('owner@example.com');
+  const project = makeProject(owner);
+  const headers = setUp(t, owner, project);
+  const lookup = t.mock.method(User, 'findOne', async () => makeUser('someone@example.com'));
+  const emails = t.mock.method(EmailService, 'sendProjectInviteEmail', async () => null);
+
+  const responses = [];
+  for (const email of ['someone@example.com', 'nobody@example.com']) {
+    responses.push(await server.request(`/api/projects/${project._id}/members`, {
+      method: 'POST',
+      headers,
+      body: { email, role: 'developer' }
+    }));
+  }
+
+  assert.deepStrictEqual(responses.map(response => response.status), [201, 201]);
+  assert.deepStrictEqual(responses.map(response => Object.keys(response.json).sort()), [['message', 'success'], ['message', 'success']]);
+  assert.strictEqual(lookup.mock.callCount(), 0);
+  assert.strictEqual(emails.mock.callCount(), 2);
+  assert.deepStrictEqual(project.members.map(member => member.role), ['owner'], 'nobody joins before accepting');
+
+  const invitation = project.invitations.find(inv => inv.email === 'someone@example.com');
+  const [, , , token] = emails.mock.calls[0].arguments;
+  assert.strictEqual(invitation.tokenHash, hashToken(token));
+  assert.strictEqual(invitation.role, 'developer');
+});
+
+test('re-inviting an email replaces its pending invitation', async (t) => {
+  const owner = makeUser('owner@example.com');
+  const project = makeProject(owner);
+  const headers = setUp(t, owner, project);
+  t.mock.method(EmailService, 'sendProjectInviteEmail', async () => null);
+
+  for (const role of ['viewer', 'qa']) {
+    await server.request(`/api/projects/${project._id}/members`, { method: 'POST', headers, body: { email: 'pat@example.com', role } });
+  }
+
+  assert.deepStrictEqual(project.invitations.map(inv => [inv.email, inv.role]), [['pat@example.com', 'qa']]);
+});
+
+test('members who cannot manage the project cannot invite', async (t) => {
+  const owner = makeUser('owner@example.com');
+  const designer = makeUser('designer@example.com');
+  const project = makeProject(owner, [{ user: designer._id, role: 'designer' }]);
+  const headers = setUp(t, designer, project);
+  t.mock.method(Project, 'findOne', async (filter) => (filter.$or ? null : project));
+
+  const response = await server.request(`/api/projects/${project._id}/members`, {
+    method: 'POST',
+    headers,
+    body: { email: 'friend@example.com', role: 'manager' }
+  });
+
+  assert.strictEqual(response.status, 404);
+  assert.strictEqual(project.invitations.length, 0);
+});
+
+const invite = (project, email, role, fields = {}) => {
+  project.invitations.push({
+    email,
+    role,
+    tokenHash: hashToken('invite-token'),
+    invitedBy: project.owner,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    ...fields
+  });
+};
+
+test('only the invited address can accept, and accepting adds the member', async (t) => {
+  const owner = makeUser('owner@example.com');
+  const project = makeProject(owner);
+  invite(project, 'pat@example.com', 'developer');
+
+  const intruderHeaders = setUp(t, makeUser('mallory@example.com'), project);
+  const refused = await server.request('/api/projects/invitations/accept', { method: 'POST', headers: intruderHeaders, body: { token: 'invite-token' } });
+  assert.strictEqual(refused.status, 403);
+  assert.strictEqual(project.members.length, 1);
+
+  t.mock.restoreAll();
+  const pat = makeUser('pat@example.com');
+  const headers = setUp(t, pat, project);
+  const accepted = await server.request('/api/projects/invitations/accept', { method: 'POST', headers, body: { token: 'invite-token' } });
+
+  assert.strictEqual(accepted.status, 200);
+  assert.strictEqual(project.getMemberRole(pat._id), 'developer');
+  assert.strictEqual(project.invitations.length, 0);
+});
+
+test('expired invitations cannot be accepted', async (t) => {
+  const owner = makeUser('owner@example.com');
+  const project = makeProject(owner);
+  invite(project, 'pat@example.com', 'developer', { expiresAt: new Date(Date.now() - 1000) });
+  const pat = makeUser('pat@example.com');
+  const headers = setUp(t, pat, project);
+
+  const response = await server.request('/api/projects/invitations/accept', { method: 'POST', headers, body: { token: 'invite-token' } });
+
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(project.getMemberRole(pat._id), null);
+});
+
+test('invitation tokens are left out of project JSON', () => {
+  const project = makeProject(makeUser('owner@example.com'));
+  invite(project, 'pat@example.com', 'developer');
+
+  const json = JSON.parse(JSON.stringify(project));
+  assert.strictEqual(json.invitations[0].email, 'pat@example.com');
+  assert.strictEqual(json.invitations[0].tokenHash, undefined);
+});
+
+test('assigning a project manager as developer keeps them a manager', async (t) => {
+  const admin = makeUser('admin@example.com', 'admin');
+  const developer = makeUser('dev@example.com', 'developer');
+  const project = makeProject(makeUser('owner@example.com'), [{ user: developer._id, role: 'manager' }]);
+  const headers = setUp(t, admin, project);
+  t.mock.method(User, 'findOne', async () => developer);
+
+  const response = await server.request(`/api/admin/projects/${project._id}/assign`, {
+    method: 'PUT',
+    headers,
+    body: { developerId: developer._id.toString() }
+  });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(project.getMemberRole(developer._id), 'manager');
+});
+
+test('assigning a project viewer as developer raises them to developer', async (t) => {
+  const admin = makeUser('admin@example.com', 'admin');
+  const developer = makeUser('dev@example.com', 'developer');
+  const project = makeProject(makeUser('owner@example.com'), [{ user: developer._id, role: 'viewer' }]);
+  const headers = setUp(t, admin, project);
+  t.mock.method(User, 'findOne', async () => developer);
+
+  const response = await server.request(`/api/admin/projects/${project._id}/assign`, {
+    method: 'PUT',
+    headers,
+    body: { developerId: developer._id.toString() }
+  });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(project.getMemberRole(developer._id), 'developer');
+});
@@ -0,0 +1,90 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stubAudit } = require('./helpers');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { hashToken } = require('../utils/tokens');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.close());
+
+const makeUser = () => new User({ name: 'Ada', email: 'ada@example.com' });
+
+const makeSession = (user, refreshToken) => new Session({
+  user: user._id,
+  refreshTokenHash: hashToken(refreshToken),
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+});
+
+test('refresh rotates the token and returns a new pair', async (t) => {
+  stubAudit(t);
+  const user = makeUser();
+  const session = makeSession(user, 'old-token');
+  t.mock.method(Session, 'findOne', async () => session);
+  t.mock.method(User, 'findById', async () => user);
+  const update = t.mock.method(Session, 'findOneAndUpdate', async () => session);
+
+  const response = await server.request('/api/auth/refresh', { method: 'POST', body: { refreshToken: 'old-token' } });
+
+  assert.strictEqual(response.status, 200);
+  assert.ok(response.json.data.token);
+  assert.ok(response.json.data.refreshToken);
+  assert.notStrictEqual(response.json.data.refreshToken, 'old-token');
+
+  // The swap only matches while the session still holds the presented token
+  const [filter, changes] = update.mock.calls[0].arguments;
+  assert.deepStrictEqual(filter, { _id: session._id, refreshTokenHash: hashToken('old-token'), revokedAt: null });
+  assert.deepStrictEqual(changes.$push, { previousTokenHashes: hashToken('old-token') });
+  assert.strictEqual(changes.$set.refreshTokenHash, hashToken(response.json.data.refreshToken));
+});
+
+test('refresh that loses the rotation race revokes the session as reuse', async (t) => {
+  stubAudit(t);
+  const user = makeUser();
+  const session = makeSession(user, 'raced-token');
+  t.mock.method(Session, 'findOne', async () => session);
+  t.mock.method(User, 'findById', async () => user);
+  t.mock.method(Session, 'findOneAndUpdate', async () => null);
+  const revoke = t.mock.method(Session, 'updateOne', async () => ({ modifiedCount: 1 }));
+  t.mock.method(console, 'warn', () => {});
+
+  const response = await server.request('/api/auth/refresh', { method: 'POST', body: { refreshToken: 'raced-token' } });
+
+  assert.strictEqual(response.status, 401);
+  assert.strictEqual(response.json.data, undefined);
+  assert.strictEqual(revoke.mock.callCount(), 1);
+  const [filter, changes] = revoke.mock.calls[0].arguments;
+  assert.deepStrictEqual(filter, { _id: session._id, revokedAt: null });
+  assert.strictEqual(changes.revokedReason, 'reuse-detected');
+});
+
+test('replaying a rotated-out token revokes the session it belonged to', async (t) => {
+  stubAudit(t);
+  const user = makeUser();
+  const session = makeSession(user, 'current-token');
+  session.previousTokenHashes.push(hashToken('stale-token'));
+  t.mock.method(Session, 'findOne', async (filter) => (filter.previousTokenHashes ? session : null));
+  const save = t.mock.method(session, 'save', async () => session);
+  t.mock.method(console, 'warn', () => {});
+
+  const response = await server.request('/api/auth/refresh', { method: 'POST', body: { refreshToken: 'stale-token' } });
+
+  assert.strictEqual(response.status, 401);
+  assert.strictEqual(save.mock.callCount(), 1);
+  assert.strictEqual(session.revokedReason, 'reuse-detected');
+  assert.ok(session.revokedAt);
+});
+
+test('a revoked session cannot be refreshed', async (t) => {
+  const user = makeUser();
+  const session = makeSession(user, 'revoked-token');
+  session.revokedAt = new Date();
+  t.mock.method(Session, 'findOne', async () => session);
+  const update = t.mock.method(Session, 'findOneAndUpdate', async () => session);
+
+  const response = await server.request('/api/auth/refresh', { method: 'POST', body: { refreshToken: 'revoked-token' } });
+
+  assert.strictEqual(response.status, 401);
+  assert.strictEqual(update.mock.callCount(), 0);
+});
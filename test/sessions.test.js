@@ -0,0 +1,28 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcryptjs');
+const { startServer, stubAudit, stubSettings } = require('./helpers');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.close());
+
+test('sessions record the connecting address, not one the client forwards', async (t) => {
+  stubAudit(t);
+  stubSettings(t);
+  const user = new User({ name: 'Ada', email: 'ada@example.com', password: bcrypt.hashSync('correct horse', 4) });
+  t.mock.method(User, 'findOne', async () => user);
+  t.mock.method(user, 'save', async () => user);
+  const sessions = t.mock.method(Session, 'create', async (fields) => new Session(fields));
+
+  const response = await server.request('/api/auth/login', {
+    method: 'POST',
+    headers: { 'X-Forwarded-For': '203.0.113.9' },
+    body: { email: 'ada@example.com', password: 'correct horse' }
+  });
+
+  assert.strictEqual(response.status, 200);
+  assert.match(sessions.mock.calls[0].arguments[0].ip, /127\.0\.0\.1$/);
+});
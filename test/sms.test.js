@@ -0,0 +1,58 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+const User = require('../models/User');
+const SmsService = require('../utils/sms');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.close());
+
+const withEnv = (t, values) => {
+  const saved = Object.fromEntries(Object.keys(values).map(name => [name, process.env[name]]));
+  Object.assign(process.env, values);
+  t.after(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+};
+
+test('production never falls back to writing codes to the log', async (t) => {
+  const log = t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+
+  for (const provider of ['', 'console', 'file']) {
+    withEnv(t, { SMS_PROVIDER: provider });
+    assert.strictEqual(SmsService.isConfigured(), false, provider || 'unset');
+    await SmsService.sendLoginCode('+254700000000', '123456');
+  }
+
+  assert.strictEqual(log.mock.callCount(), 0);
+});
+
+test('the console stand-in is the default outside production', async (t) => {
+  withEnv(t, { NODE_ENV: 'development', SMS_PROVIDER: '' });
+  const log = t.mock.method(console, 'log', () => {});
+
+  await SmsService.sendLoginCode('+254700000000', '123456');
+
+  assert.strictEqual(SmsService.isConfigured(), true);
+  assert.match(log.mock.calls[0].arguments[0], /123456/);
+});
+
+test('without an SMS provider the send-code routes say so instead of pretending', async (t) => {
+  const user = new User({ name: 'Wangari', email: 'wangari@example.com', phone: '+254700000000', phoneVerified: true });
+  t.mock.method(User, 'findOne', async () => user);
+  const otp = t.mock.method(user, 'createPhoneOtp', async () => '123456');
+
+  const response = await server.request('/api/auth/phone/login/send-code', {
+    method: 'POST',
+    body: { phone: '+254700000000' }
+  });
+
+  assert.strictEqual(response.status, 503);
+  assert.strictEqual(response.json.code, 'SMS_NOT_CONFIGURED');
+  assert.strictEqual(otp.mock.callCount(), 0);
+});
@@ -0,0 +1,102 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { authenticator } = require('otplib');
+const { startServer, stubAudit, stubSettings } = require('./helpers');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const TwoFactor = require('../utils/twoFactor');
+const { generatePurposeToken } = require('../utils/tokens');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.close());
+
+const makeUser = () => {
+  const secret = TwoFactor.generateSecret();
+  const { codes, hashes } = TwoFactor.generateRecoveryCodes();
+  const user = new User({
+    name: 'Grace',
+    email: 'grace@example.com',
+    twoFactor: { enabled: true, secret, recoveryCodes: hashes }
+  });
+  return { user, secret, codes };
+};
+
+test('a current TOTP code is accepted and a wrong one is not', () => {
+  const { user, secret } = makeUser();
+
+  assert.strictEqual(TwoFactor.verifySecondFactor(user, authenticator.generate(secret)), true);
+  assert.strictEqual(TwoFactor.verifySecondFactor(user, '000000'), false);
+});
+
+test('recovery codes work once, with or without the dash and in any case', () => {
+  const { user, codes } = makeUser();
+  const code = codes[0].toUpperCase().replace('-', '');
+
+  assert.strictEqual(TwoFactor.verifySecondFactor(user, code), true);
+  assert.strictEqual(user.twoFactor.recoveryCodes.length, codes.length - 1);
+  assert.strictEqual(TwoFactor.verifySecondFactor(user, codes[0]), false);
+});
+
+test('no code is accepted while two-factor is off', () => {
+  const { user, secret } = makeUser();
+  user.twoFactor.enabled = false;
+
+  assert.strictEqual(TwoFactor.verifySecondFactor(user, authenticator.generate(secret)), false);
+});
+
+test('the 2FA step issues tokens for a valid code', async (t) => {
+  const audit = stubAudit(t);
+  stubSettings(t);
+  const { user, secret } = makeUser();
+  t.mock.method(User, 'findById', async () => user);
+  t.mock.method(user, 'save', async () => user);
+  t.mock.method(Session, 'create', async (fields) => new Session(fields));
+
+  const response = await server.request('/api/auth/login/2fa', {
+    method: 'POST',
+    body: {
+      challengeToken: generatePurposeToken('2fa-challenge', { userId: user._id }, '5m'),
+      code: authenticator.generate(secret)
+    }
+  });
+
+  assert.strictEqual(response.status, 200);
+  assert.ok(response.json.data.token);
+  assert.deepStrictEqual(audit.map(event => event.action), ['auth.login']);
+});
+
+test('a wrong 2FA code counts towards the lockout', async (t) => {
+  stubAudit(t);
+  const { user } = makeUser();
+  t.mock.method(User, 'findById', async () => user);
+  const count = t.mock.method(User, 'findOneAndUpdate', async () => ({ failedLoginAttempts: 1, lockCount: 0 }));
+
+  const response = await server.request('/api/auth/login/2fa', {
+    method: 'POST',
+    body: {
+      challengeToken: generatePurposeToken('2fa-challenge', { userId: user._id }, '5m'),
+      code: '000000'
+    }
+  });
+
+  assert.strictEqual(response.status, 401);
+  assert.strictEqual(count.mock.callCount(), 1);
+  assert.deepStrictEqual(count.mock.calls[0].arguments[1].$inc, { failedLoginAttempts: 1 });
+});
+
+test('the 2FA step refuses tokens that are not 2FA challenges', async (t) => {
+  const { user } = makeUser();
+  const findById = t.mock.method(User, 'findById', async () => user);
+
+  const response = await server.request('/api/auth/login/2fa', {
+    method: 'POST',
+    body: {
+      challengeToken: generatePurposeToken('magic-link', { userId: user._id }, '5m'),
+      code: '123456'
+    }
+  });
+
+  assert.strictEqual(response.status, 401);
+  assert.strictEqual(findById.mock.callCount(), 0);
+});
@@ -0,0 +1,206 @@
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const User = require('../models/User');
+const Project = require('../models/Project');
+const Organization = require('../models/Organization');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const Notification = require('../models/Notification');
+const { removeAvatarFiles } = require('./avatar');
+const { removeAllProjectFiles } = require('./projectFiles');
+const { createZip } = require('./zip');
+
+// Email service
+let EmailService;
+try {
+  EmailService = require('./email');
+} catch (error) {
+  EmailService = null;
+}
+
+const DELETION_GRACE_DAYS = 30;
+
+// Everything we hold about a user, for the data export
+const buildAccountExport = async (user) => {
+  const userId = user._id;
+
+  const projects = await Project.find({ owner: userId })
+    .select('-communication -files.key')
+    .lean();
+
+  // Messages and updates the user wrote, wherever they wrote them
+  const authoredProjects = await Project.find({ 'communication.author': userId })
+    .select('title communication')
+    .lean();
+  const communication = authoredProjects.flatMap(project =>
+    project.communication
+      .filter(entry => entry.author && entry.author.equals(userId))
+      .map(({ readBy, ...entry }) => ({ project: { _id: project._id, title: project.title }, ...entry }))
+  );
+
+  const payments = projects
+    .filter(project => project.budget && project.budget.actual > 0)
+    .map(project => ({ project: project._id, title: project.title, amount: project.budget.actual, status: project.status }));
+
+  let stripePayments = [];
+  if (user.stripeCustomerId) {
+    try {
+      const paymentIntents = await stripe.paymentIntents.list({ customer: user.stripeCustomerId, limit: 100 });
+      stripePayments = paymentIntents.data.map(intent => ({
+        id: intent.id,
+        amount: intent.amount / 100,
+        currency: intent.currency,
+        status: intent.status,
+        createdAt: new Date(intent.created * 1000),
+        projectId: intent.metadata && intent.metadata.projectId
+      }));
+    } catch (error) {
+      console.error('Failed to load Stripe payments for export:', error.message);
+    }
+  }
+
+  const organizations = await Organization.find({ 'members.user': userId }).select('name owner createdAt').lean();
+  const sessions = await Session.find({ user: userId }).select('userAgent ip location createdAt lastSeenAt revokedAt').lean();
+  const apiKeys = await ApiKey.find({ user: userId }).select('-keyHash').lean();
+
+  return {
+    exportedAt: new Date(),
+    profile: user.toJSON(),
+    projects,
+    communication,
+    payments: {
+      projects: payments,
+      stripe: stripePayments
+    },
+    organizations: organizations.map(org => ({ ...org, isOwner: org.owner.equals(userId) })),
+    sessions,
+    apiKeys
+  };
+};
+
+// The export as a zip archive with one JSON file per section (profile.json, projects.json, ...)
+const buildAccountArchive = async (user) => {
+  const { exportedAt, ...sections } = await buildAccountExport(user);
+  const files = Object.entries(sections).map(([section, data]) => ({
+    name: `${section}.json`,
+    data: JSON.stringify(data, null, 2)
+  }));
+  return createZip(files, exportedAt);
+};
+
+// Start the grace period: sign the user out everywhere and switch off their API keys.
+// Logging back in and restoring the account within the grace period cancels the deletion.
+const scheduleDeletion = async (user) => {
+  user.deletionScheduledFor = new Date(Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+  await user.save();
+
+  await Session.revokeAllForUser(user._id, 'account-deletion');
+  await ApiKey.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+
+  if (EmailService) {
+    try {
+      await EmailService.sendAccountDeletionScheduledEmail(user, user.deletionScheduledFor);
+    } catch (emailError) {
+      console.error('Failed to send account deletion email:', emailError);
+    }
+  }
+
+  return user.deletionScheduledFor;
+};
+
+const cancelDeletion = async (user) => {
+  user.deletionScheduledFor = undefined;
+  await user.save();
+};
+
+// Permanently remove an account. Shared data that other people rely on is kept but anonymized:
+// messages lose their author, and projects inside someone else's organization move to its owner.
+const purgeAccount = async (user) => {
+  const userId = user._id;
+
+  // Organizations the user owns are dissolved; their projects go back to their creators
+  const ownedOrganizations = await Organization.find({ owner: userId }).select('_id');
+  const ownedOrganizationIds = ownedOrganizations.map(org => org._id);
+  await Project.updateMany({ organization: { $in: ownedOrganizationIds } }, { organization: null });
+  await Organization.deleteMany({ _id: { $in: ownedOrganizationIds } });
+  await Organization.updateMany({ 'members.user': userId }, { $pull: { members: { user: userId } } });
+
+  // Hand organization projects to the organization owner, delete the rest
+  const organizationProjects = await Project.find({ owner: userId, organization: { $ne: null } })
+    .populate('organization', 'owner');
+  for (const project of organizationProjects) {
+    project.owner = project.organization.owner;
+    await project.save();
+  }
+  await removeAllProjectFiles(await Project.find({ owner: userId }).select('files'));
+  await Project.deleteMany({ owner: userId });
+
+  // Anonymize what the user wrote or read in projects that remain
+  await Project.updateMany(
+    { 'communication.author': userId },
+    { $set: { 'communication.$[message].author': null } },
+    { arrayFilters: [{ 'message.author': userId }] }
+  );
+  await Project.updateMany(
+    { 'files.uploadedBy': userId },
+    { $set: { 'files.$[file].uploadedBy': null } },
+    { arrayFilters: [{ 'file.uploadedBy': userId }] }
+  );
+  await Project.updateMany(
+    { 'communication.readBy.user': userId },
+    { $pull: { 'communication.$[].readBy': { user: userId } } }
+  );
+  await Project.updateMany({ 'members.user': userId }, { $pull: { members: { user: userId } } });
+
+  await Session.deleteMany({ user: userId });
+  await ApiKey.deleteMany({ user: userId });
+  await Notification.deleteMany({ user: userId });
+  await removeAvatarFiles(user.avatarFiles);
+
+  if (user.stripeCustomerId) {
+    try {
+      await stripe.customers.del(user.stripeCustomerId);
+    } catch (error) {
+      // Already gone on Stripe's side is fine; anything else shouldn't block the deletion
+      if (error.code !== 'resource_missing') {
+        console.error('Failed to delete Stripe customer:', error.message);
+      }
+    }
+  }
+
+  if (EmailService) {
+    try {
+      await EmailService.sendAccountDeletedEmail(user);
+    } catch (emailError) {
+      console.error('Failed to send account deleted email:', emailError);
+    }
+  }
+
+  await User.deleteOne({ _id: userId });
+};
+
+// Purge every account whose grace period has ended; returns how many were removed
+const purgeDueAccounts = async () => {
+  const users = await User.find({ deletionScheduledFor: { $lte: new Date() } });
+
+  let purged = 0;
+  for (const user of users) {
+    try {
+      await purgeAccount(user);
+      purged++;
+    } catch (error) {
+      console.error(`Failed to purge account ${user._id}:`, error);
+    }
+  }
+
+  return purged;
+};
+
+module.exports = {
+  DELETION_GRACE_DAYS,
+  buildAccountExport,
+  buildAccountArchive,
+  scheduleDeletion,
+  cancelDeletion,
+  purgeAccount,
+  purgeDueAccounts
+};
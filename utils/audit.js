@@ -0,0 +1,79 @@
+const AuditEvent = require('../models/AuditEvent');
+
+// Actions shown to users in their "recent security activity" view
+const SECURITY_ACTIONS = [
+  'auth.register',
+  'auth.login',
+  'auth.login_failed',
+  'auth.account_locked',
+  'auth.account_unlocked',
+  'auth.password_change_failed',
+  'auth.password_changed',
+  'auth.password_reset',
+  'auth.new_device_login',
+  'auth.login_disowned',
+  'auth.two_factor_enabled',
+  'auth.two_factor_disabled',
+  'auth.recovery_codes_regenerated',
+  'auth.session_revoked',
+  'auth.sessions_revoked',
+  'auth.api_key_created',
+  'auth.api_key_revoked',
+  'auth.email_change_requested',
+  'auth.email_changed',
+  'auth.phone_verified',
+  'auth.identity_linked',
+  'auth.identity_unlinked',
+  'auth.account_deletion_scheduled',
+  'auth.account_restored',
+  'admin.user_role_changed',
+  'admin.user_unlocked',
+  'admin.impersonation_started'
+];
+
+// Field-level diff of two plain objects: { field: { from, to } } for every field that changed
+const diff = (before = {}, after = {}) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  fields.forEach(field => {
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from: from === undefined ? null : from, to: to === undefined ? null : to };
+    }
+  });
+
+  return Object.keys(changes).length ? changes : undefined;
+};
+
+// Append an audit event for the current request. Auditing must never break the action being
+// audited, so failures are logged rather than thrown.
+//   actor    - defaults to the authenticated user (req.user); pass it for unauthenticated routes
+//   target   - { type, id, label }
+//   before/after - snapshots of the changed fields, stored as a diff
+const recordAudit = async (req, action, { actor, target, before, after, metadata } = {}) => {
+  try {
+    const actingUser = actor !== undefined ? actor : req.user;
+
+    await AuditEvent.create({
+      action,
+      actor: actingUser ? actingUser._id : null,
+      actorEmail: actingUser ? actingUser.email : (metadata && metadata.email),
+      impersonator: req.impersonator ? req.impersonator._id : undefined,
+      target,
+      changes: (before || after) ? diff(before, after) : undefined,
+      metadata,
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+  } catch (error) {
+    console.error(`Audit event '${action}' could not be recorded:`, error);
+  }
+};
+
+module.exports = {
+  SECURITY_ACTIONS,
+  diff,
+  recordAudit
+};
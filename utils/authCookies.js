@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const cookie = require('cookie');
+const { ACCESS_TOKEN_TTL_MS, REFRESH_TOKEN_TTL_MS } = require('./tokens');
+
+// Browser sessions can keep their tokens in HttpOnly cookies instead of localStorage, so
+// script injected into the page can't read them. The CSRF token is deliberately readable:
+// the page copies it into the X-CSRF-Token header (double-submit), which another site can't do.
+const ACCESS_COOKIE = 'nx_access';
+const REFRESH_COOKIE = 'nx_refresh';
+const CSRF_COOKIE = 'nx_csrf';
+const OAUTH_MODE_COOKIE = 'nx_oauth_mode';
+const OAUTH_LINK_COOKIE = 'nx_oauth_link';
+const CSRF_HEADER = 'X-CSRF-Token';
+const AUTH_MODE_HEADER = 'X-Auth-Mode';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const baseOptions = () => ({
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict'
+});
+
+const getCookie = (req, name) => {
+  if (!req.cookies) {
+    req.cookies = cookie.parse(req.headers.cookie || '');
+  }
+  return req.cookies[name];
+};
+
+// Clients opt in per request; API clients that don't ask keep getting tokens in the body
+const wantsCookieAuth = (req) => req.get(AUTH_MODE_HEADER) === 'cookie';
+
+// Set the session cookies. Without a refresh token (impersonation) only the access cookie
+// changes, so the caller's own refresh cookie can restore their session afterwards.
+const setAuthCookies = (res, { token, refreshToken }, accessTtlMs = ACCESS_TOKEN_TTL_MS) => {
+  res.cookie(ACCESS_COOKIE, token, { ...baseOptions(), httpOnly: true, path: '/api', maxAge: accessTtlMs });
+
+  if (refreshToken) {
+    res.cookie(REFRESH_COOKIE, refreshToken, {
+      ...baseOptions(),
+      httpOnly: true,
+      path: '/api/auth',
+      maxAge: REFRESH_TOKEN_TTL_MS
+    });
+    res.cookie(CSRF_COOKIE, crypto.randomBytes(32).toString('hex'), {
+      ...baseOptions(),
+      path: '/',
+      maxAge: REFRESH_TOKEN_TTL_MS
+    });
+  }
+};
+
+const clearAuthCookies = (res) => {
+  res.clearCookie(ACCESS_COOKIE, { ...baseOptions(), path: '/api' });
+  res.clearCookie(REFRESH_COOKIE, { ...baseOptions(), path: '/api/auth' });
+  res.clearCookie(CSRF_COOKIE, { ...baseOptions(), path: '/' });
+};
+
+// Hand tokens to the client the way it asked for them. Returns the fields for the
+// response body: the tokens themselves, or nothing when they went into cookies.
+const deliverTokens = (req, res, tokens, accessTtlMs) => {
+  if (wantsCookieAuth(req)) {
+    setAuthCookies(res, tokens, accessTtlMs);
+    return { authMode: 'cookie' };
+  }
+  return tokens;
+};
+
+// Double-submit check: the header must match the cookie. Safe methods don't change state.
+const hasValidCsrfToken = (req) => {
+  if (SAFE_METHODS.includes(req.method)) return true;
+
+  const expected = Buffer.from(getCookie(req, CSRF_COOKIE) || '');
+  const provided = Buffer.from(req.get(CSRF_HEADER) || '');
+  if (expected.length === 0 || expected.length !== provided.length) return false;
+
+  return crypto.timingSafeEqual(expected, provided);
+};
+
+module.exports = {
+  ACCESS_COOKIE,
+  REFRESH_COOKIE,
+  CSRF_COOKIE,
+  OAUTH_MODE_COOKIE,
+  OAUTH_LINK_COOKIE,
+  getCookie,
+  wantsCookieAuth,
+  setAuthCookies,
+  clearAuthCookies,
+  deliverTokens,
+  hasValidCsrfToken
+};
@@ -0,0 +1,87 @@
+const StorageService = require('./storage');
+
+// Image processing needs the native sharp package; without it uploads are turned off
+// and everyone gets the generated initials avatar.
+let sharp;
+try {
+  sharp = require('sharp');
+} catch (error) {
+  console.log('⚠️  sharp is not installed. Avatar uploads are disabled.');
+  sharp = null;
+}
+
+const AVATAR_SIZES = [64, 128, 256];
+const MAX_AVATAR_BYTES = 5 * 1024 * 1024; // 5MB
+const AVATAR_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+const MAX_AVATAR_PIXELS = 40 * 1000 * 1000; // refuse decompression bombs
+
+const COLORS = ['#8b5cf6', '#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#6366f1', '#ec4899', '#14b8a6'];
+
+const getInitials = (name) => {
+  const parts = (name || '').trim().split(/\s+/).filter(Boolean);
+  if (parts.length === 0) return 'U';
+  if (parts.length >= 2) {
+    return (parts[0][0] + parts[parts.length - 1][0]).toUpperCase();
+  }
+  return parts[0].substring(0, 2).toUpperCase();
+};
+
+const getColor = (name) => {
+  let hash = 0;
+  for (let i = 0; i < (name || '').length; i++) {
+    hash = name.charCodeAt(i) + ((hash << 5) - hash);
+  }
+  return COLORS[Math.abs(hash) % COLORS.length];
+};
+
+const escapeXml = (value) => value.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+// Square SVG with the user's initials on a colour picked from their name
+const renderInitialsSvg = (name, size = 128) => {
+  return `<svg width="${size}" height="${size}" viewBox="0 0 ${size} ${size}" xmlns="http://www.w3.org/2000/svg">
+  <rect width="${size}" height="${size}" fill="${getColor(name)}"/>
+  <text x="50%" y="50%" text-anchor="middle" dy=".35em" fill="white" font-size="${size * 0.4}" font-weight="600" font-family="system-ui, -apple-system, sans-serif">${escapeXml(getInitials(name))}</text>
+</svg>`;
+};
+
+const isProcessingAvailable = () => Boolean(sharp);
+
+// Centre-crop the upload to a square at each size and store it as WebP.
+// Decoding also proves the file really is an image, whatever its declared type.
+// Returns [{ size, key }].
+const storeAvatar = async (userId, buffer) => {
+  const image = sharp(buffer, { limitInputPixels: MAX_AVATAR_PIXELS }).rotate();
+  await image.metadata();
+
+  const version = Date.now().toString(36);
+  return Promise.all(AVATAR_SIZES.map(async (size) => {
+    const resized = await image
+      .clone()
+      .resize(size, size, { fit: 'cover', position: 'attention' })
+      .webp({ quality: 85 })
+      .toBuffer();
+
+    const key = `avatars/${userId}/${version}-${size}.webp`;
+    await StorageService.save(key, resized, { contentType: 'image/webp' });
+    return { size, key };
+  }));
+};
+
+const removeAvatarFiles = (files = []) => StorageService.removeAll(files.map(file => file.key));
+
+// The stored file closest to the requested size, rounding up so it never has to be upscaled
+const pickAvatarFile = (files, size) => {
+  const sorted = [...files].sort((a, b) => a.size - b.size);
+  return sorted.find(file => file.size >= size) || sorted[sorted.length - 1];
+};
+
+module.exports = {
+  AVATAR_SIZES,
+  MAX_AVATAR_BYTES,
+  AVATAR_TYPES,
+  renderInitialsSvg,
+  isProcessingAvailable,
+  storeAvatar,
+  removeAvatarFiles,
+  pickAvatarFile
+};
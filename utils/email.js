@@ -17,6 +17,9 @@ if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
   });
 }
 
+// Notification text can come from other users, so escape it before putting it in HTML
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
 // Email templates
 const EmailService = {
   // Send verification email
@@ -194,6 +197,611 @@ const EmailService = {
       console.error('Error sending password reset email:', error);
       throw error;
     }
+  },
+
+  // Send account locked email
+  async sendAccountLockedEmail(user, token, lockUntil) {
+    if (!transporter) {
+      console.warn('Email not configured - account locked email not sent');
+      return null;
+    }
+    
+    const unlockUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/unlock-account?token=${token}`;
+    
+    const mailOptions = {
+      from: `"Nixicon" <${process.env.EMAIL_USER}>`,
+      to: user.email,
+      subject: 'Your Nixicon Account Has Been Locked',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #7A1D36, #3B0E1C); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .button { display: inline-block; padding: 12px 30px; background: #7A1D36; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>🔒 Account Temporarily Locked</h1>
+            </div>
+            <div class="content">
+              <h2>Hi ${user.name}!</h2>
+              <p>We locked your account after several failed sign-in attempts. It will unlock automatically at ${lockUntil.toUTCString()}.</p>
+              <p>If this was you, you can unlock it right away:</p>
+              <div style="text-align: center;">
+                <a href="${unlockUrl}" class="button">Unlock My Account</a>
+              </div>
+              <p style="margin-top: 30px; color: #666; font-size: 14px;">
+                If this wasn't you, someone may be trying to guess your password. Consider resetting it and turning on two-factor authentication.
+              </p>
+              <p style="margin-top: 20px; color: #666; font-size: 14px;">This link will expire in 24 hours.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    try {
+      await transporter.sendMail(mailOptions);
+      console.log('Account locked email sent to:', user.email);
+    } catch (error) {
+      console.error('Error sending account locked email:', error);
+      throw error;
+    }
+  },
+
+  // Send organization invitation email
+  async sendOrganizationInviteEmail(email, organization, inviter, token) {
+    if (!transporter) {
+      console.warn('Email not configured - organization invite email not sent');
+      return null;
+    }
+    
+    const inviteUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/join-organization?token=${token}`;
+    
+    const mailOptions = {
+      from: `"Nixicon" <${process.env.EMAIL_USER}>`,
+      to: email,
+      subject: `${inviter.name} invited you to join ${organization.name} on Nixicon`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #7A1D36, #3B0E1C); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .button { display: inline-block; padding: 12px 30px; background: #7A1D36; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>You're Invited!</h1>
+            </div>
+            <div class="content">
+              <h2>Join ${organization.name}</h2>
+              <p>${inviter.name} has invited you to collaborate on projects in the <strong>${organization.name}</strong> workspace.</p>
+              <div style="text-align: center;">
+                <a href="${inviteUrl}" class="button">Accept Invitation</a>
+              </div>
+              <p>Don't have an account yet? Sign up with this email address and the invitation will be applied automatically.</p>
+              <p style="margin-top: 30px; color: #666; font-size: 14px;">This invitation will expire in 7 days.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    try {
+      await transporter.sendMail(mailOptions);
+      console.log('Organization invite email sent to:', email);
+    } catch (error) {
+      console.error('Error sending organization invite email:', error);
+      throw error;
+    }
+  },
+
+  // Send project invitation email
+  async sendProjectInviteEmail(email, project, inviter, token) {
+    if (!transporter) {
+      console.warn('Email not configured - project invite email not sent');
+      return null;
+    }
+    
+    const inviteUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/join-project?token=${token}`;
+    
+    const mailOptions = {
+      from: `"Nixicon" <${process.env.EMAIL_USER}>`,
+      to: email,
+      subject: `${inviter.name} invited you to the ${project.title} project on Nixicon`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #7A1D36, #3B0E1C); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .button { display: inline-block; padding: 12px 30px; background: #7A1D36; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>You're Invited!</h1>
+            </div>
+            <div class="content">
+              <h2>Join ${project.title}</h2>
+              <p>${inviter.name} has invited you to work on the <strong>${project.title}</strong> project.</p>
+              <div style="text-align: center;">
+                <a href="${inviteUrl}" class="button">Accept Invitation</a>
+              </div>
+              <p>Don't have an account yet? Sign up with this email address, then open this link again to join.</p>
+              <p style="margin-top: 30px; color: #666; font-size: 14px;">This invitation will expire in 7 days. If you weren't expecting it, you can ignore this email.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    try {
+      await transporter.sendMail(mailOptions);
+      console.log('Project invite email sent to:', email);
+    } catch (error) {
+      console.error('Error sending project invite email:', error);
+      throw error;
+    }
+  },
+
+  // Send account deletion scheduled email
+  async sendAccountDeletionScheduledEmail(user, scheduledFor) {
+    if (!transporter) {
+      console.warn('Email not configured - account deletion email not sent');
+      return null;
+    }
+    
+    const mailOptions = {
+      from: `"Nixicon" <${process.env.EMAIL_USER}>`,
+      to: user.email,
+      subject: 'Your Nixicon Account Will Be Deleted',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #7A1D36, #3B0E1C); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .button { display: inline-block; padding: 12px 30px; background: #7A1D36; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Account Deletion Requested</h1>
+            </div>
+            <div class="content">
+              <h2>Hi ${user.name},</h2>
+              <p>We received your request to delete your Nixicon account. It will be permanently deleted on <strong>${scheduledFor.toUTCString()}</strong>.</p>
+              <p>After that your profile, projects and payment details are removed, and messages you wrote in shared projects are anonymized.</p>
+              <p>Changed your mind? Log in before then and choose to keep your account.</p>
+              <div style="text-align: center;">
+                <a href="${process.env.FRONTEND_URL || 'http://localhost:3000'}" class="button">Keep My Account</a>
+              </div>
+              <p style="margin-top: 30px; color: #666; font-size: 14px;">
+                If you didn't request this, log in and keep your account, then change your password.
+              </p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    try {
+      await transporter.sendMail(mailOptions);
+      console.log('Account deletion email sent to:', user.email);
+    } catch (error) {
+      console.error('Error sending account deletion email:', error);
+      throw error;
+    }
+  },
+
+  // Send account deleted email
+  async sendAccountDeletedEmail(user) {
+    if (!transporter) {
+      console.warn('Email not configured - account deleted email not sent');
+      return null;
+    }
+    
+    const mailOptions = {
+      from: `"Nixicon" <${process.env.EMAIL_USER}>`,
+      to: user.email,
+      subject: 'Your Nixicon Account Has Been Deleted',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #7A1D36, #3B0E1C); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Account Deleted</h1>
+            </div>
+            <div class="content">
+              <h2>Goodbye, ${user.name}</h2>
+              <p>Your Nixicon account and its data have now been permanently deleted. This is the last email you'll receive from us.</p>
+              <p>Thank you for building with Nixicon. You're always welcome back.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    try {
+      await transporter.sendMail(mailOptions);
+      console.log('Account deleted email sent to:', user.email);
+    } catch (error) {
+      console.error('Error sending account deleted email:', error);
+      throw error;
+    }
+  },
+
+  // Send confirmation link for an email change to the new address
+  async sendEmailChangeVerificationEmail(user, token) {
+    if (!transporter) {
+      console.warn('Email not configured - email change confirmation not sent');
+      return null;
+    }
+    
+    const verificationUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify-email?token=${token}`;
+    
+    const mailOptions = {
+      from: `"Nixicon" <${process.env.EMAIL_USER}>`,
+      to: user.pendingEmail,
+      subject: 'Confirm Your New Nixicon Email Address',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #7A1D36, #3B0E1C); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .button { display: inline-block; padding: 12px 30px; background: #7A1D36; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Confirm Your New Email</h1>
+            </div>
+            <div class="content">
+              <h2>Hi ${user.name}!</h2>
+              <p>You asked to change the email address on your Nixicon account to this one. Click below to confirm:</p>
+              <div style="text-align: center;">
+                <a href="${verificationUrl}" class="button">Confirm Email Change</a>
+              </div>
+              <p style="margin-top: 30px; color: #666; font-size: 14px;">
+                If you didn't request this, you can safely ignore this email and nothing will change.
+              </p>
+              <p style="margin-top: 20px; color: #666; font-size: 14px;">This link will expire in 24 hours.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    try {
+      await transporter.sendMail(mailOptions);
+      console.log('Email change confirmation sent to:', user.pendingEmail);
+    } catch (error) {
+      console.error('Error sending email change confirmation:', error);
+      throw error;
+    }
+  },
+
+  // Let the current address know an email change was requested
+  async sendEmailChangeNoticeEmail(user) {
+    if (!transporter) {
+      console.warn('Email not configured - email change notice not sent');
+      return null;
+    }
+    
+    const mailOptions = {
+      from: `"Nixicon" <${process.env.EMAIL_USER}>`,
+      to: user.email,
+      subject: 'Your Nixicon Email Address Is Being Changed',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #7A1D36, #3B0E1C); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .button { display: inline-block; padding: 12px 30px; background: #7A1D36; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>🔐 Security Notice</h1>
+            </div>
+            <div class="content">
+              <h2>Hi ${user.name},</h2>
+              <p>Someone asked to change the email address on your Nixicon account to <strong>${user.pendingEmail}</strong>. The change only happens once that address is confirmed.</p>
+              <p>If this was you, there's nothing else to do.</p>
+              <p>If it wasn't, reset your password now. This cancels the pending change and signs out every device.</p>
+              <div style="text-align: center;">
+                <a href="${process.env.FRONTEND_URL || 'http://localhost:3000'}" class="button">Go to Nixicon</a>
+              </div>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    try {
+      await transporter.sendMail(mailOptions);
+      console.log('Email change notice sent to:', user.email);
+    } catch (error) {
+      console.error('Error sending email change notice:', error);
+      throw error;
+    }
+  },
+
+  // Send passwordless sign-in link
+  async sendMagicLinkEmail(user, token) {
+    if (!transporter) {
+      console.warn('Email not configured - magic link email not sent');
+      return null;
+    }
+    
+    const loginUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/magic-login?token=${token}`;
+    
+    const mailOptions = {
+      from: `"Nixicon" <${process.env.EMAIL_USER}>`,
+      to: user.email,
+      subject: 'Your Nixicon Sign-In Link',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #7A1D36, #3B0E1C); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .button { display: inline-block; padding: 12px 30px; background: #7A1D36; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>✨ Sign In to Nixicon</h1>
+            </div>
+            <div class="content">
+              <h2>Hi ${user.name}!</h2>
+              <p>Click below to sign in. Open the link on the same device and browser you requested it from.</p>
+              <div style="text-align: center;">
+                <a href="${loginUrl}" class="button">Sign In</a>
+              </div>
+              <p style="margin-top: 30px; color: #666; font-size: 14px;">
+                If you didn't ask for this link, you can safely ignore this email.
+              </p>
+              <p style="margin-top: 20px; color: #666; font-size: 14px;">This link can be used once and expires in 15 minutes.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    try {
+      await transporter.sendMail(mailOptions);
+      console.log('Magic link email sent to:', user.email);
+    } catch (error) {
+      console.error('Error sending magic link email:', error);
+      throw error;
+    }
+  },
+
+  // Send developer onboarding invitation
+  async sendDeveloperInviteEmail(invite, inviter, token) {
+    if (!transporter) {
+      console.warn('Email not configured - developer invite email not sent');
+      return null;
+    }
+    
+    const inviteUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/developer-invite?token=${token}`;
+    
+    const mailOptions = {
+      from: `"Nixicon" <${process.env.EMAIL_USER}>`,
+      to: invite.email,
+      subject: `${inviter.name} invited you to join Nixicon as a developer`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #7A1D36, #3B0E1C); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .button { display: inline-block; padding: 12px 30px; background: #7A1D36; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Join the Nixicon Team</h1>
+            </div>
+            <div class="content">
+              <h2>Hi ${invite.name},</h2>
+              <p>${inviter.name} has invited you to join Nixicon as a developer. Choose a password to activate your account and start working on client projects.</p>
+              <div style="text-align: center;">
+                <a href="${inviteUrl}" class="button">Set Up My Account</a>
+              </div>
+              <p style="margin-top: 30px; color: #666; font-size: 14px;">This invitation expires on ${invite.expiresAt.toDateString()}. If you weren't expecting it, you can ignore this email.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    try {
+      await transporter.sendMail(mailOptions);
+      console.log('Developer invite email sent to:', invite.email);
+    } catch (error) {
+      console.error('Error sending developer invite email:', error);
+      throw error;
+    }
+  },
+
+  // Sent when an account signs in from a device or country it hasn't used before
+  async sendNewDeviceLoginEmail(user, login, token) {
+    if (!transporter) {
+      console.warn('Email not configured - new device login email not sent');
+      return null;
+    }
+    
+    const notMeUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/not-me?token=${token}`;
+    const where = [login.device, login.country, login.ip].filter(Boolean).join(' · ');
+    
+    const mailOptions = {
+      from: `"Nixicon" <${process.env.EMAIL_USER}>`,
+      to: user.email,
+      subject: login.newCountry ? 'Sign-in to Nixicon from a new country' : 'New device signed in to Nixicon',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #7A1D36, #3B0E1C); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .button { display: inline-block; padding: 12px 30px; background: #7A1D36; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>🔔 New Sign-in</h1>
+            </div>
+            <div class="content">
+              <h2>Hi ${user.name}!</h2>
+              <p>Your account was just signed in to from ${login.newCountry ? 'a country' : 'a device'} we haven't seen before:</p>
+              <p><strong>${where}</strong><br>${login.at.toUTCString()}</p>
+              <p>If this was you, there's nothing to do.</p>
+              <p>If it wasn't, we'll sign out every device and ask you to choose a new password:</p>
+              <div style="text-align: center;">
+                <a href="${notMeUrl}" class="button">This Wasn't Me</a>
+              </div>
+              <p style="margin-top: 20px; color: #666; font-size: 14px;">This link will expire in 7 days.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    try {
+      await transporter.sendMail(mailOptions);
+      console.log('New device login email sent to:', user.email);
+    } catch (error) {
+      console.error('Error sending new device login email:', error);
+      throw error;
+    }
+  },
+
+  // Notification for one of the preference-center events, with a one-click unsubscribe
+  // link for that category (RFC 8058 headers, so mail clients can show their own button)
+  async sendNotificationEmail(user, message, { category, unsubscribeToken }) {
+    if (!transporter) {
+      console.warn('Email not configured - notification email not sent');
+      return null;
+    }
+    
+    const appUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const unsubscribeUrl = `${appUrl}/unsubscribe?token=${unsubscribeToken}`;
+    const oneClickUrl = `${appUrl}/api/notifications/unsubscribe?token=${unsubscribeToken}`;
+    
+    const mailOptions = {
+      from: `"Nixicon" <${process.env.EMAIL_USER}>`,
+      to: user.email,
+      subject: message.subject,
+      headers: {
+        'List-Unsubscribe': `<${oneClickUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      },
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #7A1D36, #3B0E1C); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .button { display: inline-block; padding: 12px 30px; background: #7A1D36; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>${escapeHtml(message.subject)}</h1>
+            </div>
+            <div class="content">
+              <h2>Hi ${escapeHtml(user.name)}!</h2>
+              <p style="white-space: pre-line;">${escapeHtml(message.text || '')}</p>
+              <div style="text-align: center;">
+                <a href="${appUrl}" class="button">Open Nixicon</a>
+              </div>
+              <p style="margin-top: 30px; color: #666; font-size: 14px;">
+                You're receiving this because ${escapeHtml(category.toLowerCase())} are turned on for your account.
+                <a href="${unsubscribeUrl}">Unsubscribe from ${escapeHtml(category.toLowerCase())}</a>
+                or change your notification settings in Nixicon.
+              </p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    try {
+      await transporter.sendMail(mailOptions);
+      console.log('Notification email sent to:', user.email);
+    } catch (error) {
+      console.error('Error sending notification email:', error);
+      throw error;
+    }
   }
 };
 
@@ -0,0 +1,73 @@
+const path = require('path');
+
+// Identify uploads from their content rather than the type the browser declared, so a
+// script renamed to .png can't be stored as an image.
+
+// Magic numbers at the start of the file
+const SIGNATURES = [
+  { type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { type: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  { type: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { type: 'application/zip', bytes: [0x50, 0x4b, 0x05, 0x06] } // empty archive
+];
+
+// Office documents are zip archives; only the extension tells them apart
+const ZIP_BASED_TYPES = {
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+
+// Plain-text formats have no signature either
+const TEXT_TYPES = {
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.csv': 'text/csv',
+  '.json': 'application/json'
+};
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+
+// UTF-8 without NUL bytes, judged on the first 8KB
+const isText = (buffer) => {
+  const sample = buffer.subarray(0, 8192);
+  if (sample.includes(0)) return false;
+  try {
+    // `stream` lets a multi-byte character cut off at the end of the sample through
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: sample.length < buffer.length });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// The detected MIME type, or null when the content isn't a recognised format
+const detectFileType = (buffer, filename = '') => {
+  const extension = path.extname(filename).toLowerCase();
+
+  // RIFF....WEBP
+  if (startsWith(buffer, [0x52, 0x49, 0x46, 0x46]) && startsWith(buffer, [0x57, 0x45, 0x42, 0x50], 8)) {
+    return 'image/webp';
+  }
+
+  const match = SIGNATURES.find(signature => startsWith(buffer, signature.bytes));
+  if (match) {
+    return match.type === 'application/zip' ? ZIP_BASED_TYPES[extension] || match.type : match.type;
+  }
+
+  if (TEXT_TYPES[extension] && isText(buffer)) {
+    return TEXT_TYPES[extension];
+  }
+
+  return null;
+};
+
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+module.exports = {
+  IMAGE_TYPES,
+  detectFileType
+};
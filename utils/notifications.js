@@ -0,0 +1,223 @@
+const User = require('../models/User');
+const Project = require('../models/Project');
+const Notification = require('../models/Notification');
+const SmsService = require('./sms');
+const { generatePurposeToken } = require('./tokens');
+const { NOTIFICATION_EVENTS } = require('../config/notifications');
+
+// Email service
+let EmailService;
+try {
+  EmailService = require('./email');
+} catch (error) {
+  EmailService = null;
+}
+
+// Every user-facing notification goes through notify(), which applies the recipient's
+// preferences: the account-wide channel switches, the per-event channel choice and quiet
+// hours. Notifications that land in quiet hours are queued and sent when they end.
+//
+// A message is { subject, text, data }: subject is the one-line summary (SMS, push title),
+// text the longer body, and data any extra fields for push clients.
+
+const UNSUBSCRIBE_TOKEN_TTL = '365d';
+const MILESTONE_REMINDER_WINDOW_MS = 24 * 60 * 60 * 1000; // remind a day ahead
+const DEFERRED_BATCH_SIZE = 100;
+
+// Socket.io server for push, set by server.js where one runs
+let io = null;
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Minutes past midnight in the given time zone, falling back to UTC for unknown zones
+const localMinutes = (date, timeZone) => {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).formatToParts(date);
+  } catch (error) {
+    return date.getUTCHours() * 60 + date.getUTCMinutes();
+  }
+  const value = (type) => Number(parts.find(part => part.type === type).value);
+  return value('hour') * 60 + value('minute');
+};
+
+// When `now` falls inside the quiet hours, the moment they end; otherwise null.
+// Windows may wrap past midnight (22:00-08:00).
+const quietHoursEnd = (quietHours, timeZone, now = new Date()) => {
+  if (!quietHours.enabled) return null;
+
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  if (start === end) return null;
+
+  const current = localMinutes(now, timeZone);
+  const inside = start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+  if (!inside) return null;
+
+  const resumeAt = new Date(now.getTime() + ((end - current + 1440) % 1440) * 60 * 1000);
+  resumeAt.setSeconds(0, 0);
+  return resumeAt;
+};
+
+// The chosen channels the user can actually receive right now
+const availableChannels = (user, channels) => channels.filter(channel => {
+  if (!user.preferences?.notifications?.[channel]) return false;
+  if (channel === 'sms') return Boolean(user.phone && user.phoneVerified);
+  if (channel === 'email') return Boolean(user.email);
+  return true;
+});
+
+const senders = {
+  async email(user, event, message) {
+    if (!EmailService) return;
+    await EmailService.sendNotificationEmail(user, message, {
+      category: NOTIFICATION_EVENTS[event].label,
+      unsubscribeToken: generatePurposeToken('unsubscribe', { userId: user._id.toString(), event }, UNSUBSCRIBE_TOKEN_TTL)
+    });
+  },
+
+  async push(user, event, message) {
+    if (!io) return;
+    io.to(`user-${user._id}`).emit('notification', {
+      event,
+      subject: message.subject,
+      text: message.text,
+      data: message.data,
+      sentAt: new Date()
+    });
+  },
+
+  async sms(user, event, message) {
+    await SmsService.send(user.phone, `Nixicon: ${message.subject} ${frontendUrl()}`);
+  }
+};
+
+// Send on each channel; one failing channel doesn't stop the others
+const deliver = async (user, event, message, channels) => {
+  await Promise.all(channels.map(channel => senders[channel](user, event, message).catch(error => {
+    console.error(`Failed to send ${event} ${channel} notification to ${user._id}:`, error);
+  })));
+};
+
+const NotificationService = {
+  setSocketServer(server) {
+    io = server;
+  },
+
+  // Add or replace a channel sender, e.g. a mobile push gateway for 'push'
+  registerSender(channel, sender) {
+    senders[channel] = sender;
+  },
+
+  // Notify one user (a document or an id). Never throws: a notification failing must not
+  // fail the action that triggered it. Returns { channels, deferredUntil } or null.
+  async notify(userOrId, event, message) {
+    try {
+      if (!NOTIFICATION_EVENTS[event]) {
+        throw new Error(`Unknown notification event: ${event}`);
+      }
+
+      const user = userOrId instanceof User ? userOrId : await User.findById(userOrId);
+      if (!user || user.deletionScheduledFor) return null;
+
+      const settings = user.getNotificationSettings(event);
+      const channels = availableChannels(user, settings.channels);
+      if (channels.length === 0) return { channels };
+
+      const deferredUntil = quietHoursEnd(settings.quietHours, user.preferences.timezone);
+      if (deferredUntil) {
+        await Notification.create({ user: user._id, event, channels, message, deliverAfter: deferredUntil });
+        return { channels, deferredUntil };
+      }
+
+      await deliver(user, event, message, channels);
+      return { channels };
+    } catch (error) {
+      console.error(`Notification ${event} failed:`, error);
+      return null;
+    }
+  },
+
+  // Notify a project's members (owner included), except whoever caused the event
+  async notifyProjectParticipants(project, event, message, { except } = {}) {
+    const recipients = [project.owner, ...project.members.map(member => member.user)]
+      .filter(Boolean)
+      .map(id => (id._id || id).toString())
+      .filter((id, index, ids) => ids.indexOf(id) === index && id !== (except && except.toString()));
+
+    await Promise.all(recipients.map(id => this.notify(id, event, message)));
+  },
+
+  // Send queued notifications whose quiet hours have ended. Preferences are checked again,
+  // so unsubscribing in the meantime still applies. Returns the number processed.
+  async deliverDeferred() {
+    const due = await Notification.find({ deliveredAt: null, deliverAfter: { $lte: new Date() } })
+      .sort({ deliverAfter: 1 })
+      .limit(DEFERRED_BATCH_SIZE)
+      .populate('user');
+
+    for (const notification of due) {
+      const user = notification.user;
+      if (user && !user.deletionScheduledFor) {
+        const settings = user.getNotificationSettings(notification.event);
+        const channels = availableChannels(user, settings.channels)
+          .filter(channel => notification.channels.includes(channel));
+        await deliver(user, notification.event, notification.message, channels);
+      }
+      notification.deliveredAt = new Date();
+      await notification.save();
+    }
+
+    return due.length;
+  },
+
+  // Remind project participants about open milestones due within the next day, once each.
+  // Returns the number of reminders sent.
+  async sendMilestoneReminders() {
+    const now = new Date();
+    const dueBy = new Date(now.getTime() + MILESTONE_REMINDER_WINDOW_MS);
+
+    const projects = await Project.find({
+      status: { $nin: ['deployed', 'cancelled'] },
+      'timeline.milestones': {
+        $elemMatch: { completed: false, reminderSentAt: null, dueDate: { $gte: now, $lte: dueBy } }
+      }
+    });
+
+    let sent = 0;
+    for (const project of projects) {
+      const milestones = project.timeline.milestones.filter(milestone =>
+        !milestone.completed && !milestone.reminderSentAt && milestone.dueDate >= now && milestone.dueDate <= dueBy
+      );
+
+      for (const milestone of milestones) {
+        await this.notifyProjectParticipants(project, 'milestone-due', {
+          subject: `Milestone "${milestone.name}" is due soon`,
+          text: `The milestone "${milestone.name}" on ${project.title} is due ${milestone.dueDate.toUTCString()}.`,
+          data: { projectId: project._id, milestoneId: milestone._id, dueDate: milestone.dueDate }
+        });
+        milestone.reminderSentAt = now;
+        sent++;
+      }
+      await project.save();
+    }
+
+    return sent;
+  },
+
+  // The scheduled job: deferred deliveries plus milestone reminders
+  async runScheduled() {
+    const delivered = await this.deliverDeferred();
+    const reminders = await this.sendMilestoneReminders();
+    return { delivered, reminders };
+  }
+};
+
+module.exports = NotificationService;
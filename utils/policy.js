@@ -0,0 +1,108 @@
+const Organization = require('../models/Organization');
+const Setting = require('../models/Setting');
+const {
+  ACTIONS,
+  SUPERUSER_ROLES,
+  DEFAULT_ROLE_PERMISSIONS,
+  ALL_PERMISSIONS,
+  API_KEY_SCOPES
+} = require('../config/permissions');
+
+// Matches no documents; used when a user has no access at all
+const NO_ACCESS = { _id: null };
+
+// Role -> permissions, with admin overrides (Setting 'rolePermissions') taking precedence over the defaults
+const getRolePermissions = async (role) => {
+  if (SUPERUSER_ROLES.includes(role)) return ALL_PERMISSIONS;
+
+  const overrides = await Setting.getValue('rolePermissions', {});
+  return overrides[role] || DEFAULT_ROLE_PERMISSIONS[role] || [];
+};
+
+// Effective permissions for a request's user. When the request was authenticated with an
+// API key (set by the auth middleware on `user.$locals.apiKey`), the role's permissions are
+// narrowed to the actions the key's scopes allow.
+const getUserPermissions = async (user) => {
+  const permissions = await getRolePermissions(user.role);
+
+  const apiKey = user.$locals && user.$locals.apiKey;
+  if (!apiKey) return permissions;
+
+  const scopedActions = new Set(apiKey.scopes.flatMap(scope => API_KEY_SCOPES[scope] || []));
+  return permissions.filter(permission => scopedActions.has(permission.replace(/:any$/, '')));
+};
+
+// Whether the user's permissions include a permission string exactly (e.g. 'project:read:any')
+const hasPermission = async (user, permission) => {
+  const permissions = await getUserPermissions(user);
+  return permissions.includes(permission);
+};
+
+// Check whether `user` is related to `resource` in one of the ways the action allows
+const isRelated = async (user, relations, resource) => {
+  const refId = (ref) => ref && (ref._id || ref).toString();
+
+  if (relations.memberRoles && resource.hasRole(user._id, relations.memberRoles)) return true;
+
+  if (relations.orgRoles && resource.organization) {
+    const organization = await Organization.findById(refId(resource.organization));
+    if (organization && organization.hasRole(user._id, relations.orgRoles)) return true;
+  }
+
+  return false;
+};
+
+// Policy check: can `user` perform `action`, optionally on a specific `resource`?
+const can = async (user, action, resource = null) => {
+  const definition = ACTIONS[action];
+  if (!definition) {
+    throw new Error(`Unknown permission action: ${action}`);
+  }
+
+  const permissions = await getUserPermissions(user);
+
+  if (!definition.resource || !resource) {
+    return permissions.includes(action) || permissions.includes(`${action}:any`);
+  }
+
+  if (permissions.includes(`${action}:any`)) return true;
+  if (!permissions.includes(action)) return false;
+
+  return isRelated(user, definition.relations, resource);
+};
+
+// Query clause selecting the resources `user` may perform `action` on, for use in
+// `Model.find({ _id, ...await scopeFilter(req.user, 'project:update') })`
+const scopeFilter = async (user, action) => {
+  const definition = ACTIONS[action];
+  if (!definition || !definition.resource) {
+    throw new Error(`Permission action has no resource scope: ${action}`);
+  }
+
+  const permissions = await getUserPermissions(user);
+
+  if (permissions.includes(`${action}:any`)) return {};
+  if (!permissions.includes(action)) return NO_ACCESS;
+
+  const { relations } = definition;
+  const conditions = [];
+  if (relations.memberRoles) {
+    conditions.push({ members: { $elemMatch: { user: user._id, role: { $in: relations.memberRoles } } } });
+  }
+  if (relations.orgRoles) {
+    const organizationIds = await Organization.idsForUser(user._id, relations.orgRoles);
+    if (organizationIds.length > 0) {
+      conditions.push({ organization: { $in: organizationIds } });
+    }
+  }
+
+  return conditions.length > 0 ? { $or: conditions } : NO_ACCESS;
+};
+
+module.exports = {
+  getRolePermissions,
+  getUserPermissions,
+  hasPermission,
+  can,
+  scopeFilter
+};
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const path = require('path');
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const StorageService = require('./storage');
+
+const MAX_PROJECT_FILE_BYTES = 25 * 1024 * 1024; // 25MB
+const DOWNLOAD_URL_TTL = 15 * 60; // seconds
+
+// Total size of the files on all projects a user owns, by subscription plan
+const PLAN_STORAGE_QUOTAS = {
+  free: 100 * 1024 * 1024, // 100MB
+  basic: 1024 * 1024 * 1024, // 1GB
+  premium: 10 * 1024 * 1024 * 1024, // 10GB
+  enterprise: 100 * 1024 * 1024 * 1024 // 100GB
+};
+
+// Project files are private: kept out of the public upload directory and only handed out
+// through signed URLs
+const PRIVATE = { private: true };
+
+// Mockups and wireframes are listed in project.design as well, so they must be images
+const FILE_CATEGORIES = ['file', 'mockup', 'wireframe'];
+const DESIGN_FIELDS = { mockup: 'mockups', wireframe: 'wireframes' };
+
+const getStorageQuota = (plan) => PLAN_STORAGE_QUOTAS[plan] || PLAN_STORAGE_QUOTAS.free;
+
+// Bytes used by the files on every project the user owns
+const getStorageUsage = async (ownerId) => {
+  const [usage] = await Project.aggregate([
+    { $match: { owner: new mongoose.Types.ObjectId(ownerId.toString()) } },
+    { $unwind: '$files' },
+    { $group: { _id: null, bytes: { $sum: '$files.size' } } }
+  ]);
+  return usage ? usage.bytes : 0;
+};
+
+// Stable link to a file that redirects to a fresh signed URL (see GET /api/projects/:id/files/:fileId)
+const fileLink = (project, file) => `/api/projects/${project._id}/files/${file._id}`;
+
+// Store the upload and record it on the project (not saved). Keys are random so they can't be guessed.
+const addProjectFile = async (project, { buffer, originalName, contentType, category, uploadedBy }) => {
+  const extension = path.extname(originalName).toLowerCase().replace(/[^.a-z0-9]/g, '');
+  const key = `projects/${project._id}/${crypto.randomBytes(16).toString('hex')}${extension}`;
+  await StorageService.save(key, buffer, { contentType, ...PRIVATE });
+
+  project.files.push({
+    name: path.basename(originalName).slice(0, 255),
+    key,
+    contentType,
+    size: buffer.length,
+    category,
+    uploadedBy
+  });
+  const file = project.files[project.files.length - 1];
+
+  if (DESIGN_FIELDS[category]) {
+    project.design[DESIGN_FIELDS[category]].push(fileLink(project, file));
+  }
+  return file;
+};
+
+// Remove a file from storage and from the project (not saved)
+const removeProjectFile = async (project, file) => {
+  await StorageService.remove(file.key, PRIVATE);
+
+  if (DESIGN_FIELDS[file.category]) {
+    const field = DESIGN_FIELDS[file.category];
+    project.design[field] = project.design[field].filter(link => link !== fileLink(project, file));
+  }
+  project.files.pull(file._id);
+};
+
+// Remove every stored file of the given projects, e.g. before deleting them
+const removeAllProjectFiles = (projects) =>
+  StorageService.removeAll(projects.flatMap(project => project.files.map(file => file.key)), PRIVATE);
+
+// Short-lived download URL. Local storage signs the file's id, so the storage key stays hidden.
+const downloadUrl = (file) => StorageService.signedUrl(file.key, {
+  expiresIn: DOWNLOAD_URL_TTL,
+  filename: file.name,
+  id: file._id.toString()
+});
+
+// For GET /api/files/download: the project file behind a signed id, or null
+const findFileById = async (fileId) => {
+  if (!mongoose.Types.ObjectId.isValid(fileId)) return null;
+  const project = await Project.findOne({ 'files._id': fileId }).select('files');
+  return project && project.files.id(fileId);
+};
+
+// Where the local storage provider keeps a project file
+const localFilePath = (file) => StorageService.localPath(file.key, PRIVATE);
+
+const serializeFile = (project, file) => ({
+  _id: file._id,
+  name: file.name,
+  contentType: file.contentType,
+  size: file.size,
+  category: file.category,
+  uploadedBy: file.uploadedBy,
+  uploadedAt: file.uploadedAt,
+  downloadUrl: downloadUrl(file),
+  link: fileLink(project, file)
+});
+
+module.exports = {
+  MAX_PROJECT_FILE_BYTES,
+  DOWNLOAD_URL_TTL,
+  PLAN_STORAGE_QUOTAS,
+  FILE_CATEGORIES,
+  getStorageQuota,
+  getStorageUsage,
+  fileLink,
+  addProjectFile,
+  removeProjectFile,
+  removeAllProjectFiles,
+  downloadUrl,
+  findFileById,
+  localFilePath,
+  serializeFile
+};
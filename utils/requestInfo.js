@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+
+// Helpers for describing where a request came from
+
+// Number of proxies in front of the app whose forwarding headers are believed (TRUST_PROXY,
+// e.g. 1 behind Vercel). Off by default: without a proxy, a client can send those headers itself.
+const trustedProxyHops = () => {
+  const value = process.env.TRUST_PROXY;
+  if (value === 'true') return 1;
+  const hops = parseInt(value, 10);
+  return hops > 0 ? hops : 0;
+};
+
+// Approximate location from the geo headers our hosting/CDN adds (Vercel, Cloudflare).
+// Returns null fields unless TRUST_PROXY is set: without a proxy the client could send these
+// headers itself, e.g. to dodge new-country alerts.
+const getClientLocation = (req) => {
+  if (!trustedProxyHops()) {
+    return { country: null, region: null, city: null };
+  }
+
+  const decode = (value) => {
+    if (!value) return null;
+    try {
+      return decodeURIComponent(value);
+    } catch (error) {
+      return value;
+    }
+  };
+
+  return {
+    country: req.get('x-vercel-ip-country') || req.get('cf-ipcountry') || null,
+    region: decode(req.get('x-vercel-ip-country-region')),
+    city: decode(req.get('x-vercel-ip-city'))
+  };
+};
+
+// Short human-readable device label, e.g. "Chrome on Android"
+const describeUserAgent = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) return 'Unknown device';
+  if (!system) return browser[0];
+  if (!browser) return system[0];
+  return `${browser[0]} on ${system[0]}`;
+};
+
+// Stable id for the device behind a request. The web app sends a random per-browser id in
+// X-Device-Id; other clients fall back to their browser/OS and language, which is coarser.
+const getDeviceFingerprint = (req) => {
+  const deviceId = req.get('x-device-id');
+  const source = deviceId && deviceId.length >= 16 && deviceId.length <= 128
+    ? `id:${deviceId}`
+    : `ua:${describeUserAgent(req.get('user-agent'))}|${req.get('accept-language') || ''}`;
+  return crypto.createHash('sha256').update(source).digest('hex');
+};
+
+module.exports = {
+  trustedProxyHops,
+  getClientLocation,
+  describeUserAgent,
+  getDeviceFingerprint
+};
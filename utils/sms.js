@@ -0,0 +1,93 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// SMS delivery behind a small provider interface: send(to, body) -> Promise.
+// Pick one with SMS_PROVIDER; 'console' (the default outside production) and 'file' are for
+// local development and are never used in production, where codes would end up in the logs.
+const LOCAL_PROVIDERS = ['console', 'file'];
+
+const providers = {
+  console: {
+    async send(to, body) {
+      console.log(`📱 SMS to ${to}: ${body}`);
+    }
+  },
+
+  file: {
+    async send(to, body) {
+      const logFile = process.env.SMS_LOG_FILE || path.join(os.tmpdir(), 'nixicon-sms.log');
+      const line = JSON.stringify({ to, body, sentAt: new Date().toISOString() });
+      await fs.promises.appendFile(logFile, line + '\n');
+    }
+  },
+
+  twilio: {
+    async send(to, body) {
+      const { TWILIO_ACCOUNT_SID: accountSid, TWILIO_AUTH_TOKEN: authToken, TWILIO_FROM_NUMBER: from } = process.env;
+      if (!accountSid || !authToken || !from) {
+        throw new Error('Twilio is not configured. Set TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER.');
+      }
+
+      const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+        method: 'POST',
+        headers: {
+          'Authorization': 'Basic ' + Buffer.from(`${accountSid}:${authToken}`).toString('base64'),
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({ To: to, From: from, Body: body })
+      });
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(`Twilio error: ${error.message || response.statusText}`);
+      }
+    }
+  }
+};
+
+// The configured provider, or null when SMS isn't configured (always the case in production
+// without a real gateway)
+const getProvider = () => {
+  const production = process.env.NODE_ENV === 'production';
+  const name = process.env.SMS_PROVIDER || (production ? null : 'console');
+  if (!name || (production && LOCAL_PROVIDERS.includes(name))) {
+    return null;
+  }
+
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+  return provider;
+};
+
+const SmsService = {
+  // Add or replace a provider (e.g. another SMS gateway)
+  registerProvider(name, provider) {
+    providers[name] = provider;
+  },
+
+  isConfigured() {
+    return Boolean(getProvider());
+  },
+
+  async send(to, body) {
+    const provider = getProvider();
+    if (!provider) {
+      console.warn('SMS not configured - text message not sent');
+      return null;
+    }
+    return provider.send(to, body);
+  },
+
+  async sendVerificationCode(phone, code) {
+    return this.send(phone, `Your Nixicon verification code is ${code}. It expires in 10 minutes.`);
+  },
+
+  async sendLoginCode(phone, code) {
+    return this.send(phone, `Your Nixicon sign-in code is ${code}. It expires in 10 minutes. Don't share it with anyone.`);
+  }
+};
+
+module.exports = SmsService;
@@ -0,0 +1,275 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// File storage behind a small provider interface:
+//   save(key, buffer, { contentType, private }) -> Promise, remove(key, { private }) -> Promise,
+//   url(key) -> public URL, signedUrl(key, { expiresIn, filename, id }) -> time-limited private URL
+// Keys are relative paths such as 'avatars/<userId>/<file>'. Pick a provider with
+// STORAGE_PROVIDER: 'local' (the default) writes public files under UPLOAD_DIR, which server.js
+// serves at /uploads, and private ones under PRIVATE_UPLOAD_DIR, which is never served;
+// 's3' talks to Amazon S3 or any S3-compatible server (MinIO, LocalStack, R2).
+const uploadRoot = () => path.resolve(process.env.UPLOAD_DIR || 'uploads');
+const privateRoot = () => path.resolve(process.env.PRIVATE_UPLOAD_DIR || 'storage');
+
+const DEFAULT_SIGNED_URL_TTL = 15 * 60; // seconds
+
+// Keep keys inside their upload directory
+const resolveLocalPath = (key, { private: isPrivate = false } = {}) => {
+  const root = isPrivate ? privateRoot() : uploadRoot();
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+// RFC 3986 encoding, as S3 signatures expect
+const encode = (value) => encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+const encodeKey = (key) => key.split('/').map(encode).join('/');
+
+const attachmentDisposition = (filename) => `attachment; filename*=UTF-8''${encode(filename)}`;
+
+// Local signed URLs are an HMAC over the file's id, expiry and download name. The id is
+// opaque (e.g. a project file's _id), so the URL never reveals where the file is stored.
+const localSignature = (id, expires, filename) => {
+  const secret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+  return crypto.createHmac('sha256', secret).update(`${id}\n${expires}\n${filename || ''}`).digest('hex');
+};
+
+// --- S3 (Signature Version 4) ---
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+const s3Config = () => {
+  const {
+    S3_BUCKET: bucket,
+    S3_REGION: region = 'us-east-1',
+    S3_ENDPOINT: endpoint,
+    S3_ACCESS_KEY_ID: accessKeyId,
+    S3_SECRET_ACCESS_KEY: secretAccessKey
+  } = process.env;
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage is not configured. Set S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY.');
+  }
+  return {
+    bucket,
+    region,
+    accessKeyId,
+    secretAccessKey,
+    endpoint: (endpoint || `https://s3.${region}.amazonaws.com`).replace(/\/$/, ''),
+    // Local stand-ins such as MinIO only support path-style URLs
+    pathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+  };
+};
+
+const s3ObjectUrl = (config, key) => {
+  if (config.pathStyle) {
+    return new URL(`${config.endpoint}/${config.bucket}/${encodeKey(key)}`);
+  }
+  const endpoint = new URL(config.endpoint);
+  return new URL(`${endpoint.protocol}//${config.bucket}.${endpoint.host}/${encodeKey(key)}`);
+};
+
+const canonicalQuery = (params) => Object.keys(params)
+  .sort()
+  .map(name => `${encode(name)}=${encode(params[name])}`)
+  .join('&');
+
+// Signature for a canonical request; `headers` must be lower-case and include host
+const s3Signature = (config, { method, url, query, headers, payloadHash, amzDate }) => {
+  const scope = `${amzDate.slice(0, 8)}/${config.region}/s3/aws4_request`;
+  const headerNames = Object.keys(headers).sort();
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    canonicalQuery(query),
+    headerNames.map(name => `${name}:${String(headers[name]).trim()}\n`).join(''),
+    headerNames.join(';'),
+    payloadHash
+  ].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${config.secretAccessKey}`, amzDate.slice(0, 8)), config.region)
+  );
+
+  return {
+    scope,
+    signedHeaders: headerNames.join(';'),
+    signature: crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex')
+  };
+};
+
+const amzDateNow = () => new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+
+const s3Request = async (method, key, { body, contentType } = {}) => {
+  const config = s3Config();
+  const url = s3ObjectUrl(config, key);
+  const amzDate = amzDateNow();
+  const payloadHash = sha256(body || '');
+  const headers = {
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  };
+  if (contentType) headers['content-type'] = contentType;
+
+  const { scope, signedHeaders, signature } = s3Signature(config, { method, url, query: {}, headers, payloadHash, amzDate });
+  const { host, ...requestHeaders } = headers;
+
+  const response = await fetch(url, {
+    method,
+    headers: {
+      ...requestHeaders,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+    },
+    body
+  });
+
+  if (!response.ok && !(method === 'DELETE' && response.status === 404)) {
+    const detail = await response.text().catch(() => '');
+    throw new Error(`S3 ${method} ${key} failed: ${response.status} ${detail.slice(0, 200)}`);
+  }
+};
+
+const providers = {
+  local: {
+    async save(key, buffer, options = {}) {
+      const filePath = resolveLocalPath(key, options);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    async remove(key, options = {}) {
+      await fs.promises.rm(resolveLocalPath(key, options), { force: true });
+    },
+
+    url(key) {
+      return `/uploads/${key.split('/').map(encodeURIComponent).join('/')}`;
+    },
+
+    // Served by GET /api/files/download, which checks the signature and looks the id up
+    signedUrl(key, { expiresIn = DEFAULT_SIGNED_URL_TTL, filename, id } = {}) {
+      if (!id) {
+        throw new Error('Local signed URLs need the file id');
+      }
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const params = new URLSearchParams({ id, expires: String(expires), signature: localSignature(id, expires, filename) });
+      if (filename) params.set('filename', filename);
+      return `/api/files/download?${params}`;
+    }
+  },
+
+  s3: {
+    async save(key, buffer, { contentType } = {}) {
+      await s3Request('PUT', key, { body: buffer, contentType: contentType || 'application/octet-stream' });
+    },
+
+    async remove(key) {
+      await s3Request('DELETE', key);
+    },
+
+    // Only works for objects the bucket makes public; S3_PUBLIC_URL points at a CDN if there is one
+    url(key) {
+      if (process.env.S3_PUBLIC_URL) {
+        return `${process.env.S3_PUBLIC_URL.replace(/\/$/, '')}/${encodeKey(key)}`;
+      }
+      return s3ObjectUrl(s3Config(), key).toString();
+    },
+
+    // Presigned GET (query-string authentication)
+    signedUrl(key, { expiresIn = DEFAULT_SIGNED_URL_TTL, filename } = {}) {
+      const config = s3Config();
+      const url = s3ObjectUrl(config, key);
+      const amzDate = amzDateNow();
+      const query = {
+        'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+        'X-Amz-Credential': `${config.accessKeyId}/${amzDate.slice(0, 8)}/${config.region}/s3/aws4_request`,
+        'X-Amz-Date': amzDate,
+        'X-Amz-Expires': String(expiresIn),
+        'X-Amz-SignedHeaders': 'host'
+      };
+      if (filename) query['response-content-disposition'] = attachmentDisposition(filename);
+
+      const { signature } = s3Signature(config, {
+        method: 'GET',
+        url,
+        query,
+        headers: { host: url.host },
+        payloadHash: 'UNSIGNED-PAYLOAD',
+        amzDate
+      });
+
+      return `${url.origin}${url.pathname}?${canonicalQuery({ ...query, 'X-Amz-Signature': signature })}`;
+    }
+  }
+};
+
+const getProvider = () => {
+  const name = process.env.STORAGE_PROVIDER || 'local';
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown storage provider: ${name}`);
+  }
+  return provider;
+};
+
+const StorageService = {
+  // Add or replace a provider (e.g. another object store)
+  registerProvider(name, provider) {
+    providers[name] = provider;
+  },
+
+  async save(key, buffer, options = {}) {
+    await getProvider().save(key, buffer, options);
+    return key;
+  },
+
+  async remove(key, options = {}) {
+    return getProvider().remove(key, options);
+  },
+
+  // Remove several files, logging rather than failing on individual errors
+  async removeAll(keys, options = {}) {
+    await Promise.all(keys.map(key => this.remove(key, options).catch(error => {
+      console.error(`Failed to remove stored file ${key}:`, error);
+    })));
+  },
+
+  url(key) {
+    return getProvider().url(key);
+  },
+
+  // Time-limited URL for a private file. `filename` makes it download under that name; `id`
+  // is the opaque id the local provider signs in place of the key.
+  signedUrl(key, options = {}) {
+    return getProvider().signedUrl(key, options);
+  },
+
+  // For GET /api/files/download: whether a local signed URL is genuine and unexpired
+  verifySignedDownload({ id, expires, filename, signature }) {
+    if (!id || !expires || !signature || Number(expires) < Date.now() / 1000) return false;
+
+    const expected = Buffer.from(localSignature(id, expires, filename));
+    const provided = Buffer.from(String(signature));
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+  },
+
+  // Where the local provider keeps a file
+  localPath(key, options = {}) {
+    return resolveLocalPath(key, options);
+  },
+
+  // Local directories that must never be served as static files: the private root, and
+  // uploads/projects, where project files lived before they moved there
+  privatePaths() {
+    return [privateRoot(), path.join(uploadRoot(), 'projects')];
+  },
+
+  attachmentDisposition
+};
+
+module.exports = StorageService;
@@ -0,0 +1,101 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const { getClientLocation } = require('./requestInfo');
+
+const ACCESS_TOKEN_TTL_MS = 15 * 60 * 1000; // 15 minutes
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const IMPERSONATION_TOKEN_TTL_MS = 15 * 60 * 1000; // 15 minutes, never refreshed
+
+// Hash one-time and refresh tokens before storing them so a database leak can't be replayed
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+// Short-lived access token bound to a session so it can be revoked server-side
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL_MS / 1000 });
+};
+
+// Access token for viewing the app as another user. It is bound to the impersonator's own
+// session, so signing the impersonator out ends the impersonation too.
+const generateImpersonationToken = (userId, impersonatorId, sessionId) => {
+  return jwt.sign(
+    { userId, sid: sessionId, imp: impersonatorId },
+    process.env.JWT_SECRET,
+    { expiresIn: IMPERSONATION_TOKEN_TTL_MS / 1000 }
+  );
+};
+
+// Single-purpose JWTs (e.g. the 2FA login challenge). The auth middleware refuses any
+// token carrying a purpose, so these can never be used as access tokens.
+const generatePurposeToken = (purpose, payload, expiresIn) => {
+  return jwt.sign({ ...payload, purpose }, process.env.JWT_SECRET, { expiresIn });
+};
+
+// Returns the decoded payload, or null if the token is invalid, expired or for another purpose
+const verifyPurposeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Start a new session and return the token pair for it
+const issueTokens = async (user, req) => {
+  const refreshToken = generateRefreshToken();
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    location: getClientLocation(req),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  });
+
+  return {
+    token: generateAccessToken(user._id, session._id),
+    refreshToken,
+    session
+  };
+};
+
+// Swap the session's refresh token for a new one, remembering the old hash for reuse detection.
+// The swap is a single conditional update, so when two requests present the same token at
+// once only one of them wins. Returns null for the loser, which the caller treats as reuse.
+const rotateRefreshToken = async (session, currentTokenHash) => {
+  const refreshToken = generateRefreshToken();
+
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: currentTokenHash, revokedAt: null },
+    {
+      $set: { refreshTokenHash: hashToken(refreshToken), lastSeenAt: new Date() },
+      $push: { previousTokenHashes: currentTokenHash }
+    },
+    { new: true }
+  );
+  if (!rotated) return null;
+
+  return {
+    token: generateAccessToken(rotated.user, rotated._id),
+    refreshToken
+  };
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL_MS,
+  REFRESH_TOKEN_TTL_MS,
+  IMPERSONATION_TOKEN_TTL_MS,
+  hashToken,
+  generateAccessToken,
+  generateImpersonationToken,
+  generatePurposeToken,
+  verifyPurposeToken,
+  issueTokens,
+  rotateRefreshToken
+};
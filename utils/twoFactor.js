@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+const Setting = require('../models/Setting');
+const { hashToken } = require('./tokens');
+
+// Accept the previous and next 30-second step to allow for clock drift
+authenticator.options = { window: 1 };
+
+const ISSUER = 'Nixicon';
+const RECOVERY_CODE_COUNT = 10;
+
+const generateSecret = () => authenticator.generateSecret();
+
+// otpauth:// URI that authenticator apps turn into an account entry (usually via QR code)
+const buildOtpauthUrl = (user, secret) => authenticator.keyuri(user.email, ISSUER, secret);
+
+const verifyTotp = (code, secret) => {
+  if (!code || !secret) return false;
+  return authenticator.check(String(code).replace(/\s/g, ''), secret);
+};
+
+// Normalise so users can type recovery codes with or without the dash and in any case
+const normalizeRecoveryCode = (code) => String(code).replace(/[\s-]/g, '').toLowerCase();
+
+// Returns plaintext codes to show once and the hashes to store
+const generateRecoveryCodes = () => {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  return {
+    codes,
+    hashes: codes.map(code => hashToken(normalizeRecoveryCode(code)))
+  };
+};
+
+// Check a TOTP code or a recovery code. A matching recovery code is removed from the
+// user document (the caller must save it) so each one only works once.
+const verifySecondFactor = (user, code) => {
+  if (!user.twoFactor || !user.twoFactor.enabled) return false;
+
+  if (verifyTotp(code, user.twoFactor.secret)) return true;
+
+  const codeHash = hashToken(normalizeRecoveryCode(code));
+  const index = user.twoFactor.recoveryCodes.indexOf(codeHash);
+  if (index === -1) return false;
+
+  user.twoFactor.recoveryCodes.splice(index, 1);
+  return true;
+};
+
+// Roles that admins have configured to require two-factor authentication
+const getRequiredRoles = () => Setting.getValue('requireTwoFactorRoles', []);
+
+const isTwoFactorRequired = async (role) => {
+  const roles = await getRequiredRoles();
+  return roles.includes(role);
+};
+
+module.exports = {
+  generateSecret,
+  buildOtpauthUrl,
+  verifyTotp,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  getRequiredRoles,
+  isTwoFactorRequired
+};